@@ -0,0 +1,256 @@
+/**
+ * AIProviders.gs - Pluggable AI providers for document analysis (Gemini, OpenAI-compatible, mock)
+ *
+ * Every provider exposes analyzeDocument(file, mimeType, promptHints, repairRequest) and returns
+ * { data, parseError, confidence, rawResponse } where data is the extraction JSON requested by the
+ * prompt (null with a parseError when the reply is not JSON). repairRequest, when given, holds the
+ * previous reply and its schema violations for a corrective re-prompt.
+ *
+ * detectDocumentBoundaries(file, mimeType, pageCount) returns { documents: [{ startPage, endPage, ... }] }
+ * for a PDF that may hold several documents (see DocumentSplitter.gs), and
+ * extractBankStatement(file, mimeType) returns the statement JSON (see BankStatementParser.gs).
+ */
+
+/**
+ * Get a provider by name
+ */
+function getAIProvider(providerName) {
+    switch (providerName) {
+      case SYSTEM_CONFIG.AI.PROVIDERS.GEMINI:
+        return {
+          name: providerName,
+          analyzeDocument: callGeminiAPI,
+          detectDocumentBoundaries: callGeminiSegmentationAPI,
+          extractBankStatement: callGeminiStatementAPI
+        };
+      case SYSTEM_CONFIG.AI.PROVIDERS.OPENAI_COMPATIBLE:
+        return {
+          name: providerName,
+          analyzeDocument: callOpenAICompatibleAPI,
+          detectDocumentBoundaries: callOpenAICompatibleSegmentationAPI,
+          extractBankStatement: callOpenAICompatibleStatementAPI
+        };
+      case SYSTEM_CONFIG.AI.PROVIDERS.MOCK:
+        return {
+          name: providerName,
+          analyzeDocument: callMockAIProvider,
+          detectDocumentBoundaries: callMockSegmentationProvider,
+          extractBankStatement: callMockStatementProvider
+        };
+      default:
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unknown AI provider: ${providerName}`);
+    }
+  }
+  
+  /**
+   * Resolve the provider for a client: the client's "AI Provider" column, then the
+   * AI_PROVIDER script property, then SYSTEM_CONFIG.AI.DEFAULT_PROVIDER
+   */
+  function getAIProviderForClient(client) {
+    const globalProvider = PropertiesService.getScriptProperties().getProperty('AI_PROVIDER');
+    const providerName = String((client && client.aiProvider) || globalProvider || SYSTEM_CONFIG.AI.DEFAULT_PROVIDER)
+      .trim()
+      .toLowerCase();
+    
+    debugLog(`Using AI provider '${providerName}'${client ? ` for client: ${client.name}` : ''}`);
+    return getAIProvider(providerName);
+  }
+  
+  /**
+   * Check whether a provider name is registered
+   */
+  function isValidAIProviderName(providerName) {
+    return Object.values(SYSTEM_CONFIG.AI.PROVIDERS).includes(providerName);
+  }
+  
+  /**
+   * Call an OpenAI-compatible chat completions endpoint (OpenAI, Azure, Ollama, LM Studio, ...)
+   */
+  function callOpenAICompatibleAPI(file, mimeType, promptHints = '', repairRequest = null) {
+    const followUpMessages = repairRequest ? [
+      { role: 'assistant', content: repairRequest.previousResponse || '' },
+      { role: 'user', content: buildSchemaRepairPrompt(repairRequest) }
+    ] : [];
+    
+    const aiText = requestOpenAICompatibleJson(file, mimeType, SYSTEM_CONFIG.AI.PROMPTS.DOCUMENT_ANALYSIS + promptHints, followUpMessages);
+    const parsed = parseStructuredAIResponse(aiText);
+    
+    return {
+      data: parsed.data,
+      parseError: parsed.parseError,
+      confidence: (parsed.data && parsed.data.confidence) || 0.8,
+      rawResponse: aiText
+    };
+  }
+  
+  /**
+   * Find the page ranges of the separate documents in a combined PDF via the OpenAI-compatible endpoint
+   */
+  function callOpenAICompatibleSegmentationAPI(file, mimeType, pageCount) {
+    const aiText = requestOpenAICompatibleJson(file, mimeType, buildSegmentationPrompt(pageCount), []);
+    return parseStructuredAIResponse(aiText).data;
+  }
+  
+  /**
+   * Extract the transaction lines of a bank statement via the OpenAI-compatible endpoint
+   */
+  function callOpenAICompatibleStatementAPI(file, mimeType) {
+    const aiText = requestOpenAICompatibleJson(file, mimeType, SYSTEM_CONFIG.AI.PROMPTS.BANK_STATEMENT, []);
+    return parseStructuredAIResponse(aiText).data;
+  }
+  
+  /**
+   * Send a document and prompt in JSON mode; followUpMessages are appended after the first
+   * user message. Returns the model's reply text.
+   */
+  function requestOpenAICompatibleJson(file, mimeType, prompt, followUpMessages) {
+    try {
+      const settings = getOpenAICompatibleSettings_();
+      
+      const payload = {
+        model: settings.model,
+        temperature: 0.1,
+        max_tokens: 8192,
+        response_format: { type: 'json_object' },
+        messages: [{
+          role: 'user',
+          content: buildOpenAIContentParts(file, mimeType, prompt)
+        }].concat(followUpMessages)
+      };
+      
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) {
+        headers.Authorization = `Bearer ${settings.apiKey}`;
+      }
+      
+      debugLog(`Making OpenAI-compatible API call for file: ${file.getName()}`, { endpoint: settings.endpoint, model: settings.model });
+      
+      const response = UrlFetchApp.fetch(settings.endpoint, {
+        method: 'POST',
+        headers: headers,
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true
+      });
+      
+      const responseData = JSON.parse(response.getContentText());
+      
+      if (response.getResponseCode() !== 200) {
+        const errorMsg = responseData.error?.message || `HTTP ${response.getResponseCode()}`;
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.API_LIMIT_EXCEEDED, `OpenAI-compatible API error: ${errorMsg}`);
+      }
+      
+      const aiText = responseData.choices?.[0]?.message?.content;
+      if (!aiText) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, 'Invalid response structure from OpenAI-compatible API');
+      }
+      
+      return aiText;
+      
+    } catch (error) {
+      errorLog('Error calling OpenAI-compatible API', error);
+      throw error;
+    }
+  }
+
+  
+  /**
+   * Build chat message content: images as data URLs, PDFs as file parts, anything else as text
+   */
+  function buildOpenAIContentParts(file, mimeType, prompt) {
+    const blob = file.getBlob();
+    
+    if (mimeType.startsWith('image/')) {
+      return [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${Utilities.base64Encode(blob.getBytes())}` } }
+      ];
+    }
+    
+    if (mimeType === 'application/pdf') {
+      return [
+        { type: 'text', text: prompt },
+        { type: 'file', file: { filename: file.getName(), file_data: `data:${mimeType};base64,${Utilities.base64Encode(blob.getBytes())}` } }
+      ];
+    }
+    
+    let content;
+    try {
+      content = blob.getDataAsString();
+    } catch (error) {
+      content = `File: ${file.getName()} (${mimeType}) - Content extraction failed: ${error.message}`;
+    }
+    
+    return [{ type: 'text', text: `${prompt}\n\nDocument content:\n${content}` }];
+  }
+  
+  /**
+   * Endpoint, key and model for the OpenAI-compatible provider. The key is optional for local servers.
+   */
+  function getOpenAICompatibleSettings_() {
+    const properties = PropertiesService.getScriptProperties();
+    
+    return {
+      endpoint: properties.getProperty('OPENAI_API_ENDPOINT') || SYSTEM_CONFIG.AI.OPENAI_COMPATIBLE.DEFAULT_ENDPOINT,
+      apiKey: (properties.getProperty('OPENAI_API_KEY') || '').trim(),
+      model: properties.getProperty('OPENAI_MODEL') || SYSTEM_CONFIG.AI.OPENAI_COMPATIBLE.DEFAULT_MODEL
+    };
+  }
+  
+  /**
+   * Deterministic provider for tests and offline runs: returns the fixture for a known file
+   * (by content MD5, then by file name) without any network access. Repair requests get the same
+   * fixture back, so a non-conforming fixture ends up in the review queue with its violations.
+   */
+  function callMockAIProvider(file, mimeType, promptHints = '', repairRequest = null) {
+    const fileName = file.getName();
+    const fileHash = computeContentHash(file.getBlob().getBytes());
+    const fixture = AI_MOCK_FIXTURES.byFileHash[fileHash] || AI_MOCK_FIXTURES.byFileName[fileName];
+    
+    const data = fixture ? JSON.parse(JSON.stringify(fixture)) : buildDefaultMockResponse(fileName, fileHash);
+    debugLog(`Mock AI provider ${fixture ? 'matched fixture' : 'used default response'} for: ${fileName}`);
+    
+    return {
+      data: data,
+      parseError: null,
+      confidence: data.confidence || 0.8,
+      rawResponse: JSON.stringify(data)
+    };
+  }
+  
+  /**
+   * Mock segmentation: the fixture's page ranges for known combined PDFs, otherwise one document
+   */
+  function callMockSegmentationProvider(file, mimeType, pageCount) {
+    const fixture = AI_MOCK_FIXTURES.segmentsByFileName[file.getName()];
+    return {
+      documents: fixture ? JSON.parse(JSON.stringify(fixture)) : [{ startPage: 1, endPage: pageCount, documentType: 'other', description: '' }]
+    };
+  }
+  
+  /**
+   * Mock statement extraction: the fixture for a known statement, otherwise no transactions
+   */
+  function callMockStatementProvider(file, mimeType) {
+    const fixture = AI_MOCK_FIXTURES.statementsByFileName[file.getName()];
+    return fixture ? JSON.parse(JSON.stringify(fixture)) : { transactions: [] };
+  }
+  
+  /**
+   * Response for files without a fixture, derived only from the file name and content hash
+   * so repeated runs give identical results
+   */
+  function buildDefaultMockResponse(fileName, fileHash) {
+    const parsed = parseFilenameForAIData(fileName) || {};
+    
+    return {
+      date: parsed.date || '2024-01-01',
+      vendorName: parsed.vendorName || 'Mock Vendor',
+      invoiceNumber: parsed.invoiceNumber || `MOCK-${fileHash.substring(0, 8).toUpperCase()}`,
+      amount: String(parsed.amount || (parseInt(fileHash.substring(0, 4), 16) / 10).toFixed(2)),
+      documentType: 'invoice',
+      transactionType: SYSTEM_CONFIG.STATUS.OUTFLOW,
+      confidence: 0.9,
+      currency: SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
+      lineItems: []
+    };
+  }
@@ -0,0 +1,250 @@
+/**
+ * AIResponseSchema.gs - JSON schema for document extraction responses and validation against it
+ *
+ * The schema uses the OpenAPI subset accepted by Gemini's responseSchema. Formats Gemini cannot
+ * enforce (dates, numeric strings, GSTINs) are checked locally by EXTRACTION_FIELD_FORMATS.
+ */
+
+// Local format checks keyed by field name (also applied inside lineItems)
+const EXTRACTION_FIELD_FORMATS = {
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a YYYY-MM-DD date' },
+  amount: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  taxableValue: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  cgst: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  sgst: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  igst: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  cess: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  quantity: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  unitPrice: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  taxRate: { pattern: /^\d+(\.\d+)?$/, description: 'a percentage number' },
+  lineTotal: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  dueDate: { pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a YYYY-MM-DD date' },
+  currency: { pattern: /^[A-Z]{3}$/, description: 'a 3-letter ISO currency code' },
+  vendorGstin: { pattern: /^[0-9A-Z]{15}$/, description: 'a 15-character GSTIN' },
+  buyerGstin: { pattern: /^[0-9A-Z]{15}$/, description: 'a 15-character GSTIN' }
+};
+
+/**
+ * Response schema for the document analysis prompt
+ */
+function getExtractionResponseSchema() {
+    const text = description => ({ type: 'STRING', description: description });
+    const amount = description => ({ type: 'STRING', description: `${description}; digits and decimal point only, "0" if absent` });
+    
+    return {
+      type: 'OBJECT',
+      properties: {
+        date: text('Document date in YYYY-MM-DD format'),
+        vendorName: text('Company or person issuing the document'),
+        invoiceNumber: text('Invoice, bill or reference number'),
+        amount: amount('Total amount due or paid'),
+        currency: text('ISO 4217 currency code, e.g. INR, USD'),
+        documentType: { type: 'STRING', enum: ['invoice', 'receipt', 'bill', 'statement', 'contract', 'other'] },
+        transactionType: { type: 'STRING', enum: [SYSTEM_CONFIG.STATUS.INFLOW, SYSTEM_CONFIG.STATUS.OUTFLOW] },
+        confidence: { type: 'NUMBER', description: 'Confidence in the extraction from 0.0 to 1.0' },
+        vendorGstin: text('15-character vendor GSTIN, empty if not printed'),
+        buyerGstin: text('15-character buyer GSTIN, empty if not printed'),
+        placeOfSupply: text('State name or 2-digit state code'),
+        taxableValue: amount('Taxable value'),
+        cgst: amount('CGST amount'),
+        sgst: amount('SGST amount'),
+        igst: amount('IGST amount'),
+        cess: amount('Cess amount'),
+        dueDate: text('Payment due date in YYYY-MM-DD format, empty if not printed'),
+        paymentTerms: text('Payment terms as printed, e.g. "Net 30", empty if not printed'),
+        accountCode: text('Code from the chart of accounts listed in the prompt, empty if none fits'),
+        lineItems: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              description: text('Line description'),
+              hsnSac: text('HSN or SAC code'),
+              quantity: amount('Quantity'),
+              unitPrice: amount('Unit price'),
+              taxRate: amount('Tax rate in percent'),
+              lineTotal: amount('Line total')
+            },
+            required: ['description', 'lineTotal']
+          }
+        }
+      },
+      required: ['date', 'vendorName', 'invoiceNumber', 'amount', 'currency', 'documentType', 'transactionType', 'confidence', 'lineItems']
+    };
+  }
+  
+  /**
+   * Response schema for the bank statement prompt
+   */
+  function getBankStatementResponseSchema() {
+    return {
+      type: 'OBJECT',
+      properties: {
+        bankName: { type: 'STRING' },
+        accountNumber: { type: 'STRING' },
+        currency: { type: 'STRING', description: 'ISO 4217 currency code' },
+        periodStart: { type: 'STRING', description: 'YYYY-MM-DD' },
+        periodEnd: { type: 'STRING', description: 'YYYY-MM-DD' },
+        openingBalance: { type: 'STRING', description: 'Empty string if not printed' },
+        closingBalance: { type: 'STRING', description: 'Empty string if not printed' },
+        transactions: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              date: { type: 'STRING', description: 'YYYY-MM-DD' },
+              narration: { type: 'STRING' },
+              reference: { type: 'STRING' },
+              debit: { type: 'STRING', description: 'Money leaving the account, "0" if none' },
+              credit: { type: 'STRING', description: 'Money entering the account, "0" if none' },
+              balance: { type: 'STRING', description: 'Running balance, empty string if not printed' }
+            },
+            required: ['date', 'narration', 'debit', 'credit']
+          }
+        }
+      },
+      required: ['transactions']
+    };
+  }
+  
+  /**
+   * Response schema for the combined-PDF segmentation prompt
+   */
+  function getSegmentationResponseSchema() {
+    return {
+      type: 'OBJECT',
+      properties: {
+        documents: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              startPage: { type: 'INTEGER', description: 'First page of the document, 1-based' },
+              endPage: { type: 'INTEGER', description: 'Last page of the document, 1-based' },
+              documentType: { type: 'STRING', enum: ['invoice', 'receipt', 'bill', 'statement', 'contract', 'other'] },
+              description: { type: 'STRING', description: 'Short label such as the invoice number and vendor' }
+            },
+            required: ['startPage', 'endPage']
+          }
+        }
+      },
+      required: ['documents']
+    };
+  }
+  
+  /**
+   * Parse a structured (JSON mode) reply. Returns { data, parseError } instead of throwing so that
+   * unparseable replies can go through the repair re-prompt like any other schema violation.
+   */
+  function parseStructuredAIResponse(aiText) {
+    try {
+      // Some OpenAI-compatible servers still wrap JSON mode output in a markdown fence
+      const jsonText = String(aiText || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+      const data = JSON.parse(jsonText);
+      
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { data: null, parseError: 'Response is not a single JSON object' };
+      }
+      
+      return { data: data, parseError: null };
+    } catch (error) {
+      debugLog('Raw AI response:', aiText);
+      return { data: null, parseError: `Response is not valid JSON: ${error.message}` };
+    }
+  }
+  
+  /**
+   * Validate a provider response against the extraction schema. Returns a list of violation messages.
+   */
+  function validateExtractionResponse(aiResponse) {
+    if (!aiResponse || !aiResponse.data) {
+      return [aiResponse && aiResponse.parseError ? aiResponse.parseError : 'Response contained no data'];
+    }
+    
+    const violations = [];
+    validateValueAgainstSchema(aiResponse.data, getExtractionResponseSchema(), '', violations);
+    return violations;
+  }
+  
+  /**
+   * Recursively check a value against a schema node (type, enum, required, local formats)
+   */
+  function validateValueAgainstSchema(value, schema, path, violations) {
+    const label = path || 'response';
+    
+    switch (schema.type) {
+      case 'OBJECT': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          violations.push(`${label} must be an object`);
+          return;
+        }
+        (schema.required || []).forEach(key => {
+          if (value[key] === undefined || value[key] === null) {
+            violations.push(`${path ? `${path}.` : ''}${key} is required`);
+          }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+          if (value[key] !== undefined && value[key] !== null) {
+            validateValueAgainstSchema(value[key], propertySchema, path ? `${path}.${key}` : key, violations);
+          }
+        });
+        return;
+      }
+      case 'ARRAY':
+        if (!Array.isArray(value)) {
+          violations.push(`${label} must be an array`);
+          return;
+        }
+        value.forEach((item, index) => validateValueAgainstSchema(item, schema.items, `${label}[${index}]`, violations));
+        return;
+      case 'NUMBER':
+        if (typeof value !== 'number' || !isFinite(value)) {
+          violations.push(`${label} must be a number`);
+        }
+        return;
+      case 'STRING':
+        if (typeof value !== 'string') {
+          violations.push(`${label} must be a string`);
+          return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+          violations.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+          return;
+        }
+        validateFieldFormat(value, path, violations);
+        return;
+      default:
+        return;
+    }
+  }
+  
+  /**
+   * Check string formats that the schema itself cannot express. Empty strings mean "not present".
+   */
+  function validateFieldFormat(value, path, violations) {
+    if (value === '') return;
+    
+    const fieldName = path.replace(/^.*[.\]]/, '');
+    const format = EXTRACTION_FIELD_FORMATS[fieldName];
+    
+    if (format && !format.pattern.test(value.trim())) {
+      violations.push(`${path} must be ${format.description} (got "${value.substring(0, 40)}")`);
+    }
+  }
+  
+  /**
+   * Text of the single repair re-prompt sent after a response fails validation
+   */
+  function buildSchemaRepairPrompt(repairRequest) {
+    return `Your previous response did not match the required JSON schema:\n` +
+      repairRequest.violations.map(violation => `- ${violation}`).join('\n') +
+      `\n\nReturn the complete corrected JSON object only, with no other text.`;
+  }
+  
+  /**
+   * Short form of violations for the buffer sheet's Reason column
+   */
+  function formatSchemaViolations(violations) {
+    const shown = violations.slice(0, 5).join('; ');
+    return violations.length > 5 ? `${shown}; and ${violations.length - 5} more` : shown;
+  }
@@ -0,0 +1,236 @@
+/**
+ * AccessControl.gs - Role-based access to the dashboard, client pages and google.script.run entry points
+ *
+ * Users are listed in the master config spreadsheet's Users sheet by Google account email, with a
+ * role (viewer, accountant, admin) and the clients they may see. The account the script runs as is
+ * always an admin, so triggers, editor runs and the deployer are never locked out. Requests that
+ * reached doPost with a valid API key run with the role their key's scope maps to (API.SCOPE_ROLES).
+ *
+ * Every top-level function can be called through google.script.run, so each entry point checks the
+ * role it needs; helpers that must not be called that way end in an underscore, which Apps Script
+ * keeps private.
+ *
+ * The web app runs as the deploying user, so Google only reveals a visitor's email when they are in
+ * the same Google Workspace domain; anyone whose email is hidden is refused.
+ */
+
+// Per-execution state: the signed-in user's access once read, and a role granted without sign-in
+let currentUserAccess = null;
+let trustedExecutionRole = null;
+let trustedExecutionActor = '';
+
+/**
+ * Access of the signed-in user: { email, role, clients, allClients }
+ */
+function getCurrentUserAccess_() {
+    if (currentUserAccess) {
+      return currentUserAccess;
+    }
+    
+    const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+    const ownerEmail = String(Session.getEffectiveUser().getEmail() || '').trim().toLowerCase();
+    
+    if (email && email === ownerEmail) {
+      currentUserAccess = { email: email, role: 'admin', clients: [], allClients: true };
+      return currentUserAccess;
+    }
+    
+    const user = email ? getUsers_().find(candidate => candidate.email === email && candidate.active) : null;
+    currentUserAccess = user
+      ? { email: email, role: user.role, clients: user.clients, allClients: user.role === 'admin' || user.allClients }
+      : { email: email, role: null, clients: [], allClients: false };
+    
+    return currentUserAccess;
+  }
+  
+  /**
+   * Throw PERMISSION_DENIED unless the signed-in user has at least the role, and may see the client if one is given
+   */
+  function requireUserRole(requiredRole, clientName = null) {
+    if (trustedExecutionRole) {
+      // Set by doPost from the API key's scope, or by a trigger handler; not tied to any client
+      const trusted = { email: '', role: trustedExecutionRole, clients: [], allClients: true };
+      if (!hasUserRole(trusted, requiredRole)) {
+        warnLog(`Access denied for ${trustedExecutionActor}: requires role ${requiredRole}`, { role: trustedExecutionRole });
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED, `This action requires the ${requiredRole} role`);
+      }
+      return trusted;
+    }
+    
+    const access = getCurrentUserAccess_();
+    
+    if (!access.email) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED, 'Sign in with an authorised Google account to use this app');
+    }
+    
+    if (!hasUserRole(access, requiredRole)) {
+      warnLog(`Access denied for ${access.email}: requires role ${requiredRole}`, { role: access.role, clientName: clientName });
+      throw createError(
+        SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED,
+        access.role ? `This action requires the ${requiredRole} role` : `${access.email} is not an authorised user`
+      );
+    }
+    
+    if (clientName && !canAccessClient(access, clientName)) {
+      warnLog(`Access denied for ${access.email} to client: ${clientName}`);
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED, `You do not have access to client '${clientName}'`);
+    }
+    
+    return access;
+  }
+  
+  /**
+   * Whether a user's role covers the required role
+   */
+  function hasUserRole(access, requiredRole) {
+    const roles = SYSTEM_CONFIG.ACCESS.ROLES;
+    const level = roles.indexOf(access.role);
+    return level !== -1 && level >= roles.indexOf(requiredRole);
+  }
+  
+  /**
+   * Whether a user may see a client
+   */
+  function canAccessClient(access, clientName) {
+    if (access.allClients) return true;
+    
+    const name = String(clientName || '').trim().toLowerCase();
+    return access.clients.some(client => client.toLowerCase() === name);
+  }
+  
+  /**
+   * Keep only the clients the signed-in user may see
+   */
+  function filterClientsForCurrentUser(clients) {
+    const access = requireUserRole('viewer');
+    return clients.filter(client => canAccessClient(access, client.name));
+  }
+  
+  /**
+   * Active clients visible to the signed-in user, for the dashboard
+   */
+  function getClientsForCurrentUser() {
+    try {
+      return filterClientsForCurrentUser(getActiveClients_());
+    } catch (error) {
+      errorLog('Error getting clients for current user', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Authorise the rest of this execution without a signed-in user, e.g. a doPost request whose API key
+   * scope was already checked. The actor names the caller in the audit log.
+   */
+  function setTrustedExecutionRole_(role, actor = '') {
+    trustedExecutionRole = role;
+    trustedExecutionActor = actor;
+  }
+  
+  /**
+   * Authorise a trigger handler. Triggers have no signed-in user, so the execution runs as admin when
+   * the event names one of this project's triggers for the handler; the trigger ID is checked because
+   * google.script.run callers can pass any object. Called any other way, the caller must be an admin.
+   */
+  function authorizeTriggerExecution(e, handlerName, actor) {
+    const triggerUid = e && e.triggerUid ? String(e.triggerUid) : '';
+    const fromTrigger = Boolean(triggerUid) && ScriptApp.getProjectTriggers().some(trigger =>
+      trigger.getUniqueId() === triggerUid && trigger.getHandlerFunction() === handlerName
+    );
+    
+    if (fromTrigger) {
+      setTrustedExecutionRole_('admin', actor);
+      return;
+    }
+    
+    requireUserRole('admin');
+  }
+  
+  /**
+   * Who is performing the current execution, for the audit log: the API key or trigger, else the
+   * signed-in user. A web app visitor whose email Google hides is anonymous, not the account the
+   * script runs as.
+   */
+  function getCurrentActor() {
+    if (trustedExecutionActor) {
+      return trustedExecutionActor;
+    }
+    
+    try {
+      return Session.getActiveUser().getEmail() || 'anonymous';
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+  
+  /**
+   * Read the Users sheet: [{ email, role, clients, allClients, active }]
+   */
+  function getUsers_() {
+    try {
+      const sheet = getUsersSheet_();
+      if (sheet.getLastRow() <= 1) {
+        return [];
+      }
+      
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const columns = {
+        email: getColumnIndex(headers, 'Email'),
+        role: getColumnIndex(headers, 'Role'),
+        clients: getColumnIndex(headers, 'Clients'),
+        active: getColumnIndex(headers, 'Active')
+      };
+      
+      const users = [];
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const email = String(safeGetCellValue(row, columns.email)).trim().toLowerCase();
+        if (!email) continue;
+        
+        const role = String(safeGetCellValue(row, columns.role)).trim().toLowerCase();
+        if (!SYSTEM_CONFIG.ACCESS.ROLES.includes(role)) {
+          warnLog(`Ignoring user ${email} with unknown role: ${role}`);
+          continue;
+        }
+        
+        const clients = String(safeGetCellValue(row, columns.clients))
+          .split(SYSTEM_CONFIG.ACCESS.CLIENT_SEPARATOR)
+          .map(client => client.trim())
+          .filter(client => client);
+        const active = safeGetCellValue(row, columns.active, true);
+        
+        users.push({
+          email: email,
+          role: role,
+          clients: clients.filter(client => client !== SYSTEM_CONFIG.ACCESS.ALL_CLIENTS),
+          allClients: clients.includes(SYSTEM_CONFIG.ACCESS.ALL_CLIENTS),
+          active: !(active === false || String(active).toUpperCase() === 'FALSE')
+        });
+      }
+      
+      return users;
+      
+    } catch (error) {
+      errorLog('Error reading users sheet', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * The master config spreadsheet's Users sheet, created empty (only the script owner has access) if missing
+   */
+  function getUsersSheet_() {
+    const spreadsheet = SpreadsheetApp.openById(getMasterConfigSheetId_());
+    let sheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.USERS_SHEET_NAME);
+    
+    if (!sheet) {
+      infoLog('Creating Users sheet in master config');
+      // Appended after the clients sheet, which must stay first: getAllClients_ reads the first sheet
+      sheet = spreadsheet.insertSheet(SYSTEM_CONFIG.SHEETS.USERS_SHEET_NAME, spreadsheet.getNumSheets());
+      setupSheetStructure(sheet, SYSTEM_CONFIG.SHEETS.USERS_SHEET_NAME);
+      spreadsheet.setActiveSheet(spreadsheet.getSheets()[0]);
+    }
+    
+    return sheet;
+  }
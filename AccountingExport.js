@@ -0,0 +1,615 @@
+/**
+ * AccountingExport.gs - Tally XML vouchers and Zoho Books import CSVs from the Inflow and Outflow sheets
+ *
+ * Ledger and account names come from the client's Ledger Map sheet: Account rows map an account
+ * code, Party rows a vendor or customer name and System rows the sales, purchase, bank and tax
+ * ledgers. Unmapped account codes fall back to their chart of accounts name, and unmapped parties
+ * to the name on the document.
+ */
+
+/**
+ * Export a client's Inflow and Outflow documents dated within the range as a Tally XML import file.
+ * Invoices and bills become Sales/Purchase vouchers, receipts and paid invoices Receipt/Payment vouchers.
+ */
+function exportToTally(clientName, fromDate, toDate) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      const context = loadAccountingExportContext_(clientName, fromDate, toDate);
+      infoLog(`Exporting Tally vouchers for client: ${clientName}`, { range: context.rangeLabel });
+      
+      const vouchers = [];
+      for (const documentEntry of context.documents) {
+        vouchers.push(...buildTallyVouchers(documentEntry, context));
+      }
+      
+      if (vouchers.length === 0) {
+        return {
+          success: true,
+          message: `No documents to export for ${clientName} (${context.rangeLabel})`,
+          voucherCount: 0,
+          files: []
+        };
+      }
+      
+      const fileName = `${cleanFilename(clientName)}_Tally_Vouchers_${context.rangeLabel}_Export_${formatDateForFilename(new Date())}.xml`;
+      const file = context.folder.createFile(Utilities.newBlob(buildTallyEnvelope(vouchers), 'application/xml', fileName));
+      
+      const counts = {};
+      vouchers.forEach(voucher => {
+        counts[voucher.type] = (counts[voucher.type] || 0) + 1;
+      });
+      
+      const result = {
+        success: true,
+        message: `Exported ${vouchers.length} Tally vouchers for ${clientName} to ${fileName}`,
+        voucherCount: vouchers.length,
+        voucherTypes: counts,
+        files: [{ fileName: fileName, fileUrl: file.getUrl(), fileId: file.getId(), recordCount: vouchers.length }]
+      };
+      
+      infoLog(`Tally export complete for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error exporting Tally vouchers for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Export a client's invoices (Inflow) and bills (Outflow) dated within the range as Zoho Books
+   * import CSVs, one file per side
+   */
+  function exportToZohoBooks(clientName, fromDate, toDate) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      const context = loadAccountingExportContext_(clientName, fromDate, toDate);
+      infoLog(`Exporting Zoho Books CSVs for client: ${clientName}`, { range: context.rangeLabel });
+      
+      const exportConfig = SYSTEM_CONFIG.ACCOUNTING_EXPORT;
+      const invoiceDocuments = context.documents.filter(documentEntry =>
+        exportConfig.INVOICE_DOCUMENT_TYPES.includes(documentEntry.documentType));
+      
+      const invoiceRows = invoiceDocuments
+        .filter(documentEntry => documentEntry.direction === SYSTEM_CONFIG.STATUS.INFLOW)
+        .map(documentEntry => buildZohoRow(documentEntry, context, true));
+      const billRows = invoiceDocuments
+        .filter(documentEntry => documentEntry.direction === SYSTEM_CONFIG.STATUS.OUTFLOW)
+        .map(documentEntry => buildZohoRow(documentEntry, context, false));
+      
+      const exportDate = formatDateForFilename(new Date());
+      const files = [];
+      const writeCsv = (kind, headers, rows) => {
+        if (rows.length === 0) return;
+        
+        const fileName = `${cleanFilename(clientName)}_Zoho_${kind}_${context.rangeLabel}_Export_${exportDate}.csv`;
+        const values = [headers].concat(rows.map(row => buildRowFromHeaders(headers, row)));
+        const file = context.folder.createFile(Utilities.newBlob(buildCsvContent(values), 'text/csv', fileName));
+        files.push({ fileName: fileName, fileUrl: file.getUrl(), fileId: file.getId(), recordCount: rows.length });
+      };
+      
+      writeCsv('Invoices', exportConfig.ZOHO_INVOICE_COLUMNS, invoiceRows);
+      writeCsv('Bills', exportConfig.ZOHO_BILL_COLUMNS, billRows);
+      
+      const result = {
+        success: true,
+        message: files.length > 0
+          ? `Exported ${invoiceRows.length} invoices and ${billRows.length} bills for ${clientName} to Zoho Books CSVs`
+          : `No invoices or bills to export for ${clientName} (${context.rangeLabel})`,
+        invoiceCount: invoiceRows.length,
+        billCount: billRows.length,
+        files: files
+      };
+      
+      infoLog(`Zoho Books export complete for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error exporting Zoho Books CSVs for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Client, ledger map, bank transaction dates and the documents within the date range, shared by both exports
+   */
+  function loadAccountingExportContext_(clientName, fromDate, toDate) {
+    const client = getClientByName_(clientName);
+    if (!client) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+    }
+    
+    const range = parseExportDateRange(fromDate, toDate);
+    const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+    
+    const accountNames = {};
+    getChartOfAccounts(spreadsheet).forEach(account => {
+      accountNames[account.code] = account.name;
+    });
+    
+    const flows = [
+      { sheetName: SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.INFLOW },
+      { sheetName: SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.OUTFLOW }
+    ];
+    
+    let documents = [];
+    for (const flow of flows) {
+      const flowSheet = spreadsheet.getSheetByName(flow.sheetName);
+      if (!flowSheet) continue;
+      documents = documents.concat(getAccountingExportDocuments(flowSheet, flow.direction, range));
+    }
+    documents.sort((a, b) => a.date - b.date);
+    
+    return {
+      client: client,
+      folder: getClientFolderStructure(client).spreadsheetsFolder,
+      ledgerMap: getLedgerMap(spreadsheet),
+      accountNames: accountNames,
+      transactionDates: getBankTransactionDates(spreadsheet),
+      documents: documents,
+      rangeLabel: `${range.from ? formatIsoDate(range.from) : 'start'}_to_${range.to ? formatIsoDate(range.to) : 'latest'}`
+    };
+  }
+  
+  /**
+   * Validate the optional YYYY-MM-DD bounds of an export; either may be left empty
+   */
+  function parseExportDateRange(fromDate, toDate) {
+    const parseBound = (value, label) => {
+      if (!value) return null;
+      
+      const date = parseDateValue(value);
+      if (!date) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `${label} must be a date in YYYY-MM-DD format`);
+      }
+      return date;
+    };
+    
+    const range = { from: parseBound(fromDate, 'From date'), to: parseBound(toDate, 'To date') };
+    if (range.from && range.to && range.from > range.to) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'From date must not be after To date');
+    }
+    
+    // Sheet dates may carry a time of day, so the To date includes everything before the next midnight
+    range.before = range.to ? new Date(range.to.getFullYear(), range.to.getMonth(), range.to.getDate() + 1) : null;
+    
+    return range;
+  }
+  
+  /**
+   * Read an Inflow or Outflow sheet's documents whose invoice date lies within the range
+   */
+  function getAccountingExportDocuments(flowSheet, direction, range) {
+    if (flowSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = flowSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      date: getColumnIndex(headers, 'Date'),
+      vendorName: getColumnIndex(headers, 'Vendor Name'),
+      invoiceNumber: getColumnIndex(headers, 'Invoice Number'),
+      amount: getColumnIndex(headers, 'Amount'),
+      documentType: getColumnIndex(headers, 'Document Type'),
+      vendorGstin: getColumnIndex(headers, 'Vendor GSTIN'),
+      buyerGstin: getColumnIndex(headers, 'Buyer GSTIN'),
+      placeOfSupply: getColumnIndex(headers, 'Place of Supply'),
+      taxableValue: getColumnIndex(headers, 'Taxable Value'),
+      cgst: getColumnIndex(headers, 'CGST'),
+      sgst: getColumnIndex(headers, 'SGST'),
+      igst: getColumnIndex(headers, 'IGST'),
+      cess: getColumnIndex(headers, 'Cess'),
+      currency: getColumnIndex(headers, 'Currency'),
+      fxRate: getColumnIndex(headers, 'FX Rate'),
+      baseAmount: getColumnIndex(headers, 'Base Amount'),
+      paymentStatus: getColumnIndex(headers, 'Payment Status'),
+      matchedTransaction: getColumnIndex(headers, 'Matched Transaction'),
+      dueDate: getColumnIndex(headers, 'Due Date'),
+      account: getColumnIndex(headers, 'Account'),
+      uniqueFileId: getColumnIndex(headers, 'Unique File ID')
+    };
+    const toNumber = (row, index) => parseFloat(safeGetCellValue(row, index, '0')) || 0;
+    
+    const documents = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const date = parseDateValue(safeGetCellValue(row, columns.date));
+      const amount = toNumber(row, columns.amount);
+      if (!date || amount === 0) continue;
+      if ((range.from && date < range.from) || (range.before && date >= range.before)) continue;
+      
+      const currency = String(safeGetCellValue(row, columns.currency)) || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY;
+      const baseAmount = toNumber(row, columns.baseAmount);
+      
+      documents.push({
+        direction: direction,
+        date: date,
+        vendorName: String(safeGetCellValue(row, columns.vendorName)) || 'Unknown_Vendor',
+        invoiceNumber: String(safeGetCellValue(row, columns.invoiceNumber)),
+        documentType: String(safeGetCellValue(row, columns.documentType)).toLowerCase(),
+        amount: amount,
+        taxableValue: toNumber(row, columns.taxableValue),
+        cgst: toNumber(row, columns.cgst),
+        sgst: toNumber(row, columns.sgst),
+        igst: toNumber(row, columns.igst),
+        cess: toNumber(row, columns.cess),
+        currency: currency,
+        fxRate: toNumber(row, columns.fxRate) || 1,
+        // Tally vouchers are booked in the base currency; document amounts are scaled by this factor
+        baseFactor: baseAmount > 0 ? baseAmount / amount : 1,
+        vendorGstin: String(safeGetCellValue(row, columns.vendorGstin)),
+        buyerGstin: String(safeGetCellValue(row, columns.buyerGstin)),
+        placeOfSupply: String(safeGetCellValue(row, columns.placeOfSupply)),
+        isPaid: safeGetCellValue(row, columns.paymentStatus) === SYSTEM_CONFIG.BANK_RECONCILIATION.PAYMENT_STATUS.PAID,
+        matchedTransactions: String(safeGetCellValue(row, columns.matchedTransaction))
+          .split(SYSTEM_CONFIG.BANK_RECONCILIATION.MATCHED_ID_SEPARATOR.trim())
+          .map(id => id.trim())
+          .filter(id => id),
+        dueDate: parseDateValue(safeGetCellValue(row, columns.dueDate)),
+        account: String(safeGetCellValue(row, columns.account)).trim(),
+        uniqueFileId: String(safeGetCellValue(row, columns.uniqueFileId))
+      });
+    }
+    
+    return documents;
+  }
+  
+  /**
+   * Transaction ID -> date of every row in the Bank Transactions sheet, for dating Payment/Receipt vouchers
+   */
+  function getBankTransactionDates(spreadsheet) {
+    const transactionsSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME);
+    if (!transactionsSheet || transactionsSheet.getLastRow() <= 1) {
+      return {};
+    }
+    
+    const data = transactionsSheet.getDataRange().getValues();
+    const idIndex = getColumnIndex(data[0], 'Transaction ID');
+    const dateIndex = getColumnIndex(data[0], 'Date');
+    
+    const dates = {};
+    for (let i = 1; i < data.length; i++) {
+      const date = parseDateValue(safeGetCellValue(data[i], dateIndex));
+      const transactionId = String(safeGetCellValue(data[i], idIndex));
+      if (transactionId && date) dates[transactionId] = date;
+    }
+    
+    return dates;
+  }
+  
+  /**
+   * Load a client's ledger map, creating the sheet with the default system ledgers if it does not exist.
+   * System entries missing from the sheet fall back to ACCOUNTING_EXPORT.SYSTEM_LEDGERS.
+   */
+  function getLedgerMap(spreadsheet) {
+    const exportConfig = SYSTEM_CONFIG.ACCOUNTING_EXPORT;
+    const ledgerMap = { accounts: {}, parties: {}, system: {} };
+    Object.keys(exportConfig.SYSTEM_LEDGERS).forEach(key => {
+      const ledger = exportConfig.SYSTEM_LEDGERS[key];
+      ledgerMap.system[key] = { tally: ledger.tally, zoho: ledger.zoho };
+    });
+    
+    try {
+      let mapSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME);
+      if (!mapSheet) {
+        mapSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME);
+        seedLedgerMap(mapSheet);
+      }
+      
+      if (mapSheet.getLastRow() <= 1) {
+        return ledgerMap;
+      }
+      
+      const data = mapSheet.getDataRange().getValues();
+      const headers = data[0];
+      const columns = {
+        type: getColumnIndex(headers, 'Type'),
+        key: getColumnIndex(headers, 'Key'),
+        tally: getColumnIndex(headers, 'Tally Ledger'),
+        zoho: getColumnIndex(headers, 'Zoho Account')
+      };
+      
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const type = String(safeGetCellValue(row, columns.type)).trim();
+        const key = String(safeGetCellValue(row, columns.key)).trim();
+        if (!key) continue;
+        
+        const entry = {
+          tally: String(safeGetCellValue(row, columns.tally)).trim(),
+          zoho: String(safeGetCellValue(row, columns.zoho)).trim()
+        };
+        
+        if (type === exportConfig.MAP_TYPES.ACCOUNT) {
+          ledgerMap.accounts[key] = entry;
+        } else if (type === exportConfig.MAP_TYPES.PARTY) {
+          ledgerMap.parties[key.toLowerCase()] = entry;
+        } else if (type === exportConfig.MAP_TYPES.SYSTEM && ledgerMap.system[key.toUpperCase()]) {
+          const defaults = ledgerMap.system[key.toUpperCase()];
+          ledgerMap.system[key.toUpperCase()] = {
+            tally: entry.tally || defaults.tally,
+            zoho: entry.zoho || defaults.zoho
+          };
+        } else {
+          warnLog(`Ignoring ledger map row ${i + 1} with unknown type or key: ${type} / ${key}`);
+        }
+      }
+      
+      return ledgerMap;
+      
+    } catch (error) {
+      errorLog('Error loading ledger map, using default ledgers', error);
+      return ledgerMap;
+    }
+  }
+  
+  /**
+   * Fill an empty Ledger Map sheet with one System row per ACCOUNTING_EXPORT.SYSTEM_LEDGERS entry
+   */
+  function seedLedgerMap(mapSheet) {
+    if (mapSheet.getLastRow() > 1) return;
+    
+    const headers = SYSTEM_CONFIG.SHEETS.LEDGER_MAP_COLUMNS;
+    const systemLedgers = SYSTEM_CONFIG.ACCOUNTING_EXPORT.SYSTEM_LEDGERS;
+    const values = Object.keys(systemLedgers).map(key => buildRowFromHeaders(headers, {
+      'Type': SYSTEM_CONFIG.ACCOUNTING_EXPORT.MAP_TYPES.SYSTEM,
+      'Key': key,
+      'Tally Ledger': systemLedgers[key].tally,
+      'Zoho Account': systemLedgers[key].zoho,
+      'Notes': systemLedgers[key].notes
+    }));
+    
+    // Keys stay text so that account codes such as "0100" keep their leading zero
+    mapSheet.getRange(2, getColumnIndex(headers, 'Key') + 1, mapSheet.getMaxRows() - 1, 1).setNumberFormat('@');
+    mapSheet.getRange(2, 1, values.length, headers.length).setValues(values);
+    infoLog(`Seeded ledger map with ${values.length} system ledgers`);
+  }
+  
+  /**
+   * Income or expense ledger of a document: its mapped account, then the account's chart name, then
+   * the Sales/Purchase system ledger
+   */
+  function getDocumentLedger(documentEntry, context, target) {
+    const mapped = context.ledgerMap.accounts[documentEntry.account];
+    if (mapped && mapped[target]) {
+      return mapped[target];
+    }
+    
+    if (documentEntry.account && context.accountNames[documentEntry.account]) {
+      return context.accountNames[documentEntry.account];
+    }
+    
+    const systemKey = documentEntry.direction === SYSTEM_CONFIG.STATUS.INFLOW ? 'SALES' : 'PURCHASE';
+    return context.ledgerMap.system[systemKey][target];
+  }
+  
+  /**
+   * Party ledger (customer or vendor) of a document in Tally
+   */
+  function getPartyLedger(documentEntry, context) {
+    const mapped = context.ledgerMap.parties[documentEntry.vendorName.toLowerCase()];
+    return mapped && mapped.tally ? mapped.tally : documentEntry.vendorName;
+  }
+  
+  /**
+   * Vouchers for one document: Sales/Purchase for invoices and bills, plus a Receipt/Payment when the
+   * invoice is paid; a Receipt/Payment straight against the bank for receipts
+   */
+  function buildTallyVouchers(documentEntry, context) {
+    const exportConfig = SYSTEM_CONFIG.ACCOUNTING_EXPORT;
+    const types = exportConfig.TALLY_VOUCHER_TYPES;
+    const isInflow = documentEntry.direction === SYSTEM_CONFIG.STATUS.INFLOW;
+    const system = context.ledgerMap.system;
+    const scale = value => roundCurrencyAmount(value * documentEntry.baseFactor);
+    const total = scale(documentEntry.amount);
+    const party = getPartyLedger(documentEntry, context);
+    const reference = documentEntry.invoiceNumber || documentEntry.uniqueFileId;
+    const narration = `${documentEntry.documentType || 'document'} ${documentEntry.invoiceNumber} from ${documentEntry.vendorName}` +
+      (documentEntry.currency !== SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY ? ` (${documentEntry.currency} ${documentEntry.amount})` : '') +
+      ` [${documentEntry.uniqueFileId}]`;
+    
+    const vouchers = [];
+    
+    if (exportConfig.INVOICE_DOCUMENT_TYPES.includes(documentEntry.documentType)) {
+      const prefix = isInflow ? 'OUTPUT_' : 'INPUT_';
+      const taxes = [
+        { ledger: system[`${prefix}CGST`].tally, amount: scale(documentEntry.cgst) },
+        { ledger: system[`${prefix}SGST`].tally, amount: scale(documentEntry.sgst) },
+        { ledger: system[`${prefix}IGST`].tally, amount: scale(documentEntry.igst) },
+        { ledger: system.CESS.tally, amount: scale(documentEntry.cess) }
+      ].filter(tax => tax.amount !== 0);
+      const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+      const taxable = documentEntry.taxableValue > 0 ? scale(documentEntry.taxableValue) : roundCurrencyAmount(total - taxTotal);
+      const roundOff = roundCurrencyAmount(total - taxable - taxTotal);
+      
+      // Sales debit the customer and credit income and output tax; purchases the other way round
+      const entries = [{ ledger: party, amount: total, isDebit: isInflow, billReference: { name: reference, type: 'New Ref' } }];
+      entries.push({ ledger: getDocumentLedger(documentEntry, context, 'tally'), amount: taxable, isDebit: !isInflow });
+      taxes.forEach(tax => entries.push({ ledger: tax.ledger, amount: tax.amount, isDebit: !isInflow }));
+      if (roundOff !== 0) {
+        // A negative round-off (total rounded down) goes on the party's side, so amounts stay positive
+        entries.push({ ledger: system.ROUND_OFF.tally, amount: Math.abs(roundOff), isDebit: roundOff > 0 ? !isInflow : isInflow });
+      }
+      
+      vouchers.push({
+        type: isInflow ? types.SALES : types.PURCHASE,
+        date: documentEntry.date,
+        number: reference,
+        party: party,
+        narration: narration,
+        entries: entries
+      });
+      
+      if (documentEntry.isPaid) {
+        const paymentDates = documentEntry.matchedTransactions
+          .map(transactionId => context.transactionDates[transactionId])
+          .filter(date => date);
+        
+        vouchers.push({
+          type: isInflow ? types.RECEIPT : types.PAYMENT,
+          date: paymentDates.length > 0 ? new Date(Math.max.apply(null, paymentDates)) : documentEntry.date,
+          number: reference,
+          party: party,
+          narration: `Settlement of ${narration}` +
+            (documentEntry.matchedTransactions.length > 0 ? ` via ${documentEntry.matchedTransactions.join(', ')}` : ''),
+          entries: [
+            { ledger: party, amount: total, isDebit: !isInflow, billReference: { name: reference, type: 'Agst Ref' } },
+            { ledger: system.BANK.tally, amount: total, isDebit: isInflow }
+          ]
+        });
+      }
+      
+    } else if (exportConfig.RECEIPT_DOCUMENT_TYPES.includes(documentEntry.documentType)) {
+      // A receipt is money already moved, booked straight between the bank and the income/expense ledger
+      vouchers.push({
+        type: isInflow ? types.RECEIPT : types.PAYMENT,
+        date: documentEntry.date,
+        number: reference,
+        party: party,
+        narration: narration,
+        entries: [
+          { ledger: getDocumentLedger(documentEntry, context, 'tally'), amount: total, isDebit: !isInflow },
+          { ledger: system.BANK.tally, amount: total, isDebit: isInflow }
+        ]
+      });
+      
+    } else {
+      debugLog(`Skipping ${documentEntry.documentType || 'untyped'} document in Tally export: ${documentEntry.uniqueFileId}`);
+    }
+    
+    return vouchers;
+  }
+  
+  /**
+   * Wrap vouchers in a Tally "Import Data" envelope
+   */
+  function buildTallyEnvelope(vouchers) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ENVELOPE>',
+      '  <HEADER>',
+      '    <TALLYREQUEST>Import Data</TALLYREQUEST>',
+      '  </HEADER>',
+      '  <BODY>',
+      '    <IMPORTDATA>',
+      '      <REQUESTDESC>',
+      '        <REPORTNAME>Vouchers</REPORTNAME>',
+      '      </REQUESTDESC>',
+      '      <REQUESTDATA>'
+    ];
+    
+    for (const voucher of vouchers) {
+      lines.push(
+        '        <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+        `          <VOUCHER VCHTYPE="${escapeXml(voucher.type)}" ACTION="Create" OBJVIEW="Accounting Voucher View">`,
+        `            <DATE>${Utilities.formatDate(voucher.date, Session.getScriptTimeZone(), 'yyyyMMdd')}</DATE>`,
+        `            <VOUCHERTYPENAME>${escapeXml(voucher.type)}</VOUCHERTYPENAME>`,
+        `            <VOUCHERNUMBER>${escapeXml(voucher.number)}</VOUCHERNUMBER>`,
+        `            <REFERENCE>${escapeXml(voucher.number)}</REFERENCE>`,
+        `            <PARTYLEDGERNAME>${escapeXml(voucher.party)}</PARTYLEDGERNAME>`,
+        `            <NARRATION>${escapeXml(voucher.narration)}</NARRATION>`
+      );
+      
+      // Tally signs amounts by side: debits are negative and "deemed positive"
+      for (const entry of voucher.entries) {
+        lines.push(
+          '            <ALLLEDGERENTRIES.LIST>',
+          `              <LEDGERNAME>${escapeXml(entry.ledger)}</LEDGERNAME>`,
+          `              <ISDEEMEDPOSITIVE>${entry.isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+          `              <AMOUNT>${(entry.isDebit ? -entry.amount : entry.amount).toFixed(2)}</AMOUNT>`
+        );
+        if (entry.billReference) {
+          lines.push(
+            '              <BILLALLOCATIONS.LIST>',
+            `                <NAME>${escapeXml(entry.billReference.name)}</NAME>`,
+            `                <BILLTYPE>${entry.billReference.type}</BILLTYPE>`,
+            `                <AMOUNT>${(entry.isDebit ? -entry.amount : entry.amount).toFixed(2)}</AMOUNT>`,
+            '              </BILLALLOCATIONS.LIST>'
+          );
+        }
+        lines.push('            </ALLLEDGERENTRIES.LIST>');
+      }
+      
+      lines.push(
+        '          </VOUCHER>',
+        '        </TALLYMESSAGE>'
+      );
+    }
+    
+    lines.push(
+      '      </REQUESTDATA>',
+      '    </IMPORTDATA>',
+      '  </BODY>',
+      '</ENVELOPE>'
+    );
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * One Zoho Books import row (a single line item) for an invoice or bill, in the document currency
+   */
+  function buildZohoRow(documentEntry, context, isInvoice) {
+    const taxTotal = documentEntry.cgst + documentEntry.sgst + documentEntry.igst;
+    const rate = documentEntry.taxableValue > 0 ? documentEntry.taxableValue : documentEntry.amount - taxTotal - documentEntry.cess;
+    const taxPercentage = rate > 0 && taxTotal > 0 ? Math.round(taxTotal / rate * 100) : '';
+    // Zoho's default Indian tax names: "GST18" for intra-state CGST+SGST, "IGST18" for inter-state
+    const taxName = taxPercentage ? `${documentEntry.igst > 0 ? 'IGST' : 'GST'}${taxPercentage}` : '';
+    const description = `${documentEntry.documentType || 'Document'} ${documentEntry.invoiceNumber}`.trim();
+    
+    const common = {
+      'Due Date': documentEntry.dueDate ? formatIsoDate(documentEntry.dueDate) : '',
+      'Currency Code': documentEntry.currency,
+      'Exchange Rate': documentEntry.currency === SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY ? 1 : documentEntry.fxRate,
+      'Account': getDocumentLedger(documentEntry, context, 'zoho'),
+      'Quantity': 1,
+      'Notes': `Imported from ${documentEntry.uniqueFileId}`
+    };
+    
+    if (isInvoice) {
+      return {
+        ...common,
+        'Invoice Date': formatIsoDate(documentEntry.date),
+        'Invoice Number': documentEntry.invoiceNumber,
+        'Invoice Status': 'Draft',
+        'Customer Name': documentEntry.vendorName,
+        'Item Name': description,
+        'Item Price': roundCurrencyAmount(rate),
+        'Item Tax': taxName,
+        'Item Tax %': taxPercentage,
+        'GST Identification Number (GSTIN)': documentEntry.buyerGstin,
+        'Place of Supply': documentEntry.placeOfSupply
+      };
+    }
+    
+    return {
+      ...common,
+      'Bill Date': formatIsoDate(documentEntry.date),
+      'Bill Number': documentEntry.invoiceNumber,
+      'Bill Status': 'Open',
+      'Vendor Name': documentEntry.vendorName,
+      'Description': description,
+      'Rate': roundCurrencyAmount(rate),
+      'Tax Name': taxName,
+      'Tax Percentage': taxPercentage,
+      'GST Identification Number (GSTIN)': documentEntry.vendorGstin,
+      'Source of Supply': documentEntry.placeOfSupply
+    };
+  }
+  
+  /**
+   * Escape text for an XML element or attribute
+   */
+  function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
@@ -0,0 +1,318 @@
+/**
+ * AccrualManager.gs - Month-end accruals stored in the Accruals sheet and Accruals folder
+ */
+
+/**
+ * Create an accrual entry for an expected bill, with an optional supporting document.
+ * accrualData: { vendorName, expectedAmount, period (YYYY-MM), currency, description,
+ *                supportingDocument: { fileName, mimeType, base64Data } }
+ */
+function createAccrual(clientName, accrualData) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      if (!accrualData || typeof accrualData !== 'object') {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'Accrual data is required');
+      }
+      
+      validateInput(accrualData.vendorName, 'string', 'Vendor name');
+      validateInput(accrualData.period, 'string', 'Period');
+      
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(accrualData.period)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'Period must be in YYYY-MM format');
+      }
+      
+      const expectedAmount = parseFloat(parseAmount(String(accrualData.expectedAmount || '')));
+      if (!isValidAmount(expectedAmount) || expectedAmount === 0) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'Expected amount must be a positive number');
+      }
+      
+      const currency = (accrualData.currency || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY).toString().trim().toUpperCase();
+      if (!isValidCurrencyCode(currency)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Invalid currency code: ${currency}`);
+      }
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const accrualId = `ACR-${accrualData.period.replace('-', '')}-${generateUniqueId().substring(0, 8)}`;
+      
+      // Store the supporting document in the client's Accruals folder
+      let documentUrl = '';
+      if (accrualData.supportingDocument && accrualData.supportingDocument.base64Data) {
+        const folderStructure = getClientFolderStructure(client);
+        documentUrl = saveAccrualDocument(folderStructure.accrualsFolder, accrualId, accrualData.supportingDocument);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const accrualsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME);
+      const headers = accrualsSheet.getRange(1, 1, 1, accrualsSheet.getLastColumn()).getValues()[0];
+      
+      const rowData = buildRowFromHeaders(headers, {
+        'Accrual ID': accrualId,
+        'Vendor Name': accrualData.vendorName.trim(),
+        'Period': accrualData.period,
+        'Expected Amount': expectedAmount.toFixed(2),
+        'Currency': currency,
+        'Description': (accrualData.description || '').trim(),
+        'Supporting Document URL': documentUrl,
+        'Status': SYSTEM_CONFIG.ACCRUALS.STATUS.OPEN,
+        'Created Date': getCurrentTimestamp()
+      });
+      
+      accrualsSheet.appendRow(rowData);
+      
+      // Keep the period as text so Sheets does not turn "2026-10" into a date
+      const periodIndex = getColumnIndex(headers, 'Period');
+      if (periodIndex !== -1) {
+        accrualsSheet.getRange(accrualsSheet.getLastRow(), periodIndex + 1)
+          .setNumberFormat('@')
+          .setValue(accrualData.period);
+      }
+      
+      const result = {
+        success: true,
+        message: `Accrual ${accrualId} created for ${accrualData.vendorName} (${accrualData.period})`,
+        accrualId: accrualId,
+        documentUrl: documentUrl
+      };
+      
+      infoLog(`Created accrual for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error creating accrual for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save an uploaded supporting document to the Accruals folder
+   */
+  function saveAccrualDocument(accrualsFolder, accrualId, supportingDocument) {
+    try {
+      const mimeType = supportingDocument.mimeType || 'application/pdf';
+      if (!isValidMimeType(mimeType)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unsupported document type: ${mimeType}`);
+      }
+      
+      const bytes = Utilities.base64Decode(supportingDocument.base64Data);
+      if (bytes.length > SYSTEM_CONFIG.ACCRUALS.MAX_DOCUMENT_SIZE) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Supporting document too large: ${bytes.length} bytes`);
+      }
+      
+      const fileName = `${accrualId}_${cleanFilename(supportingDocument.fileName || 'supporting_document')}`;
+      const file = accrualsFolder.createFile(Utilities.newBlob(bytes, mimeType, fileName));
+      
+      debugLog(`Saved accrual supporting document: ${fileName}`);
+      return file.getUrl();
+      
+    } catch (error) {
+      errorLog(`Error saving supporting document for accrual: ${accrualId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get open and recently reversed accruals for the client page
+   */
+  function getAccrualSummary(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const accruals = getAccrualEntries(getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME));
+      
+      const openAccruals = accruals.filter(accrual => accrual.status === SYSTEM_CONFIG.ACCRUALS.STATUS.OPEN);
+      const reversedAccruals = accruals.filter(accrual => accrual.status === SYSTEM_CONFIG.ACCRUALS.STATUS.REVERSED);
+      
+      return {
+        openCount: openAccruals.length,
+        reversedCount: reversedAccruals.length,
+        openAmount: openAccruals.reduce((total, accrual) => total + accrual.expectedAmount, 0),
+        open: openAccruals,
+        recentlyReversed: reversedAccruals.slice(-5).reverse()
+      };
+      
+    } catch (error) {
+      errorLog(`Error getting accrual summary for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Read accrual rows from the Accruals sheet
+   */
+  function getAccrualEntries(accrualsSheet) {
+    if (accrualsSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = accrualsSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      accrualId: getColumnIndex(headers, 'Accrual ID'),
+      vendorName: getColumnIndex(headers, 'Vendor Name'),
+      period: getColumnIndex(headers, 'Period'),
+      expectedAmount: getColumnIndex(headers, 'Expected Amount'),
+      currency: getColumnIndex(headers, 'Currency'),
+      description: getColumnIndex(headers, 'Description'),
+      documentUrl: getColumnIndex(headers, 'Supporting Document URL'),
+      status: getColumnIndex(headers, 'Status'),
+      matchedInvoiceNumber: getColumnIndex(headers, 'Matched Invoice Number')
+    };
+    
+    const accruals = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const accrualId = safeGetCellValue(row, columns.accrualId);
+      if (!accrualId) continue;
+      
+      accruals.push({
+        rowIndex: i + 1,
+        accrualId: accrualId,
+        vendorName: safeGetCellValue(row, columns.vendorName),
+        period: formatAccrualPeriod(safeGetCellValue(row, columns.period)),
+        expectedAmount: parseFloat(safeGetCellValue(row, columns.expectedAmount, '0')) || 0,
+        currency: safeGetCellValue(row, columns.currency) || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
+        description: safeGetCellValue(row, columns.description),
+        documentUrl: safeGetCellValue(row, columns.documentUrl),
+        status: safeGetCellValue(row, columns.status),
+        matchedInvoiceNumber: safeGetCellValue(row, columns.matchedInvoiceNumber)
+      });
+    }
+    
+    return accruals;
+  }
+  
+  /**
+   * Reverse the open accrual matching an invoice that has just reached the Final sheet.
+   * Matches on vendor, period window and amount tolerance; the closest amount wins.
+   */
+  function reverseMatchingAccrual(spreadsheet, aiData, uniqueId) {
+    try {
+      // Accruals record expected bills, so only outflow documents can reverse them
+      if (aiData.transactionType !== SYSTEM_CONFIG.STATUS.OUTFLOW) {
+        return null;
+      }
+      
+      const accrualsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME);
+      const openAccruals = getAccrualEntries(accrualsSheet)
+        .filter(accrual => accrual.status === SYSTEM_CONFIG.ACCRUALS.STATUS.OPEN);
+      
+      if (openAccruals.length === 0) {
+        return null;
+      }
+      
+      const invoiceDate = parseDateValue(aiData.date);
+      const invoiceMonth = invoiceDate ? invoiceDate.getFullYear() * 12 + invoiceDate.getMonth() : null;
+      
+      let bestMatch = null;
+      for (const accrual of openAccruals) {
+        if (!isSameVendor(accrual.vendorName, aiData.vendorName)) continue;
+        
+        const accrualMonth = getAccrualPeriodMonth(accrual.period);
+        if (invoiceMonth === null || accrualMonth === null) continue;
+        
+        const monthsAfter = invoiceMonth - accrualMonth;
+        if (monthsAfter < 0 || monthsAfter > SYSTEM_CONFIG.ACCRUALS.PERIOD_WINDOW_MONTHS) continue;
+        
+        const invoiceAmount = getInvoiceAmountInCurrency(aiData, accrual.currency);
+        if (invoiceAmount === null) continue;
+        
+        const variance = invoiceAmount - accrual.expectedAmount;
+        if (Math.abs(variance) > accrual.expectedAmount * SYSTEM_CONFIG.ACCRUALS.AMOUNT_TOLERANCE_PERCENT) continue;
+        
+        if (!bestMatch || Math.abs(variance) < Math.abs(bestMatch.variance)) {
+          bestMatch = { accrual: accrual, invoiceAmount: invoiceAmount, variance: variance };
+        }
+      }
+      
+      if (!bestMatch) {
+        return null;
+      }
+      
+      markAccrualReversed(accrualsSheet, bestMatch, aiData, uniqueId);
+      
+      infoLog(`Reversed accrual ${bestMatch.accrual.accrualId} with invoice ${aiData.invoiceNumber}`, {
+        vendor: aiData.vendorName,
+        expected: bestMatch.accrual.expectedAmount,
+        actual: bestMatch.invoiceAmount
+      });
+      
+      return bestMatch.accrual.accrualId;
+      
+    } catch (error) {
+      // Accrual matching must never block the invoice itself from being booked
+      errorLog('Error reversing matching accrual', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Mark an accrual row as reversed and highlight it
+   */
+  function markAccrualReversed(accrualsSheet, match, aiData, uniqueId) {
+    const headers = accrualsSheet.getRange(1, 1, 1, accrualsSheet.getLastColumn()).getValues()[0];
+    const updates = {
+      'Status': SYSTEM_CONFIG.ACCRUALS.STATUS.REVERSED,
+      'Reversed Date': getCurrentTimestamp(),
+      'Matched Unique File ID': uniqueId,
+      'Matched Invoice Number': aiData.invoiceNumber,
+      'Matched Amount': match.invoiceAmount.toFixed(2),
+      'Variance': match.variance.toFixed(2)
+    };
+    
+    for (const [columnName, value] of Object.entries(updates)) {
+      const columnIndex = getColumnIndex(headers, columnName);
+      if (columnIndex !== -1) {
+        accrualsSheet.getRange(match.accrual.rowIndex, columnIndex + 1).setValue(value);
+      }
+    }
+    
+    accrualsSheet.getRange(match.accrual.rowIndex, 1, 1, headers.length).setBackground('#d9ead3');
+  }
+  
+  /**
+   * Get the invoice amount in the accrual's currency, or null if it cannot be compared
+   */
+  function getInvoiceAmountInCurrency(aiData, currency) {
+    const invoiceCurrency = aiData.currency || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY;
+    
+    if (invoiceCurrency === currency) {
+      return parseFloat(aiData.amount) || 0;
+    }
+    
+    if (currency === SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY && aiData.baseAmount !== '' && aiData.baseAmount !== undefined) {
+      return parseFloat(aiData.baseAmount) || 0;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Convert a period value (text "YYYY-MM" or a Date from the sheet) to a month index
+   */
+  function getAccrualPeriodMonth(period) {
+    const match = String(period).match(/^(\d{4})-(\d{2})$/);
+    return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
+  }
+  
+  /**
+   * Normalise a period cell value to "YYYY-MM"
+   */
+  function formatAccrualPeriod(value) {
+    if (value instanceof Date) {
+      return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM');
+    }
+    return String(value || '').trim();
+  }
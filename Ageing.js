@@ -0,0 +1,291 @@
+/**
+ * Ageing.gs - Due dates and accounts payable / receivable ageing
+ *
+ * Open Inflow invoices are receivables and open Outflow invoices are payables; an invoice is open
+ * until bank reconciliation marks it Paid. Due dates come from the document, then from its printed
+ * payment terms, then from the vendor profile's Default Terms (Days), then from AGEING.DEFAULT_TERMS_DAYS.
+ */
+
+/**
+ * Rebuild the Ageing sheet for a client
+ */
+function generateAgeingReport(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      infoLog(`Generating ageing report for client: ${clientName}`);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const openInvoices = getOpenAgeingInvoices(spreadsheet, new Date());
+      
+      const ageingSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.AGEING_SHEET_NAME);
+      writeAgeingSheet(ageingSheet, openInvoices);
+      
+      const summary = summarizeAgeing(openInvoices);
+      const result = {
+        success: true,
+        message: `Ageing report generated for ${clientName}: ${summary.receivables.count} open receivables, ` +
+          `${summary.payables.count} open payables`,
+        receivablesTotal: summary.receivables.total,
+        payablesTotal: summary.payables.total,
+        ...summary
+      };
+      
+      infoLog(`Ageing report generated for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error generating ageing report for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Band totals for the client page, calculated from the Inflow and Outflow sheets
+   */
+  function getAgeingSummary_(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      return summarizeAgeing(getOpenAgeingInvoices(spreadsheet, new Date()));
+      
+    } catch (error) {
+      errorLog(`Error getting ageing summary for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Work out the due date and payment terms of a freshly extracted document
+   */
+  function resolvePaymentTerms(aiResponse, validatedData, vendorProfiles) {
+    const invoiceDate = parseDateValue(validatedData.date);
+    const paymentTerms = String(aiResponse.paymentTerms || '').trim().substring(0, 100);
+    
+    const printedDueDate = parseDateValue(aiResponse.dueDate);
+    if (printedDueDate && (!invoiceDate || printedDueDate >= invoiceDate)) {
+      return { dueDate: formatIsoDate(printedDueDate), paymentTerms: paymentTerms };
+    }
+    
+    if (!invoiceDate) {
+      return { dueDate: '', paymentTerms: paymentTerms };
+    }
+    
+    const termsDays = parsePaymentTermsDays(paymentTerms);
+    if (termsDays !== null) {
+      return { dueDate: formatIsoDate(addDays(invoiceDate, termsDays)), paymentTerms: paymentTerms };
+    }
+    
+    const profile = findVendorProfile(vendorProfiles || [], validatedData.vendorName, validatedData.vendorGstin);
+    if (profile && profile.defaultTermsDays !== null) {
+      return {
+        dueDate: formatIsoDate(addDays(invoiceDate, profile.defaultTermsDays)),
+        paymentTerms: `Net ${profile.defaultTermsDays}`
+      };
+    }
+    
+    // Left blank so that a vendor default entered later still applies when the ageing is run
+    return { dueDate: '', paymentTerms: paymentTerms };
+  }
+  
+  /**
+   * Days of credit in printed terms such as "Net 30", "45 days" or "Due on receipt"; null if none found
+   */
+  function parsePaymentTermsDays(paymentTerms) {
+    const text = String(paymentTerms || '').toLowerCase();
+    if (!text) return null;
+    
+    if (/(on|upon) receipt|immediate|advance/.test(text)) return 0;
+    
+    const daysMatch = text.match(/net\s*(\d{1,3})\b/) || text.match(/\b(\d{1,3})\s*days?\b/);
+    return daysMatch ? parseInt(daysMatch[1], 10) : null;
+  }
+  
+  /**
+   * Read unpaid Inflow (receivable) and Outflow (payable) invoices with their age on the given date
+   */
+  function getOpenAgeingInvoices(spreadsheet, asOfDate) {
+    const vendorProfiles = getVendorProfiles(spreadsheet);
+    const paidStatus = SYSTEM_CONFIG.BANK_RECONCILIATION.PAYMENT_STATUS.PAID;
+    const invoiceTypes = SYSTEM_CONFIG.ACCOUNTING_EXPORT.INVOICE_DOCUMENT_TYPES;
+    const flows = [
+      { sheetName: SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME, type: SYSTEM_CONFIG.AGEING.TYPES.RECEIVABLE },
+      { sheetName: SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME, type: SYSTEM_CONFIG.AGEING.TYPES.PAYABLE }
+    ];
+    
+    const invoices = [];
+    for (const flow of flows) {
+      const flowSheet = spreadsheet.getSheetByName(flow.sheetName);
+      if (!flowSheet || flowSheet.getLastRow() <= 1) continue;
+      
+      const data = flowSheet.getDataRange().getValues();
+      const headers = data[0];
+      const columns = {
+        uniqueFileId: getColumnIndex(headers, 'Unique File ID'),
+        fileUrl: getColumnIndex(headers, 'File URL'),
+        date: getColumnIndex(headers, 'Date'),
+        vendorName: getColumnIndex(headers, 'Vendor Name'),
+        vendorGstin: getColumnIndex(headers, 'Vendor GSTIN'),
+        invoiceNumber: getColumnIndex(headers, 'Invoice Number'),
+        amount: getColumnIndex(headers, 'Amount'),
+        baseAmount: getColumnIndex(headers, 'Base Amount'),
+        paymentStatus: getColumnIndex(headers, 'Payment Status'),
+        dueDate: getColumnIndex(headers, 'Due Date'),
+        paymentTerms: getColumnIndex(headers, 'Payment Terms'),
+        documentType: getColumnIndex(headers, 'Document Type')
+      };
+      
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        if (String(safeGetCellValue(row, columns.paymentStatus)) === paidStatus) continue;
+        // Receipts record money already paid, so only invoices and bills can be outstanding
+        if (!invoiceTypes.includes(String(safeGetCellValue(row, columns.documentType)).toLowerCase())) continue;
+        
+        const amount = parseFloat(safeGetCellValue(row, columns.baseAmount, '')) ||
+          parseFloat(safeGetCellValue(row, columns.amount, '0')) || 0;
+        const invoiceDate = parseDateValue(safeGetCellValue(row, columns.date));
+        if (amount <= 0 || !invoiceDate) continue;
+        
+        const vendorName = String(safeGetCellValue(row, columns.vendorName));
+        const dueTerms = getAgeingDueDate(
+          invoiceDate,
+          parseDateValue(safeGetCellValue(row, columns.dueDate)),
+          String(safeGetCellValue(row, columns.paymentTerms)),
+          findVendorProfile(vendorProfiles, vendorName, String(safeGetCellValue(row, columns.vendorGstin)))
+        );
+        const daysOverdue = Math.floor((asOfDate.getTime() - dueTerms.dueDate.getTime()) / (24 * 60 * 60 * 1000));
+        
+        invoices.push({
+          type: flow.type,
+          uniqueFileId: String(safeGetCellValue(row, columns.uniqueFileId)),
+          fileUrl: String(safeGetCellValue(row, columns.fileUrl)),
+          vendorName: vendorName,
+          invoiceNumber: String(safeGetCellValue(row, columns.invoiceNumber)),
+          invoiceDate: invoiceDate,
+          dueDate: dueTerms.dueDate,
+          paymentTerms: dueTerms.paymentTerms,
+          daysOverdue: daysOverdue,
+          band: getAgeingBand(daysOverdue),
+          amount: amount
+        });
+      }
+    }
+    
+    return invoices;
+  }
+  
+  /**
+   * Due date for an existing invoice row, filling in rows booked without one
+   */
+  function getAgeingDueDate(invoiceDate, dueDate, paymentTerms, vendorProfile) {
+    if (dueDate) {
+      return { dueDate: dueDate, paymentTerms: paymentTerms };
+    }
+    
+    const termsDays = parsePaymentTermsDays(paymentTerms);
+    if (termsDays !== null) {
+      return { dueDate: addDays(invoiceDate, termsDays), paymentTerms: paymentTerms };
+    }
+    
+    if (vendorProfile && vendorProfile.defaultTermsDays !== null) {
+      return { dueDate: addDays(invoiceDate, vendorProfile.defaultTermsDays), paymentTerms: `Net ${vendorProfile.defaultTermsDays}` };
+    }
+    
+    const defaultDays = SYSTEM_CONFIG.AGEING.DEFAULT_TERMS_DAYS;
+    return { dueDate: addDays(invoiceDate, defaultDays), paymentTerms: `Net ${defaultDays} (default)` };
+  }
+  
+  /**
+   * Label of the band an invoice this many days past due falls in
+   */
+  function getAgeingBand(daysOverdue) {
+    const band = SYSTEM_CONFIG.AGEING.BANDS.find(candidate => daysOverdue <= candidate.maxDays);
+    return band.label;
+  }
+  
+  /**
+   * Totals per band for receivables and payables
+   */
+  function summarizeAgeing(invoices) {
+    const summarizeType = type => {
+      const typeInvoices = invoices.filter(invoice => invoice.type === type);
+      const bands = SYSTEM_CONFIG.AGEING.BANDS.map(band => {
+        const bandInvoices = typeInvoices.filter(invoice => invoice.band === band.label);
+        return {
+          label: band.label,
+          count: bandInvoices.length,
+          amount: roundCurrencyAmount(bandInvoices.reduce((sum, invoice) => sum + invoice.amount, 0))
+        };
+      });
+      
+      return {
+        count: typeInvoices.length,
+        total: roundCurrencyAmount(typeInvoices.reduce((sum, invoice) => sum + invoice.amount, 0)),
+        overdueCount: typeInvoices.filter(invoice => invoice.daysOverdue > 0).length,
+        bands: bands
+      };
+    };
+    
+    return {
+      asOf: formatIsoDate(new Date()),
+      currency: SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
+      receivables: summarizeType(SYSTEM_CONFIG.AGEING.TYPES.RECEIVABLE),
+      payables: summarizeType(SYSTEM_CONFIG.AGEING.TYPES.PAYABLE)
+    };
+  }
+  
+  /**
+   * Replace the Ageing sheet contents, oldest debts first
+   */
+  function writeAgeingSheet(ageingSheet, invoices) {
+    try {
+      setupSheetStructure(ageingSheet, SYSTEM_CONFIG.SHEETS.AGEING_SHEET_NAME);
+      
+      if (invoices.length === 0) return;
+      
+      const headers = SYSTEM_CONFIG.SHEETS.AGEING_COLUMNS;
+      const generatedOn = getCurrentTimestamp();
+      const values = invoices
+        .slice()
+        .sort((a, b) => a.type.localeCompare(b.type) || (b.daysOverdue - a.daysOverdue))
+        .map(invoice => buildRowFromHeaders(headers, {
+          'Type': invoice.type,
+          'Vendor Name': invoice.vendorName,
+          'Invoice Number': invoice.invoiceNumber,
+          'Invoice Date': formatIsoDate(invoice.invoiceDate),
+          'Due Date': formatIsoDate(invoice.dueDate),
+          'Payment Terms': invoice.paymentTerms,
+          'Days Overdue': Math.max(invoice.daysOverdue, 0),
+          'Band': invoice.band,
+          'Amount': invoice.amount.toFixed(2),
+          'File URL': invoice.fileUrl,
+          'Unique File ID': invoice.uniqueFileId,
+          'Generated On': generatedOn
+        }));
+      
+      ageingSheet.getRange(2, 1, values.length, headers.length).setValues(values);
+      
+    } catch (error) {
+      errorLog('Error writing ageing sheet', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Calendar date a number of days after another
+   */
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
@@ -3,15 +3,17 @@
  */
 
 /**
- * Process documents with AI for a specific client with comprehensive error handling
+ * Process documents with AI for a specific client with comprehensive error handling. Options (for the
+ * job runner): afterRow to resume after a buffer row, and deadline (ms timestamp) after which it stops
+ * and returns complete: false with the cursor to resume from.
  */
-function processClientDocumentsWithAI(clientName) {
+function processClientDocumentsWithAI_(clientName, options = {}) {
     try {
       validateInput(clientName, 'string', 'Client name');
       
       infoLog(`Starting AI processing for client: ${clientName}`);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -28,9 +30,16 @@ function processClientDocumentsWithAI(clientName) {
       const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
       const bufferSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME);
       const finalSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME);
+      const lineItemsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME);
+      const fxRates = getFXRates(spreadsheet);
+      const vendorProfiles = getVendorProfiles(spreadsheet);
+      const chartOfAccounts = getChartOfAccounts(spreadsheet);
+      const aiProvider = getAIProviderForClient(client);
       
-      // Get active files from buffer sheet (includes reactivated files)
-      const activeFiles = getActiveFilesFromBuffer(bufferSheet);
+      // Get active files from buffer sheet (includes reactivated files); a resumed job skips rows it
+      // already tried, so files that failed earlier in the job are not retried until the next job
+      const afterRow = options.afterRow || 0;
+      const activeFiles = getActiveFilesFromBuffer(bufferSheet).filter(fileData => fileData.rowIndex > afterRow);
       
       if (activeFiles.length === 0) {
         return {
@@ -41,7 +50,9 @@ function processClientDocumentsWithAI(clientName) {
           skipped: 0,
           reactivated: 0,
           errors: 0,
-          results: []
+          results: [],
+          complete: true,
+          cursor: { bufferRow: afterRow }
         };
       }
       
@@ -56,13 +67,30 @@ function processClientDocumentsWithAI(clientName) {
         outflowCount: 0,
         highConfidenceCount: 0,
         averageConfidence: 0,
-        results: []
+        accrualsReversed: 0,
+        possibleDuplicates: 0,
+        needsReview: 0,
+        schemaViolations: 0,
+        statementsImported: 0,
+        bankTransactionsImported: 0,
+        results: [],
+        complete: true,
+        cursor: { bufferRow: afterRow }
       };
       
       let totalConfidence = 0;
       let confidenceCount = 0;
       
+      // Documents already booked here for content-level duplicate checks; other clients are read on first check
+      const duplicateIndex = buildDuplicateIndex(spreadsheet, client.name);
+      
       for (const fileData of activeFiles) {
+        if (options.deadline && Date.now() >= options.deadline) {
+          results.complete = false;
+          break;
+        }
+        results.cursor.bufferRow = fileData.rowIndex;
+        
         try {
           // Check if this file was reactivated and needs special handling
           const isReactivated = isFileReactivated(fileData);
@@ -75,7 +103,7 @@ function processClientDocumentsWithAI(clientName) {
             debugLog(`Restored existing AI data for: ${fileData.originalFilename}`);
           } else {
             // File needs fresh AI processing
-            aiResult = processFileWithAI(fileData);
+            aiResult = processFileWithAI_(fileData, { vendorProfiles: vendorProfiles, chartOfAccounts: chartOfAccounts, provider: aiProvider, clientName: client.name });
           }
           
           if (aiResult.success) {
@@ -83,8 +111,42 @@ function processClientDocumentsWithAI(clientName) {
             updateBufferSheetWithAI(bufferSheet, fileData, aiResult.data);
             
             // Add to final sheet (check for duplicates first)
-            if (!isDuplicateInFinalSheet(finalSheet, fileData.fileUrl)) {
-              addToFinalSheet(finalSheet, fileData, aiResult.data);
+            const alreadyInFinalSheet = isDuplicateInFinalSheet(finalSheet, fileData.fileUrl);
+            const isBankStatement = Boolean(aiResult.data.statement);
+            let possibleDuplicate = null;
+            
+            if (!alreadyInFinalSheet && !isBankStatement) {
+              // Same invoice from a different file: forwarded twice, PDF and image, or another client
+              aiResult.data.fileHash = getDriveFileHash_(fileData.fileUrl);
+              if (!isDuplicateOverridden(fileData)) {
+                possibleDuplicate = findPossibleDuplicate(duplicateIndex, fileData, aiResult.data);
+              }
+            }
+            
+            // Low-confidence extractions wait in the buffer sheet until approved on the review screen
+            const heldForReview = !isBankStatement && !possibleDuplicate && !alreadyInFinalSheet && needsHumanReview(aiResult.data);
+            
+            if (isBankStatement) {
+              const statementImport = importBankStatement(spreadsheet, fileData, aiResult.data.statement);
+              markFileAsStatementImported(bufferSheet, fileData, statementImport);
+              results.statementsImported++;
+              results.bankTransactionsImported += statementImport.added;
+              
+            } else if (possibleDuplicate) {
+              markFileAsPossibleDuplicate(bufferSheet, fileData, possibleDuplicate, client.name);
+              results.possibleDuplicates++;
+              
+            } else if (heldForReview) {
+              markFileForReview(bufferSheet, fileData, aiResult.data);
+              results.needsReview++;
+              
+            } else if (!alreadyInFinalSheet) {
+              const booking = bookDocumentToFinalSheet(spreadsheet, finalSheet, lineItemsSheet, fileData, aiResult.data, fxRates);
+              addToDuplicateIndex(duplicateIndex, client.name, booking.uniqueId, fileData, aiResult.data);
+              
+              if (booking.accrualReversed) {
+                results.accrualsReversed++;
+              }
               
               // Update statistics
               if (aiResult.data.transactionType === SYSTEM_CONFIG.STATUS.INFLOW) {
@@ -107,6 +169,15 @@ function processClientDocumentsWithAI(clientName) {
               results.skipped++;
             }
             
+            // Held files already carry the violations in their review reason
+            const schemaViolations = aiResult.data.schemaViolations || [];
+            if (schemaViolations.length > 0 && !heldForReview) {
+              recordSchemaViolations(bufferSheet, fileData, schemaViolations);
+            }
+            if (schemaViolations.length > 0) {
+              results.schemaViolations++;
+            }
+            
             results.processed++;
             results.results.push({
               filename: fileData.originalFilename,
@@ -114,6 +185,9 @@ function processClientDocumentsWithAI(clientName) {
               success: true,
               data: aiResult.data,
               reactivated: isReactivated,
+              possibleDuplicate: Boolean(possibleDuplicate),
+              needsReview: heldForReview,
+              schemaViolations: aiResult.data.schemaViolations || [],
               confidence: aiResult.data.confidence
             });
             
@@ -160,7 +234,9 @@ function processClientDocumentsWithAI(clientName) {
         results.averageConfidence = totalConfidence / confidenceCount;
       }
       
-      const resultMessage = `AI processing completed for ${clientName}: ${results.processed}/${results.totalFiles} files processed successfully`;
+      const resultMessage = results.complete
+        ? `AI processing completed for ${clientName}: ${results.processed}/${results.totalFiles} files processed successfully`
+        : `AI processing paused for ${clientName}: ${results.processed}/${results.totalFiles} files processed so far`;
       
       infoLog(resultMessage, results);
       
@@ -311,7 +387,7 @@ function processClientDocumentsWithAI(clientName) {
   /**
    * Process a single file with Gemini AI with enhanced error handling
    */
-  function processFileWithAI(fileData) {
+  function processFileWithAI_(fileData, context = {}) {
     try {
       debugLog(`Processing file with AI: ${fileData.originalFilename}`);
       
@@ -339,35 +415,93 @@ function processClientDocumentsWithAI(clientName) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `File too large for AI processing: ${fileSize} bytes`);
       }
       
-      // Check if file type is supported for AI analysis
+      // CSV and Excel bank statements are read directly rather than by the AI provider
       const mimeType = file.getBlob().getContentType();
+      if (isTabularStatementFileName(fileData.originalFilename)) {
+        const tabularStatement = parseTabularBankStatement(file);
+        if (tabularStatement) {
+          return {
+            success: true,
+            data: {
+              ...buildStatementDocumentData(tabularStatement),
+              newFilename: fileData.originalFilename,
+              schemaViolations: [],
+              processingDate: getCurrentTimestamp()
+            }
+          };
+        }
+      }
+      
+      // Check if file type is supported for AI analysis
       if (!isAISupportedMimeType(mimeType)) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `Unsupported file type for AI analysis: ${mimeType}`);
       }
       
-      // Process with Gemini AI with retry logic
-      const aiResponse = retryWithBackoff(
-        () => callGeminiAPI(file, mimeType),
+      // Process with the configured AI provider with retry logic
+      const provider = context.provider || getAIProviderForClient(null);
+      const promptHints = buildVendorPromptHints(context.vendorProfiles, fileData) +
+        buildChartOfAccountsPromptHints(context.chartOfAccounts);
+      let aiResponse = retryWithBackoff(
+        () => provider.analyzeDocument(file, mimeType, promptHints),
         SYSTEM_CONFIG.AI.MAX_RETRIES,
         SYSTEM_CONFIG.PROCESSING.RETRY_DELAY,
-        `AI processing for ${fileData.originalFilename}`
+        `AI processing (${provider.name}) for ${fileData.originalFilename}`
       );
       
+      // One repair re-prompt when the reply does not match the response schema
+      let schemaViolations = validateExtractionResponse(aiResponse);
+      if (schemaViolations.length > 0) {
+        warnLog(`AI response for ${fileData.originalFilename} violates the response schema, re-prompting`, { violations: schemaViolations });
+        
+        const repairRequest = { previousResponse: aiResponse.rawResponse, violations: schemaViolations };
+        const repairedResponse = retryWithBackoff(
+          () => provider.analyzeDocument(file, mimeType, promptHints, repairRequest),
+          SYSTEM_CONFIG.AI.MAX_RETRIES,
+          SYSTEM_CONFIG.PROCESSING.RETRY_DELAY,
+          `AI schema repair (${provider.name}) for ${fileData.originalFilename}`
+        );
+        const repairedViolations = validateExtractionResponse(repairedResponse);
+        
+        // Keep the repaired reply unless it is unusable or worse than the original
+        if (repairedResponse.data && (!aiResponse.data || repairedViolations.length <= schemaViolations.length)) {
+          aiResponse = repairedResponse;
+          schemaViolations = repairedViolations;
+        }
+      }
+      
       if (aiResponse && aiResponse.data) {
         // Validate AI response
-        const validatedData = validateAndCleanAIResponse(aiResponse.data);
+        const validatedData = validateAndCleanAIResponse(aiResponse.data, context.vendorProfiles, context.chartOfAccounts);
+        
+        // Statements are imported line by line instead of being booked as one document
+        if (validatedData.documentType === 'statement') {
+          validatedData.statement = extractBankStatementWithAI(provider, file, mimeType);
+        }
         
         // Generate new filename based on AI data
         const newFilename = generateFilenameFromAIData(validatedData, fileData.originalFilename);
         
         // Rename file in Drive
-        try {
-          if (newFilename !== fileData.originalFilename) {
+        if (newFilename !== fileData.originalFilename) {
+          const auditEntry = {
+            action: SYSTEM_CONFIG.AUDIT.ACTIONS.AI_RENAME,
+            clientName: context.clientName,
+            fileId: fileData.fileId,
+            fileName: fileData.originalFilename,
+            before: fileData.originalFilename,
+            after: newFilename
+          };
+          
+          try {
             file.setName(newFilename);
             debugLog(`Renamed file in Drive: ${fileData.originalFilename} -> ${newFilename}`);
+          } catch (renameError) {
+            warnLog(`Could not rename file in Drive: ${renameError.message}`);
+            auditEntry.result = SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE;
+            auditEntry.details = renameError.message;
           }
-        } catch (renameError) {
-          warnLog(`Could not rename file in Drive: ${renameError.message}`);
+          
+          writeAuditLog_(auditEntry);
         }
         
         return {
@@ -376,15 +510,24 @@ function processClientDocumentsWithAI(clientName) {
             ...validatedData,
             newFilename: newFilename,
             confidence: aiResponse.confidence || 0.8,
+            schemaViolations: schemaViolations,
             processingDate: getCurrentTimestamp()
           }
         };
       } else {
-        throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, 'Invalid AI response structure');
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `Invalid AI response structure: ${formatSchemaViolations(schemaViolations)}`);
       }
       
     } catch (error) {
       errorLog(`Error processing file with AI: ${fileData.originalFilename}`, error);
+      writeAuditLog_({
+        action: SYSTEM_CONFIG.AUDIT.ACTIONS.AI_PROCESSING,
+        clientName: context.clientName,
+        fileId: fileData.fileId,
+        fileName: fileData.originalFilename,
+        result: SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE,
+        details: error.message
+      });
       return {
         success: false,
         error: error.message || 'Unknown AI processing error'
@@ -393,67 +536,115 @@ function processClientDocumentsWithAI(clientName) {
   }
   
   /**
-   * Call Gemini AI API with enhanced error handling
+   * Gemini provider: call the Gemini AI API with enhanced error handling. Output is constrained
+   * to the extraction JSON schema; repairRequest ({ previousResponse, violations }) continues the
+   * conversation with a re-prompt listing what was wrong with the previous reply.
    */
-  function callGeminiAPI(file, mimeType) {
+  function callGeminiAPI(file, mimeType, promptHints = '', repairRequest = null) {
+    const followUpTurns = repairRequest ? [
+      { role: 'model', parts: [{ text: repairRequest.previousResponse || '' }] },
+      { role: 'user', parts: [{ text: buildSchemaRepairPrompt(repairRequest) }] }
+    ] : [];
+    
+    const aiText = requestGeminiStructuredOutput(
+      file,
+      mimeType,
+      SYSTEM_CONFIG.AI.PROMPTS.DOCUMENT_ANALYSIS + promptHints,
+      getExtractionResponseSchema(),
+      followUpTurns
+    );
+    const parsed = parseStructuredAIResponse(aiText);
+    
+    return {
+      data: parsed.data,
+      parseError: parsed.parseError,
+      confidence: (parsed.data && parsed.data.confidence) || 0.8,
+      rawResponse: aiText
+    };
+  }
+  
+  /**
+   * Gemini provider: extract the transaction lines of a bank statement
+   */
+  function callGeminiStatementAPI(file, mimeType) {
+    const aiText = requestGeminiStructuredOutput(
+      file,
+      mimeType,
+      SYSTEM_CONFIG.AI.PROMPTS.BANK_STATEMENT,
+      getBankStatementResponseSchema(),
+      []
+    );
+    
+    return parseStructuredAIResponse(aiText).data;
+  }
+  
+  /**
+   * Gemini provider: find the page ranges of the separate documents in a combined PDF
+   */
+  function callGeminiSegmentationAPI(file, mimeType, pageCount) {
+    const aiText = requestGeminiStructuredOutput(
+      file,
+      mimeType,
+      buildSegmentationPrompt(pageCount),
+      getSegmentationResponseSchema(),
+      []
+    );
+    
+    return parseStructuredAIResponse(aiText).data;
+  }
+  
+  /**
+   * Send a document and prompt to Gemini with JSON output constrained to responseSchema.
+   * followUpTurns are appended after the first user turn. Returns the model's JSON text.
+   */
+  function requestGeminiStructuredOutput(file, mimeType, prompt, responseSchema, followUpTurns) {
+    let uploadedFile = null;
     try {
-      const apiKey = getGeminiApiKey();
+      const apiKey = getGeminiApiKey_();
       const url = `https://generativelanguage.googleapis.com/v1beta/models/${SYSTEM_CONFIG.AI.MODEL}:generateContent?key=${apiKey}`;
       
-      let payload;
+      let parts;
       
-      if (mimeType.startsWith('image/')) {
-        // For images, send both image and text prompt
-        const imageBytes = file.getBlob().getBytes();
-        const base64Image = Utilities.base64Encode(imageBytes);
+      if (mimeType.startsWith('image/') || mimeType === 'application/pdf') {
+        // Images and PDFs are sent as real document bytes so the model reads the actual content
+        const filePart = buildGeminiFilePart(file, mimeType, apiKey);
+        uploadedFile = filePart.uploadedFile;
         
-        payload = {
-          contents: [{
-            parts: [
-              { text: SYSTEM_CONFIG.AI.PROMPTS.DOCUMENT_ANALYSIS },
-              {
-                inline_data: {
-                  mime_type: mimeType,
-                  data: base64Image
-                }
-              }
-            ]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 2048,
-          }
-        };
+        parts = [
+          { text: prompt },
+          filePart.part
+        ];
       } else {
-        // For text content and PDFs
+        // For text content
         let content;
-        if (mimeType === 'application/pdf') {
-          content = extractPDFMetadata(file);
-        } else {
-          try {
-            content = file.getBlob().getDataAsString();
-          } catch (error) {
-            content = `File: ${file.getName()} (${mimeType}) - Content extraction failed: ${error.message}`;
-          }
+        try {
+          content = file.getBlob().getDataAsString();
+        } catch (error) {
+          content = `File: ${file.getName()} (${mimeType}) - Content extraction failed: ${error.message}`;
         }
         
-        payload = {
-          contents: [{
-            parts: [{
-              text: SYSTEM_CONFIG.AI.PROMPTS.DOCUMENT_ANALYSIS + "\n\nDocument content:\n" + content
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 2048,
-          }
-        };
+        parts = [{
+          text: prompt + "\n\nDocument content:\n" + content
+        }];
       }
       
+      const contents = [{
+        role: 'user',
+        parts: parts
+      }].concat(followUpTurns);
+      
+      const payload = {
+        contents: contents,
+        generationConfig: {
+          temperature: 0.1,
+          topK: 1,
+          topP: 1,
+          maxOutputTokens: 8192, // Room for invoices with many line items
+          responseMimeType: 'application/json',
+          responseSchema: responseSchema
+        }
+      };
+      
       const options = {
         method: 'POST',
         headers: {
@@ -462,7 +653,7 @@ function processClientDocumentsWithAI(clientName) {
         payload: JSON.stringify(payload)
       };
       
-      debugLog(`Making Gemini API call for file: ${file.getName()}`);
+      debugLog(`Making Gemini API call for file: ${file.getName()}${followUpTurns.length > 0 ? ' (follow-up)' : ''}`);
       
       const response = UrlFetchApp.fetch(url, options);
       const responseData = JSON.parse(response.getContentText());
@@ -473,29 +664,7 @@ function processClientDocumentsWithAI(clientName) {
       }
       
       if (responseData.candidates && responseData.candidates[0] && responseData.candidates[0].content) {
-        const aiText = responseData.candidates[0].content.parts[0].text;
-        
-        // Try to parse JSON response
-        let parsedData;
-        try {
-          // Clean the response to extract JSON
-          const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            parsedData = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error('No JSON found in AI response');
-          }
-        } catch (parseError) {
-          errorLog('Error parsing AI JSON response', parseError);
-          debugLog('Raw AI response:', aiText);
-          throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `Failed to parse AI response: ${parseError.message}`);
-        }
-        
-        return {
-          data: parsedData,
-          confidence: parsedData.confidence || 0.8,
-          rawResponse: aiText
-        };
+        return responseData.candidates[0].content.parts[0].text;
       } else {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, 'Invalid response structure from Gemini API');
       }
@@ -503,37 +672,165 @@ function processClientDocumentsWithAI(clientName) {
     } catch (error) {
       errorLog('Error calling Gemini API', error);
       throw error;
+    } finally {
+      if (uploadedFile) {
+        deleteGeminiUploadedFile_(uploadedFile.name);
+      }
     }
   }
+
   
   /**
-   * Extract PDF metadata for AI processing
+   * Build the Gemini content part for a binary document (PDF or image).
+   * Small files are sent as inline_data; larger ones go through the Gemini File API
+   * and are referenced by URI so multi-page PDFs are not limited by the inline request size.
    */
-  function extractPDFMetadata(file) {
+  function buildGeminiFilePart(file, mimeType, apiKey) {
     try {
-      const fileName = file.getName();
+      const blob = file.getBlob();
       const fileSize = file.getSize();
-      const dateCreated = file.getDateCreated();
       
-      return `PDF Document Analysis Request:
-  Filename: ${fileName}
-  File size: ${fileSize} bytes
-  Date created: ${dateCreated.toISOString()}
-  MIME type: application/pdf
+      if (fileSize <= SYSTEM_CONFIG.AI.MAX_INLINE_DATA_SIZE) {
+        return {
+          part: {
+            inline_data: {
+              mime_type: mimeType,
+              data: Utilities.base64Encode(blob.getBytes())
+            }
+          },
+          uploadedFile: null
+        };
+      }
+      
+      debugLog(`File exceeds inline limit, uploading to Gemini File API: ${file.getName()} (${fileSize} bytes)`);
+      const uploadedFile = uploadFileToGemini(blob, mimeType, file.getName(), apiKey);
+      
+      return {
+        part: {
+          file_data: {
+            mime_type: uploadedFile.mimeType || mimeType,
+            file_uri: uploadedFile.uri
+          }
+        },
+        uploadedFile: uploadedFile
+      };
+      
+    } catch (error) {
+      errorLog(`Error building Gemini file part for: ${file.getName()}`, error);
+      throw error;
+    }
+  }
   
-  This is a PDF document that needs financial information extraction.
-  Please analyze this document and extract:
-  - Transaction date
-  - Vendor/company name
-  - Invoice/document number
-  - Amount
-  - Document type (invoice, receipt, bill, etc.)
-  - Transaction type (inflow for income, outflow for expenses)
+  /**
+   * Upload a document to the Gemini File API using the resumable upload protocol
+   */
+  function uploadFileToGemini(blob, mimeType, displayName, apiKey) {
+    try {
+      const bytes = blob.getBytes();
+      
+      // Step 1: Start a resumable upload session
+      const startResponse = UrlFetchApp.fetch(
+        `https://generativelanguage.googleapis.com/upload/v1beta/files?key=${apiKey}`,
+        {
+          method: 'POST',
+          contentType: 'application/json',
+          headers: {
+            'X-Goog-Upload-Protocol': 'resumable',
+            'X-Goog-Upload-Command': 'start',
+            'X-Goog-Upload-Header-Content-Length': bytes.length.toString(),
+            'X-Goog-Upload-Header-Content-Type': mimeType
+          },
+          payload: JSON.stringify({ file: { display_name: displayName } }),
+          muteHttpExceptions: true
+        }
+      );
+      
+      if (startResponse.getResponseCode() !== 200) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED,
+          `Gemini file upload could not be started: HTTP ${startResponse.getResponseCode()}`
+        );
+      }
+      
+      const responseHeaders = startResponse.getHeaders();
+      const uploadUrl = Object.keys(responseHeaders)
+        .filter(header => header.toLowerCase() === 'x-goog-upload-url')
+        .map(header => responseHeaders[header])[0];
+      
+      if (!uploadUrl) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, 'Gemini file upload URL missing from response');
+      }
+      
+      // Step 2: Upload the bytes and finalize in a single request
+      const uploadResponse = UrlFetchApp.fetch(uploadUrl, {
+        method: 'POST',
+        contentType: mimeType,
+        headers: {
+          'X-Goog-Upload-Offset': '0',
+          'X-Goog-Upload-Command': 'upload, finalize'
+        },
+        payload: bytes,
+        muteHttpExceptions: true
+      });
+      
+      if (uploadResponse.getResponseCode() !== 200) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED,
+          `Gemini file upload failed: HTTP ${uploadResponse.getResponseCode()}`
+        );
+      }
+      
+      let uploadedFile = JSON.parse(uploadResponse.getContentText()).file;
+      if (!uploadedFile || !uploadedFile.uri) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, 'Invalid response from Gemini file upload');
+      }
+      
+      // Step 3: Large PDFs are processed asynchronously, wait until the file is usable
+      const deadline = Date.now() + SYSTEM_CONFIG.AI.FILE_UPLOAD_TIMEOUT;
+      while (uploadedFile.state === 'PROCESSING' && Date.now() < deadline) {
+        sleep(SYSTEM_CONFIG.AI.FILE_UPLOAD_POLL_INTERVAL);
+        const statusResponse = UrlFetchApp.fetch(
+          `https://generativelanguage.googleapis.com/v1beta/${uploadedFile.name}?key=${apiKey}`,
+          { method: 'GET', muteHttpExceptions: true }
+        );
+        if (statusResponse.getResponseCode() === 200) {
+          uploadedFile = JSON.parse(statusResponse.getContentText());
+        }
+      }
+      
+      if (uploadedFile.state && uploadedFile.state !== 'ACTIVE') {
+        deleteGeminiUploadedFile_(uploadedFile.name);
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED,
+          `Uploaded file not ready for analysis (state: ${uploadedFile.state})`
+        );
+      }
+      
+      debugLog(`Uploaded file to Gemini: ${displayName}`, { name: uploadedFile.name, uri: uploadedFile.uri });
+      return uploadedFile;
+      
+    } catch (error) {
+      errorLog(`Error uploading file to Gemini: ${displayName}`, error);
+      throw error;
+    }
+  }
   
-  Focus on finding invoice details, amounts, dates, and vendor information from this PDF document.`;
+  /**
+   * Delete a file previously uploaded to the Gemini File API
+   */
+  function deleteGeminiUploadedFile_(fileName) {
+    try {
+      if (!fileName) return;
+      
+      const apiKey = getGeminiApiKey_();
+      UrlFetchApp.fetch(
+        `https://generativelanguage.googleapis.com/v1beta/${fileName}?key=${apiKey}`,
+        { method: 'DELETE', muteHttpExceptions: true }
+      );
+      debugLog(`Deleted uploaded Gemini file: ${fileName}`);
     } catch (error) {
-      errorLog('Error extracting PDF metadata', error);
-      return `PDF Document: ${file.getName()} (metadata extraction failed - ${error.message})`;
+      // Uploaded files expire automatically, so a failed cleanup is not fatal
+      warnLog(`Could not delete uploaded Gemini file: ${fileName}`, error.message);
     }
   }
   
@@ -562,7 +859,7 @@ function processClientDocumentsWithAI(clientName) {
   /**
    * Validate and clean AI response data with comprehensive validation
    */
-  function validateAndCleanAIResponse(data) {
+  function validateAndCleanAIResponse(data, vendorProfiles = [], chartOfAccounts = []) {
     try {
       if (!data || typeof data !== 'object') {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'AI response data is not a valid object');
@@ -573,11 +870,16 @@ function processClientDocumentsWithAI(clientName) {
         vendorName: cleanAndValidateText(data.vendorName, 'Unknown_Vendor'),
         invoiceNumber: cleanAndValidateText(data.invoiceNumber, generateUniqueId().substring(0, 8)),
         amount: cleanAndValidateAmount(data.amount),
+        currency: cleanAndValidateCurrency(data.currency, data.amount),
         documentType: cleanAndValidateDocumentType(data.documentType),
         transactionType: cleanAndValidateTransactionType(data.transactionType),
-        confidence: cleanAndValidateConfidence(data.confidence)
+        confidence: cleanAndValidateConfidence(data.confidence),
+        lineItems: cleanAndValidateLineItems(data.lineItems)
       };
       
+      // GST breakdown for Indian invoices
+      Object.assign(validated, cleanAndValidateGSTDetails(data, validated.amount));
+      
       // Validate required fields
       if (!validated.vendorName || validated.vendorName === 'Unknown_Vendor') {
         validated.vendorName = 'Unknown_Vendor';
@@ -587,6 +889,15 @@ function processClientDocumentsWithAI(clientName) {
         validated.amount = '0.00';
       }
       
+      // Vendors corrected during review are always written the same way
+      snapVendorNameToProfile(validated, vendorProfiles);
+      
+      // Printed due date or terms, else the vendor's default terms
+      Object.assign(validated, resolvePaymentTerms(data, validated, vendorProfiles));
+      
+      // Vendor account rule, else the AI's pick from the chart of accounts
+      Object.assign(validated, resolveAccountCode(data, validated, vendorProfiles, chartOfAccounts));
+      
       debugLog('Validated AI response data', validated);
       return validated;
       
@@ -599,9 +910,15 @@ function processClientDocumentsWithAI(clientName) {
         vendorName: 'Unknown_Vendor',
         invoiceNumber: generateUniqueId().substring(0, 8),
         amount: '0.00',
+        currency: SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
         documentType: 'unknown',
         transactionType: SYSTEM_CONFIG.STATUS.INFLOW,
-        confidence: 0.5
+        confidence: 0.5,
+        lineItems: [],
+        dueDate: '',
+        paymentTerms: '',
+        accountCode: '',
+        ...cleanAndValidateGSTDetails({}, '0.00')
       };
     }
   }
@@ -695,6 +1012,24 @@ function processClientDocumentsWithAI(clientName) {
     }
   }
   
+  /**
+   * Clean and validate currency code, falling back to symbols in the raw amount and then the base currency
+   */
+  function cleanAndValidateCurrency(currencyInput, amountInput) {
+    try {
+      const code = currencyInput ? currencyInput.toString().trim().toUpperCase() : '';
+      if (isValidCurrencyCode(code)) {
+        return code;
+      }
+      
+      return detectCurrency(code) || detectCurrency(amountInput) || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY;
+      
+    } catch (error) {
+      debugLog(`Error cleaning currency: ${currencyInput}`, error);
+      return SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY;
+    }
+  }
+  
   /**
    * Clean and validate document type
    */
@@ -767,6 +1102,175 @@ function processClientDocumentsWithAI(clientName) {
     }
   }
   
+  /**
+   * Clean and validate GST fields: GSTINs (checksum and state code), place of supply and tax split
+   */
+  function cleanAndValidateGSTDetails(data, totalAmount) {
+    const gstDetails = {
+      vendorGstin: '',
+      buyerGstin: '',
+      placeOfSupply: '',
+      taxableValue: '0.00',
+      cgst: '0.00',
+      sgst: '0.00',
+      igst: '0.00',
+      cess: '0.00',
+      gstWarnings: []
+    };
+    
+    try {
+      gstDetails.vendorGstin = cleanAndValidateGSTIN(data.vendorGstin, 'Vendor', gstDetails.gstWarnings);
+      gstDetails.buyerGstin = cleanAndValidateGSTIN(data.buyerGstin, 'Buyer', gstDetails.gstWarnings);
+      gstDetails.placeOfSupply = cleanAndValidatePlaceOfSupply(data.placeOfSupply, gstDetails.buyerGstin);
+      
+      gstDetails.cgst = cleanAndValidateAmount(data.cgst);
+      gstDetails.sgst = cleanAndValidateAmount(data.sgst);
+      gstDetails.igst = cleanAndValidateAmount(data.igst);
+      gstDetails.cess = cleanAndValidateAmount(data.cess);
+      gstDetails.taxableValue = cleanAndValidateAmount(data.taxableValue);
+      
+      const cgst = parseFloat(gstDetails.cgst);
+      const sgst = parseFloat(gstDetails.sgst);
+      const igst = parseFloat(gstDetails.igst);
+      const cess = parseFloat(gstDetails.cess);
+      const total = parseFloat(totalAmount) || 0;
+      const totalTax = cgst + sgst + igst + cess;
+      
+      // Derive taxable value from the invoice total when only the taxes were printed
+      if (parseFloat(gstDetails.taxableValue) === 0 && totalTax > 0 && total > totalTax) {
+        gstDetails.taxableValue = (total - totalTax).toFixed(2);
+      }
+      
+      if (igst > 0 && (cgst > 0 || sgst > 0)) {
+        gstDetails.gstWarnings.push('Both IGST and CGST/SGST present');
+      }
+      
+      if (Math.abs(cgst - sgst) > SYSTEM_CONFIG.GST.TOTAL_TOLERANCE) {
+        gstDetails.gstWarnings.push('CGST and SGST differ');
+      }
+      
+      const taxableValue = parseFloat(gstDetails.taxableValue);
+      if (taxableValue > 0 && total > 0 &&
+          Math.abs(taxableValue + totalTax - total) > SYSTEM_CONFIG.GST.TOTAL_TOLERANCE) {
+        gstDetails.gstWarnings.push('Taxable value plus GST does not match total amount');
+      }
+      
+      if (gstDetails.gstWarnings.length > 0) {
+        warnLog('GST validation warnings', gstDetails.gstWarnings);
+      }
+      
+    } catch (error) {
+      debugLog('Error cleaning GST details', error);
+    }
+    
+    return gstDetails;
+  }
+  
+  /**
+   * Clean a GSTIN and keep it only if it passes checksum and state code validation
+   */
+  function cleanAndValidateGSTIN(gstinInput, label, warnings) {
+    if (!gstinInput) return '';
+    
+    const cleaned = gstinInput.toString().toUpperCase().replace(/[^0-9A-Z]/g, '');
+    if (!cleaned) return '';
+    
+    if (!isValidGSTIN(cleaned)) {
+      warnings.push(`${label} GSTIN failed validation: ${cleaned}`);
+      return '';
+    }
+    
+    return cleaned;
+  }
+  
+  /**
+   * Normalise place of supply to "NN-State Name", falling back to the buyer GSTIN state
+   */
+  function cleanAndValidatePlaceOfSupply(placeInput, buyerGstin) {
+    const stateCodes = SYSTEM_CONFIG.GST.STATE_CODES;
+    const cleaned = placeInput ? placeInput.toString().trim() : '';
+    
+    if (cleaned) {
+      const codeMatch = cleaned.match(/^(\d{1,2})\b/);
+      if (codeMatch) {
+        const code = codeMatch[1].padStart(2, '0');
+        if (stateCodes[code]) {
+          return `${code}-${stateCodes[code]}`;
+        }
+      }
+      
+      const nameMatch = Object.keys(stateCodes)
+        .find(code => stateCodes[code].toLowerCase() === cleaned.toLowerCase());
+      if (nameMatch) {
+        return `${nameMatch}-${stateCodes[nameMatch]}`;
+      }
+    }
+    
+    if (buyerGstin) {
+      const code = buyerGstin.substring(0, 2);
+      return `${code}-${stateCodes[code]}`;
+    }
+    
+    return cleaned;
+  }
+  
+  /**
+   * Clean and validate invoice line items
+   */
+  function cleanAndValidateLineItems(lineItemsInput) {
+    try {
+      if (!Array.isArray(lineItemsInput)) return [];
+      
+      const lineItems = [];
+      for (const item of lineItemsInput) {
+        if (!item || typeof item !== 'object') continue;
+        
+        const description = item.description ? item.description.toString().trim() : '';
+        const lineTotal = cleanAndValidateAmount(item.lineTotal);
+        
+        // Skip empty lines the model sometimes emits for table padding
+        if (!description && lineTotal === '0.00') continue;
+        
+        lineItems.push({
+          description: description,
+          hsnSac: item.hsnSac ? item.hsnSac.toString().replace(/\s+/g, '') : '',
+          quantity: cleanAndValidateQuantity(item.quantity),
+          unitPrice: cleanAndValidateAmount(item.unitPrice),
+          taxRate: cleanAndValidateTaxRate(item.taxRate),
+          lineTotal: lineTotal
+        });
+      }
+      
+      return lineItems;
+      
+    } catch (error) {
+      debugLog('Error cleaning line items', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Clean and validate line item quantity
+   */
+  function cleanAndValidateQuantity(quantityInput) {
+    const parsed = parseFloat((quantityInput || '').toString().replace(/[^\d.-]/g, ''));
+    return isNaN(parsed) ? '' : parsed.toString();
+  }
+  
+  /**
+   * Clean and validate tax rate as a percentage (0.18 and "18%" both become "18")
+   */
+  function cleanAndValidateTaxRate(taxRateInput) {
+    let parsed = parseFloat((taxRateInput || '').toString().replace(/[^\d.-]/g, ''));
+    if (isNaN(parsed)) return '';
+    
+    if (parsed > 0 && parsed < 1) {
+      parsed = parsed * 100;
+    }
+    
+    return (Math.round(parsed * 100) / 100).toString();
+  }
+  
   /**
    * Generate filename from AI data with proper formatting
    */
@@ -822,6 +1326,8 @@ function processClientDocumentsWithAI(clientName) {
       const reasonIndex = getColumnIndex(headers, 'Reason');
       const emailSubjectIndex = getColumnIndex(headers, 'Email Subject');
       const attemptsIndex = getColumnIndex(headers, 'Processing Attempts');
+      const accountOverrideIndex = getColumnIndex(headers, 'Account Override');
+      const fileIdIndex = getColumnIndex(headers, 'File ID');
       
       for (let i = 1; i < data.length; i++) {
         const row = data[i];
@@ -835,11 +1341,13 @@ function processClientDocumentsWithAI(clientName) {
             originalFilename: safeGetCellValue(row, originalFilenameIndex),
             changedFilename: safeGetCellValue(row, changedFilenameIndex),
             fileUrl: safeGetCellValue(row, fileUrlIndex),
+            fileId: safeGetCellValue(row, fileIdIndex),
             invoiceNumber: safeGetCellValue(row, invoiceNumberIndex),
             emailSubject: safeGetCellValue(row, emailSubjectIndex),
             status: status,
             reason: safeGetCellValue(row, reasonIndex),
-            attempts: attempts
+            attempts: attempts,
+            accountOverride: String(safeGetCellValue(row, accountOverrideIndex))
           };
           
           // Validate required fields
@@ -879,6 +1387,12 @@ function processClientDocumentsWithAI(clientName) {
         bufferSheet.getRange(fileData.rowIndex, invoiceNumberIndex + 1).setValue(aiData.invoiceNumber);
       }
       
+      // Keep the full extraction for the review screen
+      const aiDataIndex = getColumnIndex(headers, 'AI Data');
+      if (aiDataIndex !== -1) {
+        bufferSheet.getRange(fileData.rowIndex, aiDataIndex + 1).setValue(serializeAIDataForBuffer(aiData));
+      }
+      
       // Update last modified
       const lastModifiedIndex = getColumnIndex(headers, 'Last Modified');
       if (lastModifiedIndex !== -1) {
@@ -900,6 +1414,85 @@ function processClientDocumentsWithAI(clientName) {
     }
   }
   
+  /**
+   * Serialise AI data for the buffer sheet's AI Data column, dropping line items if the cell limit would be exceeded
+   */
+  function serializeAIDataForBuffer(aiData) {
+    let serialized = JSON.stringify(aiData);
+    
+    if (serialized.length > SYSTEM_CONFIG.REVIEW.MAX_AI_DATA_LENGTH) {
+      serialized = JSON.stringify({
+        ...aiData,
+        lineItems: [],
+        statement: aiData.statement ? { ...aiData.statement, transactions: [] } : undefined
+      });
+    }
+    
+    return serialized;
+  }
+  
+  /**
+   * Check whether an extraction is below the confidence threshold and must be reviewed before booking
+   */
+  function needsHumanReview(aiData) {
+    if (aiData.schemaViolations && aiData.schemaViolations.length > 0) {
+      return true;
+    }
+    
+    const confidence = parseFloat(aiData.confidence);
+    return !isNaN(confidence) && confidence < SYSTEM_CONFIG.AI.CONFIDENCE_THRESHOLD;
+  }
+  
+  /**
+   * Hold a low-confidence or schema-violating extraction in the buffer sheet for human review
+   */
+  function markFileForReview(bufferSheet, fileData, aiData) {
+    try {
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+      
+      const statusIndex = getColumnIndex(headers, 'Status');
+      if (statusIndex !== -1) {
+        bufferSheet.getRange(fileData.rowIndex, statusIndex + 1).setValue(SYSTEM_CONFIG.STATUS.NEEDS_REVIEW);
+      }
+      
+      const reasonIndex = getColumnIndex(headers, 'Reason');
+      if (reasonIndex !== -1) {
+        const confidencePercent = Math.round((parseFloat(aiData.confidence) || 0) * 100);
+        const hasViolations = aiData.schemaViolations && aiData.schemaViolations.length > 0;
+        const reviewReason = hasViolations
+          ? `Schema violations: ${formatSchemaViolations(aiData.schemaViolations)} - awaiting review (${getCurrentTimestamp()})`
+          : `Low AI confidence (${confidencePercent}%) - awaiting review (${getCurrentTimestamp()})`;
+        bufferSheet.getRange(fileData.rowIndex, reasonIndex + 1).setValue(reviewReason);
+      }
+      
+      debugLog(`Marked file for review: ${fileData.originalFilename}`);
+      
+    } catch (error) {
+      errorLog('Error marking file for review', error);
+    }
+  }
+  
+  /**
+   * Append remaining schema violations to a file's Reason cell after its status has been set
+   */
+  function recordSchemaViolations(bufferSheet, fileData, violations) {
+    try {
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+      const reasonIndex = getColumnIndex(headers, 'Reason');
+      if (reasonIndex === -1) return;
+      
+      const reasonCell = bufferSheet.getRange(fileData.rowIndex, reasonIndex + 1);
+      const existingReason = String(reasonCell.getValue() || '');
+      const violationNote = `Schema violations: ${formatSchemaViolations(violations)}`;
+      reasonCell.setValue(existingReason ? `${existingReason} | ${violationNote}` : violationNote);
+      
+      debugLog(`Recorded ${violations.length} schema violation(s) for: ${fileData.originalFilename}`);
+      
+    } catch (error) {
+      errorLog('Error recording schema violations', error);
+    }
+  }
+  
   /**
    * Mark file as failed in buffer sheet
    */
@@ -940,6 +1533,25 @@ function processClientDocumentsWithAI(clientName) {
     }
   }
   
+  /**
+   * Convert currency, add the document to the final sheet with its line items and reverse any matching accrual
+   */
+  function bookDocumentToFinalSheet(spreadsheet, finalSheet, lineItemsSheet, fileData, aiData, fxRates) {
+    applyCurrencyConversion(aiData, fxRates);
+    applyAccountOverride(aiData, fileData);
+    const uniqueId = addToFinalSheet(finalSheet, fileData, aiData);
+    
+    // Line items are linked back to the final row by its Unique File ID
+    if (aiData.lineItems && aiData.lineItems.length > 0) {
+      addLineItemsToSheet(lineItemsSheet, uniqueId, fileData, aiData);
+    }
+    
+    // A real invoice replaces the accrual recorded for it at month end
+    const accrualReversed = Boolean(reverseMatchingAccrual(spreadsheet, aiData, uniqueId));
+    
+    return { uniqueId: uniqueId, accrualReversed: accrualReversed };
+  }
+  
   /**
    * Add processed file to final sheet with comprehensive data
    */
@@ -949,28 +1561,47 @@ function processClientDocumentsWithAI(clientName) {
       const fileId = extractFileIdFromUrl(fileData.fileUrl);
       
       // Create row data matching final sheet structure
-      const rowData = [
-        aiData.newFilename || fileData.originalFilename,  // File Name
-        uniqueId,                                         // Unique File ID
-        fileId || '',                                     // Drive File ID
-        fileData.fileUrl,                                // File URL
-        '', // Message ID - would need to be passed from Gmail processing
-        fileData.emailSubject || '',                     // Email Subject
-        '', // Email Sender - would need to be passed from Gmail processing
-        aiData.transactionType,                          // Inflow/Outflow Status
-        aiData.date,                                     // Date
-        aiData.vendorName,                               // Vendor Name
-        aiData.invoiceNumber,                            // Invoice Number
-        aiData.amount,                                   // Amount
-        aiData.documentType,                             // Document Type
-        aiData.confidence,                               // AI Confidence
-        aiData.processingDate || getCurrentTimestamp(),  // Processing Date
-        getCurrentTimestamp()                            // Last Modified
-      ];
+      const headers = finalSheet.getRange(1, 1, 1, finalSheet.getLastColumn()).getValues()[0];
+      const rowData = buildRowFromHeaders(headers, {
+        'File Name': aiData.newFilename || fileData.originalFilename,
+        'Unique File ID': uniqueId,
+        'Drive File ID': fileId || '',
+        'File URL': fileData.fileUrl,
+        'Message ID': '', // Would need to be passed from Gmail processing
+        'Email Subject': fileData.emailSubject || '',
+        'Email Sender': '', // Would need to be passed from Gmail processing
+        'Inflow/Outflow Status': aiData.transactionType,
+        'Date': aiData.date,
+        'Vendor Name': aiData.vendorName,
+        'Invoice Number': aiData.invoiceNumber,
+        'Amount': aiData.amount,
+        'Document Type': aiData.documentType,
+        'AI Confidence': aiData.confidence,
+        'Processing Date': aiData.processingDate || getCurrentTimestamp(),
+        'Last Modified': getCurrentTimestamp(),
+        'Vendor GSTIN': aiData.vendorGstin,
+        'Buyer GSTIN': aiData.buyerGstin,
+        'Place of Supply': aiData.placeOfSupply,
+        'Taxable Value': aiData.taxableValue,
+        'CGST': aiData.cgst,
+        'SGST': aiData.sgst,
+        'IGST': aiData.igst,
+        'Cess': aiData.cess,
+        'Currency': aiData.currency,
+        'Original Amount': aiData.originalAmount,
+        'FX Rate': aiData.fxRate,
+        'Base Amount': aiData.baseAmount,
+        'File Hash': aiData.fileHash,
+        'Due Date': aiData.dueDate,
+        'Payment Terms': aiData.paymentTerms,
+        'Account': aiData.accountCode
+      });
       
       finalSheet.appendRow(rowData);
       debugLog(`Added file to final sheet: ${aiData.newFilename || fileData.originalFilename}`);
       
+      return uniqueId;
+      
     } catch (error) {
       errorLog('Error adding to final sheet', error);
       throw error;
@@ -978,62 +1609,61 @@ function processClientDocumentsWithAI(clientName) {
   }
   
   /**
-   * Batch process multiple clients with AI
+   * Add extracted invoice line items to the line items sheet
    */
-  function processAllClientsWithAI() {
+  function addLineItemsToSheet(lineItemsSheet, uniqueId, fileData, aiData) {
     try {
-      infoLog('Starting AI processing for all active clients');
-      const activeClients = getActiveClients();
-      
-      if (activeClients.length === 0) {
-        return {
-          success: true,
-          message: 'No active clients found',
-          results: []
+      const headers = lineItemsSheet.getRange(1, 1, 1, lineItemsSheet.getLastColumn()).getValues()[0];
+      const fileName = aiData.newFilename || fileData.originalFilename;
+      const dateAdded = getCurrentTimestamp();
+      
+      const rows = aiData.lineItems.map((item, index) => {
+        const rowData = new Array(headers.length).fill('');
+        const columnMappings = {
+          'Unique File ID': uniqueId,
+          'File Name': fileName,
+          'File URL': fileData.fileUrl,
+          'Line Number': index + 1,
+          'Description': item.description,
+          'HSN/SAC Code': item.hsnSac,
+          'Quantity': item.quantity,
+          'Unit Price': item.unitPrice,
+          'Tax Rate': item.taxRate,
+          'Line Total': item.lineTotal,
+          'Date Added': dateAdded
         };
-      }
+        
+        for (const [columnName, value] of Object.entries(columnMappings)) {
+          const columnIndex = getColumnIndex(headers, columnName);
+          if (columnIndex !== -1) {
+            rowData[columnIndex] = value;
+          }
+        }
+        
+        return rowData;
+      });
       
-      const results = [];
-      let successCount = 0;
-      let failureCount = 0;
+      // Write all lines in one call instead of appending row by row
+      lineItemsSheet.getRange(lineItemsSheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+      debugLog(`Added ${rows.length} line items for: ${fileName}`);
       
-      for (const client of activeClients) {
-        try {
-          infoLog(`Processing AI for client: ${client.name}`);
-          const result = processClientDocumentsWithAI(client.name);
-          results.push({
-            client: client.name,
-            success: true,
-            ...result
-          });
-          successCount++;
-          
-          // Add delay between clients to respect rate limits
-          sleep(SYSTEM_CONFIG.PROCESSING.RETRY_DELAY * 2);
-          
-        } catch (error) {
-          errorLog(`Error processing AI for client ${client.name}`, error);
-          results.push({
-            client: client.name,
-            success: false,
-            error: error.message,
-            code: error.code || 'UNKNOWN_ERROR'
-          });
-          failureCount++;
-        }
-      }
+    } catch (error) {
+      // Line items are supplementary; the final sheet row is already written
+      errorLog(`Error adding line items for: ${fileData.originalFilename}`, error);
+    }
+  }
+  
+  /**
+   * Batch process multiple clients with AI, as a job that continues in the background if it runs out
+   * of time (see JobRunner)
+   */
+  async function processAllClientsWithAI() {
+    try {
+      requireUserRole('admin');
       
-      const summary = {
-        success: true,
-        message: `Processed ${activeClients.length} clients: ${successCount} successful, ${failureCount} failed`,
-        totalClients: activeClients.length,
-        successCount: successCount,
-        failureCount: failureCount,
-        results: results
-      };
+      infoLog('Starting AI processing for all active clients');
       
-      infoLog('Completed AI processing for all clients', summary);
-      return summary;
+      return await startProcessingJob(SYSTEM_CONFIG.JOBS.TYPES.AI);
       
     } catch (error) {
       errorLog('Error in processAllClientsWithAI', error);
@@ -1047,8 +1677,9 @@ function processClientDocumentsWithAI(clientName) {
   function getAIProcessingStats(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -1066,8 +1697,11 @@ function processClientDocumentsWithAI(clientName) {
         inflowCount: 0,
         outflowCount: 0,
         reactivatedCount: 0,
+        possibleDuplicateCount: 0,
+        needsReviewCount: 0,
         highConfidenceCount: 0,
-        lastProcessed: null
+        lastProcessed: null,
+        aiProvider: getAIProviderForClient(client).name
       };
       
       // Analyze buffer sheet
@@ -1091,6 +1725,10 @@ function processClientDocumentsWithAI(clientName) {
             stats.pendingProcessing++;
           } else if (status === SYSTEM_CONFIG.STATUS.FAILED) {
             stats.failedProcessing++;
+          } else if (status === SYSTEM_CONFIG.STATUS.POSSIBLE_DUPLICATE) {
+            stats.possibleDuplicateCount++;
+          } else if (status === SYSTEM_CONFIG.STATUS.NEEDS_REVIEW) {
+            stats.needsReviewCount++;
           }
           
           if (reason && reason.toLowerCase().includes('reactivated')) {
@@ -1160,8 +1798,9 @@ function processClientDocumentsWithAI(clientName) {
   function retryFailedAIProcessing(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -1228,6 +1867,7 @@ function processClientDocumentsWithAI(clientName) {
   function analyzeAIProcessingQuality(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
       const stats = getAIProcessingStats(clientName);
       const analysis = {
@@ -1296,8 +1936,9 @@ function processClientDocumentsWithAI(clientName) {
   function cleanupOldAIData(clientName, daysOld = 30) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('admin');
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -0,0 +1,183 @@
+/**
+ * ApiAuth.gs - API keys for the doPost JSON API
+ *
+ * Callers send their key as "apiKey" in the JSON body (Apps Script does not expose request headers).
+ * Only a SHA-256 hash of each key is kept, in the script property API_KEY_<key id>, together with
+ * its scope. Keys are managed from the script editor with createApiKey, listApiKeys and revokeApiKey.
+ */
+
+/**
+ * Check a request's API key against the scope its action needs.
+ * Returns { authorized, keyId, scope, code, message }; code is the error code to answer a refused request with.
+ */
+function authorizeApiRequest(apiKey, action) {
+    try {
+      const record = findApiKeyRecord_(apiKey);
+      if (!record) {
+        return { authorized: false, code: SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED, message: 'Invalid or missing API key' };
+      }
+      
+      const requiredScope = SYSTEM_CONFIG.API.ACTION_SCOPES[action];
+      if (!requiredScope) {
+        return {
+          authorized: false,
+          keyId: record.keyId,
+          scope: record.scope,
+          code: SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT,
+          message: `Unknown action: ${action}`
+        };
+      }
+      
+      if (!hasApiScope(record.scope, requiredScope)) {
+        return {
+          authorized: false,
+          keyId: record.keyId,
+          scope: record.scope,
+          code: SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED,
+          message: `API key scope '${record.scope}' does not allow action '${action}' (requires '${requiredScope}')`
+        };
+      }
+      
+      return { authorized: true, keyId: record.keyId, scope: record.scope };
+      
+    } catch (error) {
+      errorLog('Error authorizing API request', error);
+      return { authorized: false, code: SYSTEM_CONFIG.ERROR_CODES.PERMISSION_DENIED, message: 'API key could not be verified' };
+    }
+  }
+  
+  /**
+   * Stored record { keyId, scope, label, createdAt } of a presented key, or null if it does not match
+   */
+  function findApiKeyRecord_(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') return null;
+    
+    const separatorIndex = apiKey.indexOf(SYSTEM_CONFIG.API.KEY_SEPARATOR);
+    if (separatorIndex <= 0) return null;
+    
+    const keyId = apiKey.substring(0, separatorIndex);
+    const stored = PropertiesService.getScriptProperties().getProperty(SYSTEM_CONFIG.API.KEY_PROPERTY_PREFIX + keyId);
+    if (!stored) return null;
+    
+    const record = JSON.parse(stored);
+    if (!constantTimeEquals(hashApiKey(apiKey), record.hash)) return null;
+    
+    return { keyId: keyId, scope: record.scope, label: record.label, createdAt: record.createdAt };
+  }
+  
+  /**
+   * Whether a key's scope covers the required scope; scopes are ordered read-only < process < admin
+   */
+  function hasApiScope(keyScope, requiredScope) {
+    const scopes = SYSTEM_CONFIG.API.SCOPES;
+    const keyLevel = scopes.indexOf(keyScope);
+    return keyLevel !== -1 && keyLevel >= scopes.indexOf(requiredScope);
+  }
+  
+  /**
+   * Create an API key. The key is only returned here; afterwards just its hash is stored.
+   */
+  function createApiKey(scope, label = '') {
+    try {
+      requireUserRole('admin');
+      
+      if (!SYSTEM_CONFIG.API.SCOPES.includes(scope)) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT,
+          `Scope must be one of: ${SYSTEM_CONFIG.API.SCOPES.join(', ')}`
+        );
+      }
+      
+      const keyId = Utilities.getUuid().replace(/-/g, '').substring(0, 12);
+      const secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+      const apiKey = keyId + SYSTEM_CONFIG.API.KEY_SEPARATOR + secret;
+      
+      PropertiesService.getScriptProperties().setProperty(
+        SYSTEM_CONFIG.API.KEY_PROPERTY_PREFIX + keyId,
+        JSON.stringify({ hash: hashApiKey(apiKey), scope: scope, label: label, createdAt: getCurrentTimestamp() })
+      );
+      
+      infoLog(`Created API key ${keyId} with scope: ${scope}`, { label: label });
+      
+      return {
+        success: true,
+        message: 'API key created. Store it now; it cannot be shown again.',
+        keyId: keyId,
+        scope: scope,
+        apiKey: apiKey
+      };
+      
+    } catch (error) {
+      errorLog('Error creating API key', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * List API keys without their hashes
+   */
+  function listApiKeys() {
+    requireUserRole('admin');
+    
+    const prefix = SYSTEM_CONFIG.API.KEY_PROPERTY_PREFIX;
+    const properties = PropertiesService.getScriptProperties().getProperties();
+    
+    return Object.keys(properties)
+      .filter(name => name.startsWith(prefix))
+      .map(name => {
+        try {
+          const record = JSON.parse(properties[name]);
+          return { keyId: name.substring(prefix.length), scope: record.scope, label: record.label, createdAt: record.createdAt };
+        } catch (error) {
+          warnLog(`Unreadable API key property: ${name}`, error);
+          return null;
+        }
+      })
+      .filter(key => key);
+  }
+  
+  /**
+   * Revoke an API key by its id (the part before the first dot)
+   */
+  function revokeApiKey(keyId) {
+    try {
+      requireUserRole('admin');
+      validateInput(keyId, 'string', 'Key ID');
+      
+      const properties = PropertiesService.getScriptProperties();
+      const propertyName = SYSTEM_CONFIG.API.KEY_PROPERTY_PREFIX + keyId;
+      if (!properties.getProperty(propertyName)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `API key '${keyId}' not found`);
+      }
+      
+      properties.deleteProperty(propertyName);
+      infoLog(`Revoked API key ${keyId}`);
+      
+      return { success: true, message: `API key ${keyId} revoked` };
+      
+    } catch (error) {
+      errorLog(`Error revoking API key: ${keyId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Hex SHA-256 of an API key
+   */
+  function hashApiKey(apiKey) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, apiKey, Utilities.Charset.UTF_8);
+    return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Compare two strings without returning early on the first difference
+   */
+  function constantTimeEquals(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
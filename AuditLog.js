@@ -0,0 +1,166 @@
+/**
+ * AuditLog.gs - Append-only audit log of state-changing operations in the master config spreadsheet
+ *
+ * Each entry records who did what to which client and file, the value before and after, and
+ * whether it succeeded. Rows are only ever appended; the sheet is protected so that only the
+ * script owner (the account the web app runs as) can edit it.
+ */
+
+/**
+ * Append one or more entries: { action, clientName, fileId, fileName, before, after, result, details }.
+ * Failing to write the log never fails the operation being logged.
+ */
+function writeAuditLog_(entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).filter(entry => entry);
+    if (list.length === 0) return;
+    
+    try {
+      const sheet = getAuditLogSheet_();
+      const headers = SYSTEM_CONFIG.SHEETS.AUDIT_LOG_COLUMNS;
+      const actor = getCurrentActor();
+      
+      // appendRow is atomic, so concurrent executions cannot overwrite each other's entries
+      for (const entry of list) {
+        sheet.appendRow(buildRowFromHeaders(headers, {
+          'Timestamp': getCurrentTimestamp(),
+          'Actor': actor,
+          'Action': entry.action,
+          'Client': entry.clientName || '',
+          'File ID': entry.fileId || '',
+          'File Name': entry.fileName || '',
+          'Before': formatAuditValue(entry.before),
+          'After': formatAuditValue(entry.after),
+          'Result': entry.result || SYSTEM_CONFIG.AUDIT.RESULTS.SUCCESS,
+          'Details': formatAuditValue(entry.details)
+        }));
+      }
+      
+      debugLog(`Wrote ${list.length} audit log entries`);
+      
+    } catch (error) {
+      errorLog(`Could not write ${list.length} audit log entries`, { error: error.message, entries: list });
+    }
+  }
+  
+  /**
+   * Audit log entries for the dashboard, newest first. Filters (all optional): clientName, action,
+   * result, actor (substring), search (substring of file, values and details), fromDate and toDate
+   * (YYYY-MM-DD) and limit. Non-admins only see entries for the clients they have access to.
+   */
+  function getAuditLog(filters = {}) {
+    try {
+      const access = requireUserRole('viewer');
+      const sheet = getAuditLogSheet_();
+      const auditConfig = SYSTEM_CONFIG.AUDIT;
+      
+      const limit = Math.max(1, parseInt(filters.limit, 10) || auditConfig.DEFAULT_QUERY_LIMIT);
+      const fromDate = filters.fromDate ? parseDateValue(filters.fromDate) : null;
+      const toDate = filters.toDate ? parseDateValue(filters.toDate) : null;
+      const before = toDate ? new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() + 1) : null;
+      const clientName = String(filters.clientName || '').trim().toLowerCase();
+      const actor = String(filters.actor || '').trim().toLowerCase();
+      const search = String(filters.search || '').trim().toLowerCase();
+      
+      const result = {
+        success: true,
+        entries: [],
+        matched: 0,
+        actions: Object.keys(auditConfig.ACTIONS).map(key => auditConfig.ACTIONS[key]),
+        lastUpdate: getCurrentTimestamp()
+      };
+      
+      if (sheet.getLastRow() <= 1) {
+        return result;
+      }
+      
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      
+      for (let i = data.length - 1; i >= 1; i--) {
+        const entry = {};
+        headers.forEach((header, index) => {
+          entry[header] = String(safeGetCellValue(data[i], index));
+        });
+        
+        // Entries without a client are only shown to admins
+        const visible = entry['Client'] ? canAccessClient(access, entry['Client']) : access.role === 'admin';
+        if (!visible) continue;
+        if (clientName && entry['Client'].toLowerCase() !== clientName) continue;
+        if (filters.action && entry['Action'] !== filters.action) continue;
+        if (filters.result && entry['Result'] !== filters.result) continue;
+        if (actor && !entry['Actor'].toLowerCase().includes(actor)) continue;
+        
+        const timestamp = new Date(entry['Timestamp']);
+        if ((fromDate && timestamp < fromDate) || (before && timestamp >= before)) continue;
+        
+        if (search) {
+          const text = [entry['File ID'], entry['File Name'], entry['Before'], entry['After'], entry['Details']].join(' ').toLowerCase();
+          if (!text.includes(search)) continue;
+        }
+        
+        result.matched++;
+        if (result.entries.length < limit) {
+          result.entries.push({
+            timestamp: entry['Timestamp'],
+            actor: entry['Actor'],
+            action: entry['Action'],
+            clientName: entry['Client'],
+            fileId: entry['File ID'],
+            fileName: entry['File Name'],
+            before: entry['Before'],
+            after: entry['After'],
+            result: entry['Result'],
+            details: entry['Details']
+          });
+        }
+      }
+      
+      return result;
+      
+    } catch (error) {
+      errorLog('Error reading audit log', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * The master config spreadsheet's Audit Log sheet, created and protected on first use
+   */
+  function getAuditLogSheet_() {
+    const spreadsheet = SpreadsheetApp.openById(getMasterConfigSheetId_());
+    let sheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.AUDIT_LOG_SHEET_NAME);
+    
+    if (!sheet) {
+      infoLog('Creating Audit Log sheet in master config');
+      // Appended after the clients sheet, which must stay first: getAllClients_ reads the first sheet
+      sheet = spreadsheet.insertSheet(SYSTEM_CONFIG.SHEETS.AUDIT_LOG_SHEET_NAME, spreadsheet.getNumSheets());
+      setupSheetStructure(sheet, SYSTEM_CONFIG.SHEETS.AUDIT_LOG_SHEET_NAME);
+      spreadsheet.setActiveSheet(spreadsheet.getSheets()[0]);
+      
+      // Values stay as written; Sheets must not turn file IDs or dates in Before/After into numbers
+      sheet.getRange(1, 1, sheet.getMaxRows(), SYSTEM_CONFIG.SHEETS.AUDIT_LOG_COLUMNS.length).setNumberFormat('@');
+      
+      try {
+        const protection = sheet.protect().setDescription('Audit log is append-only');
+        protection.removeEditors(protection.getEditors());
+        if (protection.canDomainEdit()) {
+          protection.setDomainEdit(false);
+        }
+      } catch (protectionError) {
+        warnLog('Could not protect the Audit Log sheet', protectionError);
+      }
+    }
+    
+    return sheet;
+  }
+  
+  /**
+   * Text for a Before/After/Details cell: objects as JSON, truncated to AUDIT.MAX_VALUE_LENGTH
+   */
+  function formatAuditValue(value) {
+    if (value === null || value === undefined) return '';
+    
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const maxLength = SYSTEM_CONFIG.AUDIT.MAX_VALUE_LENGTH;
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+  }
@@ -0,0 +1,453 @@
+/**
+ * BankReconciliation.gs - Match Bank Transactions against Inflow and Outflow invoices
+ *
+ * Credits are matched with Inflow invoices and debits with Outflow invoices. A match needs the amounts
+ * to agree, the payment date to fall in the window around the invoice date, and the vendor name or
+ * invoice number to appear in the narration or reference. One payment may settle several invoices and
+ * one invoice may be settled by several payments. Existing matches are kept; clear the Payment Status
+ * and Matched Transaction / Match Status and Matched Invoices cells to have a row matched again.
+ */
+
+/**
+ * Run bank reconciliation for a client
+ */
+function reconcileBankTransactions(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      infoLog(`Starting bank reconciliation for client: ${clientName}`);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const transactionsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME);
+      const transactions = getReconciliationTransactions(transactionsSheet);
+      
+      if (transactions.length === 0) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT,
+          'No bank transactions found. Process a bank statement first.'
+        );
+      }
+      
+      const summary = {
+        oneToOne: 0,
+        oneToMany: 0,
+        manyToOne: 0,
+        invoicesPaid: 0,
+        unpaidInvoices: 0,
+        transactionsMatched: 0,
+        unmatchedTransactions: 0
+      };
+      
+      const flows = [
+        { sheetName: SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.INFLOW },
+        { sheetName: SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.OUTFLOW }
+      ];
+      
+      for (const flow of flows) {
+        const flowSheet = getOrCreateSheet(spreadsheet, flow.sheetName);
+        const invoices = getReconciliationInvoices(flowSheet);
+        const flowTransactions = transactions.filter(transaction => transaction.direction === flow.direction);
+        
+        const matchCounts = matchTransactionsWithInvoices(flowTransactions, invoices);
+        summary.oneToOne += matchCounts.oneToOne;
+        summary.oneToMany += matchCounts.oneToMany;
+        summary.manyToOne += matchCounts.manyToOne;
+        
+        writeInvoicePaymentStatus(flowSheet, invoices);
+        summary.invoicesPaid += invoices.filter(invoice => invoice.matchedTransactionIds.length > 0).length;
+        summary.unpaidInvoices += invoices.filter(invoice => invoice.matchedTransactionIds.length === 0).length;
+      }
+      
+      writeTransactionMatchStatus(transactionsSheet, transactions);
+      summary.transactionsMatched = transactions.filter(transaction => transaction.matchedInvoiceIds.length > 0).length;
+      summary.unmatchedTransactions = transactions.length - summary.transactionsMatched;
+      
+      const result = {
+        success: true,
+        message: `Bank reconciliation completed for ${clientName}: ${summary.transactionsMatched}/${transactions.length} transactions matched, ` +
+          `${summary.invoicesPaid} invoices paid, ${summary.unpaidInvoices} unpaid`,
+        ...summary
+      };
+      
+      infoLog(`Bank reconciliation completed for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error reconciling bank transactions for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Match one direction's transactions and invoices in place. Single matches are found first so
+   * that group matches only use what is left. Returns the number of new matches of each kind.
+   */
+  function matchTransactionsWithInvoices(transactions, invoices) {
+    const counts = { oneToOne: 0, oneToMany: 0, manyToOne: 0 };
+    const isOpenTransaction = transaction => transaction.matchedInvoiceIds.length === 0;
+    const isOpenInvoice = invoice => invoice.matchedTransactionIds.length === 0;
+    const tolerance = SYSTEM_CONFIG.BANK_RECONCILIATION.AMOUNT_TOLERANCE;
+    
+    const sortedTransactions = transactions.slice().sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+    
+    // One payment, one invoice
+    for (const transaction of sortedTransactions.filter(isOpenTransaction)) {
+      const candidates = invoices
+        .filter(invoice => isOpenInvoice(invoice) &&
+          Math.abs(invoice.amount - transaction.amount) <= tolerance &&
+          isWithinPaymentWindow(transaction, invoice))
+        .map(invoice => ({ invoice: invoice, evidence: getNarrationEvidence(transaction, invoice) }))
+        .filter(candidate => candidate.evidence > 0)
+        .sort((a, b) => (b.evidence - a.evidence) ||
+          (getDaysBetween(a.invoice.date, transaction.date) - getDaysBetween(b.invoice.date, transaction.date)));
+      
+      if (candidates.length > 0) {
+        recordBankMatch([transaction], [candidates[0].invoice]);
+        counts.oneToOne++;
+      }
+    }
+    
+    // One payment settling several invoices
+    for (const transaction of sortedTransactions.filter(isOpenTransaction)) {
+      const candidates = invoices.filter(invoice => isOpenInvoice(invoice) &&
+        invoice.amount < transaction.amount + tolerance &&
+        isWithinPaymentWindow(transaction, invoice) &&
+        getNarrationEvidence(transaction, invoice) > 0);
+      
+      const group = findAmountGroup(candidates, transaction.amount);
+      if (group) {
+        recordBankMatch([transaction], group);
+        counts.oneToMany++;
+      }
+    }
+    
+    // Several payments (instalments) settling one invoice
+    for (const invoice of invoices.filter(isOpenInvoice)) {
+      const candidates = sortedTransactions.filter(transaction => isOpenTransaction(transaction) &&
+        transaction.amount < invoice.amount + tolerance &&
+        isWithinPaymentWindow(transaction, invoice) &&
+        getNarrationEvidence(transaction, invoice) > 0);
+      
+      const group = findAmountGroup(candidates, invoice.amount);
+      if (group) {
+        recordBankMatch(group, [invoice]);
+        counts.manyToOne++;
+      }
+    }
+    
+    return counts;
+  }
+  
+  /**
+   * Find the smallest group (2 to MAX_GROUP_SIZE items) whose amounts add up to the target
+   */
+  function findAmountGroup(candidates, targetAmount) {
+    const config = SYSTEM_CONFIG.BANK_RECONCILIATION;
+    const items = candidates.slice(0, config.MAX_GROUP_CANDIDATES);
+    
+    const search = (startIndex, size, remaining, chosen) => {
+      if (chosen.length === size) {
+        return Math.abs(remaining) <= config.AMOUNT_TOLERANCE ? chosen.slice() : null;
+      }
+      
+      for (let i = startIndex; i < items.length; i++) {
+        if (items[i].amount > remaining + config.AMOUNT_TOLERANCE) continue;
+        
+        chosen.push(items[i]);
+        const found = search(i + 1, size, remaining - items[i].amount, chosen);
+        chosen.pop();
+        
+        if (found) return found;
+      }
+      return null;
+    };
+    
+    for (let size = 2; size <= Math.min(config.MAX_GROUP_SIZE, items.length); size++) {
+      const group = search(0, size, targetAmount, []);
+      if (group) return group;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Link matched transactions and invoices to each other
+   */
+  function recordBankMatch(transactions, invoices) {
+    transactions.forEach(transaction => {
+      transaction.matchedInvoiceIds = invoices.map(invoice => invoice.uniqueFileId);
+      transaction.changed = true;
+    });
+    invoices.forEach(invoice => {
+      invoice.matchedTransactionIds = transactions.map(transaction => transaction.transactionId);
+      invoice.changed = true;
+    });
+  }
+  
+  /**
+   * How strongly the narration points at the invoice: 2 for the invoice number, 1 for the vendor name, 0 for neither
+   */
+  function getNarrationEvidence(transaction, invoice) {
+    const invoiceKey = String(invoice.invoiceNumber || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (invoiceKey.length >= 4 && transaction.searchText.replace(/[^a-z0-9]/g, '').includes(invoiceKey)) {
+      return 2;
+    }
+    
+    const vendorKey = normalizeVendorName(invoice.vendorName);
+    if (vendorKey.length < 4) return 0;
+    
+    // Narrations are often truncated ("NEFT-ACMESOFTWARESE"), so the first significant word is enough
+    const firstWord = String(invoice.vendorName).toLowerCase()
+      .split(/[_\W]+/)
+      .find(word => word.length >= 4 && normalizeVendorName(word));
+    
+    return transaction.vendorText.includes(vendorKey) || (firstWord && transaction.vendorText.includes(firstWord)) ? 1 : 0;
+  }
+  
+  /**
+   * Payments may come a little before (advances) or well after the invoice date
+   */
+  function isWithinPaymentWindow(transaction, invoice) {
+    if (!transaction.date || !invoice.date) return false;
+    
+    const daysAfterInvoice = (transaction.date.getTime() - invoice.date.getTime()) / (24 * 60 * 60 * 1000);
+    return daysAfterInvoice >= -SYSTEM_CONFIG.BANK_RECONCILIATION.DAYS_BEFORE_INVOICE &&
+      daysAfterInvoice <= SYSTEM_CONFIG.BANK_RECONCILIATION.DAYS_AFTER_INVOICE;
+  }
+  
+  /**
+   * Absolute number of days between two dates
+   */
+  function getDaysBetween(firstDate, secondDate) {
+    return Math.abs(firstDate.getTime() - secondDate.getTime()) / (24 * 60 * 60 * 1000);
+  }
+  
+  /**
+   * Read bank transactions with their current match state
+   */
+  function getReconciliationTransactions(transactionsSheet) {
+    if (transactionsSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = transactionsSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      transactionId: getColumnIndex(headers, 'Transaction ID'),
+      date: getColumnIndex(headers, 'Date'),
+      narration: getColumnIndex(headers, 'Narration'),
+      reference: getColumnIndex(headers, 'Reference'),
+      debit: getColumnIndex(headers, 'Debit'),
+      credit: getColumnIndex(headers, 'Credit'),
+      matchedInvoices: getColumnIndex(headers, 'Matched Invoices')
+    };
+    const separator = SYSTEM_CONFIG.BANK_RECONCILIATION.MATCHED_ID_SEPARATOR;
+    
+    const transactions = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const transactionId = String(safeGetCellValue(row, columns.transactionId));
+      const debit = parseFloat(safeGetCellValue(row, columns.debit, '0')) || 0;
+      const credit = parseFloat(safeGetCellValue(row, columns.credit, '0')) || 0;
+      const date = parseDateValue(safeGetCellValue(row, columns.date));
+      if (!transactionId || (debit === 0 && credit === 0)) continue;
+      
+      const narration = String(safeGetCellValue(row, columns.narration));
+      const reference = String(safeGetCellValue(row, columns.reference));
+      const matchedInvoices = String(safeGetCellValue(row, columns.matchedInvoices));
+      
+      transactions.push({
+        rowIndex: i + 1,
+        transactionId: transactionId,
+        date: date,
+        dateKey: formatIsoDate(parseDateValue(date)),
+        narration: narration,
+        amount: credit > 0 ? credit : debit,
+        direction: credit > 0 ? SYSTEM_CONFIG.STATUS.INFLOW : SYSTEM_CONFIG.STATUS.OUTFLOW,
+        searchText: `${narration} ${reference}`.toLowerCase(),
+        vendorText: normalizeVendorName(`${narration} ${reference}`),
+        matchedInvoiceIds: matchedInvoices ? matchedInvoices.split(separator.trim()).map(id => id.trim()).filter(id => id) : [],
+        changed: false
+      });
+    }
+    
+    return transactions;
+  }
+  
+  /**
+   * Read Inflow or Outflow invoices with their current payment state. Amounts are compared in the
+   * base currency, which is what the bank account holds.
+   */
+  function getReconciliationInvoices(flowSheet) {
+    if (flowSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = flowSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      uniqueFileId: getColumnIndex(headers, 'Unique File ID'),
+      date: getColumnIndex(headers, 'Date'),
+      vendorName: getColumnIndex(headers, 'Vendor Name'),
+      invoiceNumber: getColumnIndex(headers, 'Invoice Number'),
+      amount: getColumnIndex(headers, 'Amount'),
+      baseAmount: getColumnIndex(headers, 'Base Amount'),
+      matchedTransaction: getColumnIndex(headers, 'Matched Transaction'),
+      documentType: getColumnIndex(headers, 'Document Type')
+    };
+    const separator = SYSTEM_CONFIG.BANK_RECONCILIATION.MATCHED_ID_SEPARATOR;
+    const invoiceTypes = SYSTEM_CONFIG.ACCOUNTING_EXPORT.INVOICE_DOCUMENT_TYPES;
+    
+    const invoices = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const uniqueFileId = String(safeGetCellValue(row, columns.uniqueFileId));
+      const amount = parseFloat(safeGetCellValue(row, columns.baseAmount, '')) ||
+        parseFloat(safeGetCellValue(row, columns.amount, '0')) || 0;
+      if (!uniqueFileId || amount <= 0) continue;
+      // Receipts are already-paid documents, not invoices a bank line could settle
+      if (!invoiceTypes.includes(String(safeGetCellValue(row, columns.documentType)).toLowerCase())) continue;
+      
+      const matchedTransaction = String(safeGetCellValue(row, columns.matchedTransaction));
+      
+      invoices.push({
+        rowIndex: i + 1,
+        uniqueFileId: uniqueFileId,
+        date: parseDateValue(safeGetCellValue(row, columns.date)),
+        vendorName: String(safeGetCellValue(row, columns.vendorName)),
+        invoiceNumber: String(safeGetCellValue(row, columns.invoiceNumber)),
+        amount: amount,
+        matchedTransactionIds: matchedTransaction ? matchedTransaction.split(separator.trim()).map(id => id.trim()).filter(id => id) : [],
+        changed: false
+      });
+    }
+    
+    return invoices;
+  }
+  
+  /**
+   * Write Payment Status and Matched Transaction for every invoice row
+   */
+  function writeInvoicePaymentStatus(flowSheet, invoices) {
+    const headers = flowSheet.getRange(1, 1, 1, flowSheet.getLastColumn()).getValues()[0];
+    const statusIndex = getColumnIndex(headers, 'Payment Status');
+    const matchedIndex = getColumnIndex(headers, 'Matched Transaction');
+    const paymentStatus = SYSTEM_CONFIG.BANK_RECONCILIATION.PAYMENT_STATUS;
+    
+    if (statusIndex === -1 || matchedIndex === -1) {
+      warnLog(`Sheet ${flowSheet.getName()} has no Payment Status / Matched Transaction columns`);
+      return;
+    }
+    
+    writeMatchColumns(flowSheet, statusIndex, matchedIndex, invoices.map(invoice => ({
+      rowIndex: invoice.rowIndex,
+      status: invoice.matchedTransactionIds.length > 0 ? paymentStatus.PAID : paymentStatus.UNPAID,
+      matchedIds: invoice.changed ? invoice.matchedTransactionIds : null
+    })));
+  }
+  
+  /**
+   * Write Match Status and Matched Invoices for every transaction row
+   */
+  function writeTransactionMatchStatus(transactionsSheet, transactions) {
+    const headers = transactionsSheet.getRange(1, 1, 1, transactionsSheet.getLastColumn()).getValues()[0];
+    const statusIndex = getColumnIndex(headers, 'Match Status');
+    const matchedIndex = getColumnIndex(headers, 'Matched Invoices');
+    const matchStatus = SYSTEM_CONFIG.BANK_RECONCILIATION.MATCH_STATUS;
+    
+    if (statusIndex === -1 || matchedIndex === -1) {
+      warnLog('Bank Transactions sheet has no Match Status / Matched Invoices columns');
+      return;
+    }
+    
+    writeMatchColumns(transactionsSheet, statusIndex, matchedIndex, transactions.map(transaction => ({
+      rowIndex: transaction.rowIndex,
+      status: transaction.matchedInvoiceIds.length > 0 ? matchStatus.MATCHED : matchStatus.UNMATCHED,
+      matchedIds: transaction.changed ? transaction.matchedInvoiceIds : null
+    })));
+  }
+  
+  /**
+   * Update the status and matched-ID columns in one read and one write per column.
+   * matchedIds is null for rows whose existing match is left as it is.
+   */
+  function writeMatchColumns(sheet, statusIndex, matchedIndex, updates) {
+    const rowCount = sheet.getLastRow() - 1;
+    if (rowCount <= 0 || updates.length === 0) return;
+    
+    const statusRange = sheet.getRange(2, statusIndex + 1, rowCount, 1);
+    const matchedRange = sheet.getRange(2, matchedIndex + 1, rowCount, 1);
+    const statusValues = statusRange.getValues();
+    const matchedValues = matchedRange.getValues();
+    
+    for (const update of updates) {
+      statusValues[update.rowIndex - 2][0] = update.status;
+      if (update.matchedIds) {
+        matchedValues[update.rowIndex - 2][0] = update.matchedIds.join(SYSTEM_CONFIG.BANK_RECONCILIATION.MATCHED_ID_SEPARATOR);
+      }
+    }
+    
+    statusRange.setValues(statusValues);
+    matchedRange.setValues(matchedValues);
+  }
+  
+  /**
+   * Unmatched transactions and unpaid invoices for the client page review list
+   */
+  function getBankReconciliationSummary_(clientName, limit = 20) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const transactionsSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME);
+      const transactions = transactionsSheet ? getReconciliationTransactions(transactionsSheet) : [];
+      const unmatchedTransactions = transactions.filter(transaction => transaction.matchedInvoiceIds.length === 0);
+      
+      const unpaidInvoices = [];
+      for (const sheetName of [SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME, SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME]) {
+        const flowSheet = spreadsheet.getSheetByName(sheetName);
+        if (!flowSheet) continue;
+        
+        getReconciliationInvoices(flowSheet)
+          .filter(invoice => invoice.matchedTransactionIds.length === 0)
+          .forEach(invoice => unpaidInvoices.push({ ...invoice, sheetName: sheetName }));
+      }
+      
+      const byDateDescending = (a, b) => (b.date ? b.date.getTime() : 0) - (a.date ? a.date.getTime() : 0);
+      
+      return {
+        transactionCount: transactions.length,
+        matchedCount: transactions.length - unmatchedTransactions.length,
+        unmatchedCount: unmatchedTransactions.length,
+        unpaidCount: unpaidInvoices.length,
+        unmatchedTransactions: unmatchedTransactions.sort(byDateDescending).slice(0, limit).map(transaction => ({
+          date: transaction.dateKey,
+          narration: transaction.narration,
+          amount: transaction.amount,
+          direction: transaction.direction
+        })),
+        unpaidInvoices: unpaidInvoices.sort(byDateDescending).slice(0, limit).map(invoice => ({
+          date: formatIsoDate(parseDateValue(invoice.date)),
+          vendorName: invoice.vendorName,
+          invoiceNumber: invoice.invoiceNumber,
+          amount: invoice.amount,
+          sheetName: invoice.sheetName
+        }))
+      };
+      
+    } catch (error) {
+      errorLog(`Error getting bank reconciliation summary for client: ${clientName}`, error);
+      throw error;
+    }
+  }
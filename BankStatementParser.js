@@ -0,0 +1,433 @@
+/**
+ * BankStatementParser.gs - Parse bank statements (PDF, CSV, XLSX) into rows on the "Bank Transactions" sheet
+ *
+ * A statement is { bankName, accountNumber, currency, periodStart, periodEnd, openingBalance,
+ * closingBalance, transactions: [{ date, narration, reference, debit, credit, balance }] } with
+ * dates as YYYY-MM-DD strings and amounts as numbers (balances null when not printed).
+ */
+
+/**
+ * Read a CSV or Excel file as a bank statement. Returns null when no statement header row is found,
+ * so other spreadsheets fall through to the normal document flow.
+ */
+function parseTabularBankStatement(file) {
+    try {
+      const values = readSpreadsheetFileValues(file);
+      const statement = parseBankStatementValues(values);
+      
+      if (statement) {
+        debugLog(`Parsed ${statement.transactions.length} transactions from tabular statement: ${file.getName()}`);
+      }
+      return statement;
+      
+    } catch (error) {
+      errorLog(`Error parsing tabular bank statement: ${file.getName()}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether a file name has a CSV or Excel extension
+   */
+  function isTabularStatementFileName(fileName) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    return SYSTEM_CONFIG.BANK_STATEMENTS.TABULAR_EXTENSIONS.includes(extension);
+  }
+  
+  /**
+   * Parse sheet values of a bank statement export. Banks label columns differently, so the header row
+   * is the first row with a date column, a balance or narration column, and debit/credit or amount columns.
+   * Sales registers and ledger exports look the same, so the table must also have a balance column, or
+   * the sheet an account number above it or an opening or closing balance.
+   */
+  function parseBankStatementValues(values) {
+    const findColumn = (headers, pattern) => headers.findIndex(header => pattern.test(header));
+    const mapColumns = headers => {
+      const transactionDate = findColumn(headers, /^(txn|tran|transaction|posting)\.? ?date|^date$/);
+      return {
+        date: transactionDate !== -1 ? transactionDate : findColumn(headers, /date/),
+        narration: findColumn(headers, /narration|description|particulars|details|remarks/),
+        reference: findColumn(headers, /ref|chq|cheque|utr/),
+        debit: findColumn(headers, /debit|withdrawal|^dr\.?$|paid out/),
+        credit: findColumn(headers, /credit|deposit|^cr\.?$|paid in/),
+        amount: findColumn(headers, /^(txn |transaction )?amount/),
+        direction: findColumn(headers, /^(dr ?\/ ?cr|cr ?\/ ?dr|type)$/),
+        balance: findColumn(headers, /balance/)
+      };
+    };
+    
+    let headerRowIndex = -1;
+    let columns = null;
+    for (let i = 0; i < Math.min(values.length, 50) && headerRowIndex === -1; i++) {
+      const headers = values[i].map(cell => String(cell).trim().toLowerCase());
+      const candidate = mapColumns(headers);
+      const hasAmounts = (candidate.debit !== -1 && candidate.credit !== -1) || candidate.amount !== -1;
+      
+      if (candidate.date !== -1 && hasAmounts && (candidate.balance !== -1 || candidate.narration !== -1)) {
+        headerRowIndex = i;
+        columns = candidate;
+      }
+    }
+    
+    if (headerRowIndex === -1) {
+      return null;
+    }
+    
+    const accountNumber = findStatementAccountNumber(values.slice(0, headerRowIndex));
+    const hasBalanceSummary = values.some(row =>
+      row.some(cell => /opening balance|closing balance|balance b\/?f|brought forward/i.test(String(cell)))
+    );
+    if (columns.balance === -1 && !accountNumber && !hasBalanceSummary) {
+      return null;
+    }
+    
+    const cellNumber = (row, index) => index === -1 ? 0 : Math.abs(parseFloat(parseAmount(String(safeGetCellValue(row, index)))) || 0);
+    const cellBalance = (row, index) => {
+      const text = String(safeGetCellValue(row, index)).trim();
+      if (index === -1 || text === '') return null;
+      
+      // Overdrawn balances are often printed as "1,200.00 Dr"
+      const balance = parseFloat(parseAmount(text)) || 0;
+      return /dr\.?$/i.test(text) ? -Math.abs(balance) : balance;
+    };
+    
+    const statement = {
+      bankName: '',
+      accountNumber: accountNumber,
+      currency: SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
+      periodStart: '',
+      periodEnd: '',
+      openingBalance: null,
+      closingBalance: null,
+      transactions: []
+    };
+    
+    for (let i = headerRowIndex + 1; i < values.length; i++) {
+      const row = values[i];
+      const narration = String(safeGetCellValue(row, columns.narration)).trim();
+      
+      if (/opening balance|balance b\/?f|brought forward/i.test(narration)) {
+        statement.openingBalance = cellBalance(row, columns.balance);
+        continue;
+      }
+      if (/closing balance|balance c\/?f|carried forward/i.test(narration)) {
+        statement.closingBalance = cellBalance(row, columns.balance);
+        continue;
+      }
+      
+      // Totals, page footers and blank lines have no transaction date
+      const date = parseStatementDate(safeGetCellValue(row, columns.date));
+      if (!date) continue;
+      
+      let debit = cellNumber(row, columns.debit);
+      let credit = cellNumber(row, columns.credit);
+      
+      if (columns.debit === -1 || columns.credit === -1) {
+        const signedAmount = parseFloat(parseAmount(String(safeGetCellValue(row, columns.amount)))) || 0;
+        const direction = String(safeGetCellValue(row, columns.direction)).trim().toLowerCase();
+        const isDebit = direction ? /^d/.test(direction) : signedAmount < 0;
+        debit = isDebit ? Math.abs(signedAmount) : 0;
+        credit = isDebit ? 0 : Math.abs(signedAmount);
+      }
+      
+      if (debit === 0 && credit === 0) continue;
+      
+      statement.transactions.push({
+        date: date,
+        narration: narration,
+        reference: String(safeGetCellValue(row, columns.reference)).trim(),
+        debit: debit,
+        credit: credit,
+        balance: cellBalance(row, columns.balance)
+      });
+    }
+    
+    if (statement.transactions.length === 0) {
+      return null;
+    }
+    
+    return completeStatementSummary(statement);
+  }
+  
+  /**
+   * Look for an account number in the rows above the transaction table
+   */
+  function findStatementAccountNumber(headerRows) {
+    for (const row of headerRows) {
+      for (let i = 0; i < row.length; i++) {
+        const cell = String(row[i]).trim();
+        if (!/a\/?c(count)?\.? ?(no|number|#)/i.test(cell)) continue;
+        
+        const inline = cell.match(/(\d[\dX*]{5,})/i);
+        if (inline) return inline[1];
+        
+        const next = String(row[i + 1] || '').trim().match(/(\d[\dX*]{5,})/i);
+        if (next) return next[1];
+      }
+    }
+    return '';
+  }
+  
+  /**
+   * Parse a statement date: sheet dates, YYYY-MM-DD, DD/MM/YYYY, DD/MM/YY and DD-MMM-YYYY.
+   * Returns YYYY-MM-DD or '' when the value is not a date.
+   */
+  function parseStatementDate(value) {
+    if (!value) return '';
+    
+    let date = parseDateValue(value);
+    
+    if (!date) {
+      const text = String(value).trim();
+      const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+      const namedMonth = text.match(/^(\d{1,2})[-\/ ]([a-z]{3})[a-z]*[-\/ ,]+(\d{2}|\d{4})$/i);
+      const shortYear = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2})$/);
+      
+      if (namedMonth && months.includes(namedMonth[2].toLowerCase())) {
+        const year = parseInt(namedMonth[3], 10);
+        date = new Date(year < 100 ? 2000 + year : year, months.indexOf(namedMonth[2].toLowerCase()), parseInt(namedMonth[1], 10));
+      } else if (shortYear) {
+        date = new Date(2000 + parseInt(shortYear[3], 10), parseInt(shortYear[2], 10) - 1, parseInt(shortYear[1], 10));
+      }
+    }
+    
+    return formatIsoDate(date);
+  }
+  
+  /**
+   * Fill in period and missing opening/closing balances from the running balances
+   */
+  function completeStatementSummary(statement) {
+    const transactions = statement.transactions;
+    const first = transactions[0];
+    const last = transactions[transactions.length - 1];
+    
+    if (statement.openingBalance === null && first.balance !== null) {
+      statement.openingBalance = roundCurrencyAmount(first.balance - first.credit + first.debit);
+    }
+    if (statement.closingBalance === null && last.balance !== null) {
+      statement.closingBalance = last.balance;
+    }
+    
+    const dates = transactions.map(transaction => transaction.date).sort();
+    statement.periodStart = statement.periodStart || dates[0];
+    statement.periodEnd = statement.periodEnd || dates[dates.length - 1];
+    
+    return statement;
+  }
+  
+  /**
+   * Extract a PDF or scanned statement with the client's AI provider
+   */
+  function extractBankStatementWithAI(provider, file, mimeType) {
+    const response = retryWithBackoff(
+      () => provider.extractBankStatement(file, mimeType),
+      SYSTEM_CONFIG.AI.MAX_RETRIES,
+      SYSTEM_CONFIG.PROCESSING.RETRY_DELAY,
+      `Bank statement extraction (${provider.name}) for ${file.getName()}`
+    );
+    
+    if (!response || !Array.isArray(response.transactions)) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `No transactions found in bank statement: ${file.getName()}`);
+    }
+    
+    const optionalAmount = value => String(value ?? '').trim() === '' ? null : (parseFloat(parseAmount(String(value))) || 0);
+    
+    const statement = {
+      bankName: String(response.bankName || '').trim(),
+      accountNumber: String(response.accountNumber || '').trim(),
+      currency: cleanAndValidateCurrency(response.currency, ''),
+      periodStart: parseStatementDate(response.periodStart),
+      periodEnd: parseStatementDate(response.periodEnd),
+      openingBalance: optionalAmount(response.openingBalance),
+      closingBalance: optionalAmount(response.closingBalance),
+      transactions: response.transactions
+        .map(transaction => ({
+          date: parseStatementDate(transaction.date),
+          narration: String(transaction.narration || '').trim(),
+          reference: String(transaction.reference || '').trim(),
+          debit: Math.abs(parseFloat(parseAmount(String(transaction.debit || '0'))) || 0),
+          credit: Math.abs(parseFloat(parseAmount(String(transaction.credit || '0'))) || 0),
+          balance: optionalAmount(transaction.balance)
+        }))
+        .filter(transaction => transaction.date && (transaction.debit > 0 || transaction.credit > 0))
+    };
+    
+    if (statement.transactions.length === 0) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED, `No transactions found in bank statement: ${file.getName()}`);
+    }
+    
+    return completeStatementSummary(statement);
+  }
+  
+  /**
+   * Check that opening balance + credits - debits equals the closing balance
+   */
+  function checkStatementBalance(statement) {
+    const results = SYSTEM_CONFIG.BANK_STATEMENTS.BALANCE_CHECK;
+    
+    if (statement.openingBalance === null || statement.closingBalance === null) {
+      return { status: results.NOT_CHECKED, message: 'Opening or closing balance not found' };
+    }
+    
+    const totalCredits = statement.transactions.reduce((sum, transaction) => sum + transaction.credit, 0);
+    const totalDebits = statement.transactions.reduce((sum, transaction) => sum + transaction.debit, 0);
+    const computedClosing = roundCurrencyAmount(statement.openingBalance + totalCredits - totalDebits);
+    const difference = roundCurrencyAmount(statement.closingBalance - computedClosing);
+    
+    if (Math.abs(difference) <= SYSTEM_CONFIG.BANK_STATEMENTS.BALANCE_TOLERANCE) {
+      return { status: results.PASSED, message: `Opening ${statement.openingBalance} + transactions = closing ${statement.closingBalance}`, difference: 0 };
+    }
+    
+    return {
+      status: results.FAILED,
+      message: `Opening ${statement.openingBalance} + transactions = ${computedClosing}, statement closing ${statement.closingBalance} (difference ${difference})`,
+      difference: difference
+    };
+  }
+  
+  /**
+   * Append a statement's transactions to the Bank Transactions sheet. Transactions already imported
+   * (same account, date, narration, amounts and balance) are skipped, so re-sent statements are safe.
+   */
+  function importBankStatement(spreadsheet, fileData, statement) {
+    try {
+      const transactionsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME);
+      const headers = transactionsSheet.getRange(1, 1, 1, transactionsSheet.getLastColumn()).getValues()[0];
+      const existingIds = getExistingBankTransactionIds(transactionsSheet, headers);
+      const balanceCheck = checkStatementBalance(statement);
+      
+      const rows = [];
+      const occurrences = {};
+      let skipped = 0;
+      
+      for (const transaction of statement.transactions) {
+        const lineId = buildBankTransactionId(statement, transaction);
+        occurrences[lineId] = (occurrences[lineId] || 0) + 1;
+        const transactionId = buildBankTransactionId(statement, transaction, occurrences[lineId]);
+        if (existingIds.has(transactionId)) {
+          skipped++;
+          continue;
+        }
+        existingIds.add(transactionId);
+        
+        rows.push(buildRowFromHeaders(headers, {
+          'Transaction ID': transactionId,
+          'Date': transaction.date,
+          'Narration': transaction.narration,
+          'Reference': transaction.reference,
+          'Debit': transaction.debit || '',
+          'Credit': transaction.credit || '',
+          'Balance': transaction.balance === null ? '' : transaction.balance,
+          'Bank Name': statement.bankName,
+          'Account Number': statement.accountNumber,
+          'Currency': statement.currency,
+          'Statement File': fileData.originalFilename,
+          'Statement File URL': fileData.fileUrl,
+          'Balance Check': balanceCheck.status,
+          'Imported Date': getCurrentTimestamp()
+        }));
+      }
+      
+      if (rows.length > 0) {
+        transactionsSheet.getRange(transactionsSheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+      }
+      
+      if (balanceCheck.status === SYSTEM_CONFIG.BANK_STATEMENTS.BALANCE_CHECK.FAILED) {
+        warnLog(`Bank statement balance check failed: ${fileData.originalFilename}`, balanceCheck);
+      }
+      
+      infoLog(`Imported ${rows.length} bank transactions from ${fileData.originalFilename} (${skipped} already present)`);
+      
+      return {
+        added: rows.length,
+        skipped: skipped,
+        balanceCheck: balanceCheck
+      };
+      
+    } catch (error) {
+      errorLog(`Error importing bank statement: ${fileData.originalFilename}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Stable ID for a statement line. Without a running balance, two real lines can be identical
+   * (two equal transfers to the same payee on one day), so repeats within a statement are numbered;
+   * the first keeps the plain ID so re-imports and overlapping statements still match it.
+   */
+  function buildBankTransactionId(statement, transaction, occurrence = 1) {
+    const parts = [
+      statement.accountNumber,
+      transaction.date,
+      transaction.narration,
+      transaction.reference,
+      transaction.debit.toFixed(2),
+      transaction.credit.toFixed(2),
+      transaction.balance === null ? '' : transaction.balance.toFixed(2)
+    ];
+    if (transaction.balance === null && occurrence > 1) {
+      parts.push(occurrence);
+    }
+    const key = parts.join('|');
+    
+    return `BT-${computeContentHash(Utilities.newBlob(key).getBytes()).substring(0, 16).toUpperCase()}`;
+  }
+  
+  /**
+   * Transaction IDs already on the sheet
+   */
+  function getExistingBankTransactionIds(transactionsSheet, headers) {
+    const idIndex = getColumnIndex(headers, 'Transaction ID');
+    if (idIndex === -1 || transactionsSheet.getLastRow() <= 1) {
+      return new Set();
+    }
+    
+    const ids = transactionsSheet.getRange(2, idIndex + 1, transactionsSheet.getLastRow() - 1, 1).getValues();
+    return new Set(ids.map(row => String(row[0])).filter(id => id));
+  }
+  
+  /**
+   * Summarise the import on the statement's buffer row. The statement itself is not booked, so the
+   * row gets its own status, which keeps it out of further AI passes.
+   */
+  function markFileAsStatementImported(bufferSheet, fileData, importResult) {
+    try {
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+      const balanceCheck = importResult.balanceCheck;
+      const updates = {
+        'Status': SYSTEM_CONFIG.STATUS.STATEMENT_IMPORTED,
+        'Reason': `Bank statement: ${importResult.added} transactions imported, ${importResult.skipped} already present; ` +
+          `balance check ${balanceCheck.status.toLowerCase()} - ${balanceCheck.message}`,
+        'Last Modified': getCurrentTimestamp()
+      };
+      
+      for (const [columnName, value] of Object.entries(updates)) {
+        const index = getColumnIndex(headers, columnName);
+        if (index !== -1) {
+          bufferSheet.getRange(fileData.rowIndex, index + 1).setValue(value);
+        }
+      }
+      
+    } catch (error) {
+      errorLog('Error marking file as imported bank statement', error);
+    }
+  }
+  
+  /**
+   * Buffer AI data for a statement: the document fields used for renaming plus a summary
+   */
+  function buildStatementDocumentData(statement) {
+    return {
+      date: statement.periodEnd,
+      vendorName: statement.bankName || 'Bank',
+      invoiceNumber: statement.accountNumber ? `Statement ${statement.accountNumber}` : 'Statement',
+      amount: statement.closingBalance === null ? '0.00' : statement.closingBalance.toFixed(2),
+      currency: statement.currency,
+      documentType: 'statement',
+      transactionType: '',
+      confidence: 1,
+      lineItems: [],
+      statement: statement
+    };
+  }
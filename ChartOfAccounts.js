@@ -0,0 +1,184 @@
+/**
+ * ChartOfAccounts.gs - Per-client chart of accounts and account assignment for booked documents
+ *
+ * A document's account comes from, in order: the Buffer sheet's Account Override, the vendor
+ * profile's Account Code, and the AI's suggestion if it is an active code in the client's chart.
+ */
+
+/**
+ * Load a client's active accounts, creating the sheet with the default chart if it does not exist
+ */
+function getChartOfAccounts(spreadsheet) {
+    try {
+      let chartSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME);
+      if (!chartSheet) {
+        chartSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME);
+        seedChartOfAccounts(chartSheet);
+      }
+      
+      if (chartSheet.getLastRow() <= 1) {
+        return [];
+      }
+      
+      const data = chartSheet.getDataRange().getValues();
+      const headers = data[0];
+      const columns = {
+        code: getColumnIndex(headers, 'Account Code'),
+        name: getColumnIndex(headers, 'Account Name'),
+        type: getColumnIndex(headers, 'Account Type'),
+        description: getColumnIndex(headers, 'Description'),
+        active: getColumnIndex(headers, 'Active')
+      };
+      
+      const accounts = [];
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const code = String(safeGetCellValue(row, columns.code)).trim();
+        const active = safeGetCellValue(row, columns.active, true);
+        if (!code || active === false || String(active).toUpperCase() === 'FALSE') continue;
+        
+        accounts.push({
+          code: code,
+          name: String(safeGetCellValue(row, columns.name)),
+          type: String(safeGetCellValue(row, columns.type)),
+          description: String(safeGetCellValue(row, columns.description))
+        });
+      }
+      
+      return accounts;
+      
+    } catch (error) {
+      errorLog('Error loading chart of accounts', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Fill an empty Chart of Accounts sheet with CHART_OF_ACCOUNTS.DEFAULT_ACCOUNTS
+   */
+  function seedChartOfAccounts(chartSheet) {
+    if (chartSheet.getLastRow() > 1) return;
+    
+    const headers = SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_COLUMNS;
+    const values = SYSTEM_CONFIG.CHART_OF_ACCOUNTS.DEFAULT_ACCOUNTS.map(account => buildRowFromHeaders(headers, {
+      'Account Code': account.code,
+      'Account Name': account.name,
+      'Account Type': account.type,
+      'Description': account.description,
+      'Active': true
+    }));
+    
+    // Codes stay text so that "0100" keeps its leading zero
+    chartSheet.getRange(2, getColumnIndex(headers, 'Account Code') + 1, values.length, 1).setNumberFormat('@');
+    chartSheet.getRange(2, 1, values.length, headers.length).setValues(values);
+    infoLog(`Seeded chart of accounts with ${values.length} default accounts`);
+  }
+  
+  /**
+   * Prompt hints listing the chart of accounts the AI must choose the accountCode from
+   */
+  function buildChartOfAccountsPromptHints(chartOfAccounts) {
+    if (!chartOfAccounts || chartOfAccounts.length === 0) {
+      return '';
+    }
+    
+    // Income and expense accounts are the usual choices, so they are kept if the chart is long
+    const typeOrder = ['Income', 'Expense'];
+    const rankOf = account => {
+      const index = typeOrder.indexOf(account.type);
+      return index === -1 ? typeOrder.length : index;
+    };
+    
+    const lines = chartOfAccounts
+      .slice()
+      .sort((a, b) => rankOf(a) - rankOf(b))
+      .slice(0, SYSTEM_CONFIG.CHART_OF_ACCOUNTS.MAX_PROMPT_ACCOUNTS)
+      .map(account => `- ${account.code}: ${account.name} (${account.type || 'Other'})${account.description ? ` - ${account.description}` : ''}`);
+    
+    return `\n\nChart of accounts for this client. Set accountCode to the code that best fits the document ` +
+      `(income accounts for inflows, expense or asset accounts for outflows), or empty string if none fits:\n` +
+      lines.join('\n');
+  }
+  
+  /**
+   * Assign an account code to a freshly extracted document: vendor profile rule first, then the AI
+   * suggestion if it is in the chart
+   */
+  function resolveAccountCode(aiResponse, validatedData, vendorProfiles, chartOfAccounts) {
+    const profile = findVendorProfile(vendorProfiles || [], validatedData.vendorName, validatedData.vendorGstin);
+    if (profile && profile.accountCode) {
+      return { accountCode: profile.accountCode };
+    }
+    
+    const suggestedCode = String(aiResponse.accountCode || '').trim();
+    if (suggestedCode && (chartOfAccounts || []).some(account => account.code === suggestedCode)) {
+      return { accountCode: suggestedCode };
+    }
+    
+    if (suggestedCode) {
+      debugLog(`Ignoring AI account code outside the chart of accounts: ${suggestedCode}`);
+    }
+    return { accountCode: '' };
+  }
+  
+  /**
+   * A user's Account Override on the buffer row wins over the assigned account when the document is booked
+   */
+  function applyAccountOverride(aiData, fileData) {
+    const override = String(fileData.accountOverride || '').trim();
+    if (override) {
+      aiData.accountCode = override;
+    }
+    return aiData;
+  }
+  
+  /**
+   * Keep an account the user changed on the Final, Inflow or Outflow sheet before the document's rows
+   * are removed, by copying it to the buffer row's Account Override
+   */
+  function preserveAccountOverride(bufferSheet, deletionItem, sheets) {
+    try {
+      let bookedAccount = '';
+      for (const sheet of sheets) {
+        if (!sheet || sheet.getLastRow() <= 1) continue;
+        
+        const data = sheet.getDataRange().getValues();
+        const fileUrlIndex = getColumnIndex(data[0], 'File URL');
+        const accountIndex = getColumnIndex(data[0], 'Account');
+        const row = data.slice(1).find(candidate => safeGetCellValue(candidate, fileUrlIndex) === deletionItem.fileUrl);
+        if (row) {
+          bookedAccount = String(safeGetCellValue(row, accountIndex)).trim();
+          break;
+        }
+      }
+      
+      const assignedAccount = getStoredAccountCode(deletionItem.aiData);
+      if (!bookedAccount || bookedAccount === assignedAccount || bookedAccount === deletionItem.accountOverride) {
+        return '';
+      }
+      
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+      const overrideIndex = getColumnIndex(headers, 'Account Override');
+      if (overrideIndex === -1) return '';
+      
+      bufferSheet.getRange(deletionItem.rowIndex, overrideIndex + 1).setValue(bookedAccount);
+      debugLog(`Kept account override ${bookedAccount} for: ${deletionItem.originalFilename}`);
+      return bookedAccount;
+      
+    } catch (error) {
+      // Losing an override must not stop the deletion itself
+      warnLog(`Could not preserve account override for: ${deletionItem.originalFilename}`, error);
+      return '';
+    }
+  }
+  
+  /**
+   * Account code assigned at extraction, from a buffer row's AI Data
+   */
+  function getStoredAccountCode(aiDataText) {
+    try {
+      return aiDataText ? String(JSON.parse(aiDataText).accountCode || '') : '';
+    } catch (error) {
+      return '';
+    }
+  }
@@ -6,7 +6,7 @@
  * Enhanced Client configuration class with validation
  */
 class ClientConfig {
-    constructor(name, gmailLabel, rootFolderId, spreadsheetId, status = 'Active') {
+    constructor(name, gmailLabel, rootFolderId, spreadsheetId, status = 'Active', aiProvider = '') {
       // Validate inputs
       validateInput(name, 'string', 'Client name');
       validateInput(gmailLabel, 'string', 'Gmail label');
@@ -18,6 +18,7 @@ class ClientConfig {
       this.rootFolderId = rootFolderId.trim();
       this.spreadsheetId = spreadsheetId.trim();
       this.status = status;
+      this.aiProvider = aiProvider; // Empty means the global provider
       this.createdAt = getCurrentTimestamp();
       this.lastModified = getCurrentTimestamp();
     }
@@ -52,7 +53,7 @@ class ClientConfig {
   /**
    * Get all client configurations with enhanced error handling
    */
-  function getAllClients() {
+  function getAllClients_() {
     let lock;
     try {
       // Use lock to ensure data consistency
@@ -61,7 +62,7 @@ class ClientConfig {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock to read clients');
       }
       
-      const masterSheetId = getMasterConfigSheetId();
+      const masterSheetId = getMasterConfigSheetId_();
       const spreadsheet = SpreadsheetApp.openById(masterSheetId);
       const sheet = spreadsheet.getActiveSheet();
       
@@ -99,6 +100,7 @@ class ClientConfig {
       const folderIndex = getColumnIndex(headers, 'Root Folder ID');
       const sheetIndex = getColumnIndex(headers, 'Spreadsheet ID');
       const statusIndex = getColumnIndex(headers, 'Status');
+      const aiProviderIndex = getColumnIndex(headers, 'AI Provider');
       
       for (let i = 1; i < data.length; i++) {
         const row = data[i];
@@ -112,7 +114,8 @@ class ClientConfig {
         if (name && label && folderId && spreadsheetId) {
           try {
             const status = safeGetCellValue(row, statusIndex, 'Active');
-            const client = new ClientConfig(name, label, folderId, spreadsheetId, status);
+            const aiProvider = String(safeGetCellValue(row, aiProviderIndex)).trim().toLowerCase();
+            const client = new ClientConfig(name, label, folderId, spreadsheetId, status, aiProvider);
             clients.push(client);
           } catch (error) {
             warnLog(`Invalid client data at row ${i + 1}`, error.message);
@@ -144,11 +147,11 @@ class ClientConfig {
   /**
    * Get client configuration by name with validation
    */
-  function getClientByName(clientName) {
+  function getClientByName_(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
       
-      const clients = getAllClients();
+      const clients = getAllClients_();
       const client = clients.find(c => c.name.toLowerCase() === clientName.toLowerCase().trim());
       
       if (client) {
@@ -167,11 +170,11 @@ class ClientConfig {
   /**
    * Get client configuration by Gmail label
    */
-  function getClientByLabel(label) {
+  function getClientByLabel_(label) {
     try {
       validateInput(label, 'string', 'Gmail label');
       
-      const clients = getAllClients();
+      const clients = getAllClients_();
       return clients.find(c => c.gmailLabel.toLowerCase() === label.toLowerCase().trim()) || null;
     } catch (error) {
       errorLog(`Error getting client by label: ${label}`, error);
@@ -182,7 +185,7 @@ class ClientConfig {
   /**
    * Enhanced client creation with atomic operations and proper rollback
    */
-  function addClientWithAtomicTransaction(clientName, gmailLabel, parentFolderId = null) {
+  function addClientWithAtomicTransaction_(clientName, gmailLabel, parentFolderId = null) {
     let lock;
     const createdResources = {
       rootFolder: null,
@@ -205,7 +208,7 @@ class ClientConfig {
       }
       
       // Check if client already exists
-      const existingClient = getClientByName(cleanName);
+      const existingClient = getClientByName_(cleanName);
       if (existingClient) {
         throw createError(
           SYSTEM_CONFIG.ERROR_CODES.DUPLICATE_CLIENT,
@@ -214,7 +217,7 @@ class ClientConfig {
       }
       
       // Check if Gmail label already exists
-      const existingLabel = getClientByLabel(cleanLabel);
+      const existingLabel = getClientByLabel_(cleanLabel);
       if (existingLabel) {
         throw createError(
           SYSTEM_CONFIG.ERROR_CODES.DUPLICATE_CLIENT,
@@ -226,7 +229,7 @@ class ClientConfig {
       
       // Step 1: Create folder structure
       infoLog('Step 1: Creating folder structure');
-      const folderStructure = createClientFolderStructure(cleanName, parentFolderId);
+      const folderStructure = createClientFolderStructure_(cleanName, parentFolderId);
       createdResources.rootFolder = folderStructure.rootFolder;
       
       // Step 2: Create and setup spreadsheet
@@ -240,7 +243,7 @@ class ClientConfig {
       
       // Step 4: Add to master config sheet
       infoLog('Step 4: Adding to master config sheet');
-      const masterSheetId = getMasterConfigSheetId();
+      const masterSheetId = getMasterConfigSheetId_();
       const masterSpreadsheet = SpreadsheetApp.openById(masterSheetId);
       const masterSheet = masterSpreadsheet.getActiveSheet();
       // Ensure headers exist before appending
@@ -294,7 +297,7 @@ class ClientConfig {
       
       // Step 5: Verify the client was added correctly
       infoLog('Step 5: Verifying client creation');
-      const verifyClient = getClientByName(cleanName);
+      const verifyClient = getClientByName_(cleanName);
       if (!verifyClient) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Client verification failed after creation');
       }
@@ -314,6 +317,17 @@ class ClientConfig {
         folderStructure: folderStructure.folders
       });
       
+      writeAuditLog_({
+        action: SYSTEM_CONFIG.AUDIT.ACTIONS.ADD_CLIENT,
+        clientName: cleanName,
+        after: {
+          gmailLabel: cleanLabel,
+          rootFolderId: folderStructure.rootFolder.getId(),
+          spreadsheetId: spreadsheet.getId(),
+          status: SYSTEM_CONFIG.STATUS.ACTIVE
+        }
+      });
+      
       return {
         success: true,
         message: `Client '${cleanName}' created successfully`,
@@ -332,7 +346,7 @@ class ClientConfig {
         // Remove from master sheet if added
         if (createdResources.masterSheetRow) {
           try {
-            const masterSheetId = getMasterConfigSheetId();
+            const masterSheetId = getMasterConfigSheetId_();
             const masterSheet = SpreadsheetApp.openById(masterSheetId).getActiveSheet();
             masterSheet.deleteRow(createdResources.masterSheetRow);
             infoLog('Removed client from master sheet');
@@ -365,6 +379,14 @@ class ClientConfig {
         errorLog('Error during rollback process', rollbackError);
       }
       
+      writeAuditLog_({
+        action: SYSTEM_CONFIG.AUDIT.ACTIONS.ADD_CLIENT,
+        clientName: clientName,
+        after: { gmailLabel: gmailLabel },
+        result: SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE,
+        details: error.message
+      });
+      
       throw error;
     } finally {
       if (lock) {
@@ -380,7 +402,7 @@ class ClientConfig {
   /**
    * Create client folder structure with proper error handling
    */
-  function createClientFolderStructure(clientName, parentFolderId = null) {
+  function createClientFolderStructure_(clientName, parentFolderId = null) {
     try {
       infoLog(`Creating folder structure for client: ${clientName}`);
       
@@ -507,7 +529,12 @@ class ClientConfig {
         SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME,
         SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME,
         SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME,
-        SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME
+        SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.FX_RATES_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME
       ];
       
       const createdSheets = [];
@@ -524,6 +551,9 @@ class ClientConfig {
         setupSheetStructure(sheet, sheetName);
       }
       
+      seedChartOfAccounts(spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME));
+      seedLedgerMap(spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME));
+      
       // Now remove default sheet if we have other sheets
       if (defaultSheet && createdSheets.length > 0) {
         try {
@@ -560,6 +590,51 @@ class ClientConfig {
         case SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME:
           headers = SYSTEM_CONFIG.SHEETS.FLOW_COLUMNS;
           break;
+        case SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.LINE_ITEMS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.FX_RATES_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.FX_RATES_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.ACCRUALS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.CORRECTIONS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.CORRECTIONS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.AGEING_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.AGEING_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.LEDGER_MAP_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.USERS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.USERS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.AUDIT_LOG_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.AUDIT_LOG_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.JOBS_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.JOBS_COLUMNS;
+          break;
+        case SYSTEM_CONFIG.SHEETS.SCHEDULES_SHEET_NAME:
+          headers = SYSTEM_CONFIG.SHEETS.SCHEDULES_COLUMNS;
+          break;
         default:
           warnLog(`Unknown sheet type: ${sheetName}`);
           return;
@@ -612,7 +687,7 @@ class ClientConfig {
   /**
    * Update client configuration with validation
    */
-  function updateClient(clientName, updates) {
+  function updateClient_(clientName, updates) {
     let lock;
     try {
       validateInput(clientName, 'string', 'Client name');
@@ -626,7 +701,7 @@ class ClientConfig {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock for client update');
       }
       
-      const masterSheetId = getMasterConfigSheetId();
+      const masterSheetId = getMasterConfigSheetId_();
       const sheet = SpreadsheetApp.openById(masterSheetId).getActiveSheet();
       const data = sheet.getDataRange().getValues();
       
@@ -642,6 +717,14 @@ class ClientConfig {
         if (rowName.toLowerCase() === clientName.toLowerCase()) {
           const row = i + 1;
           
+          // Previous values of the updated fields, for the audit log
+          const before = {};
+          [['gmailLabel', 'Gmail Label'], ['status', 'Status'], ['aiProvider', 'AI Provider']].forEach(([key, header]) => {
+            if (updates[key] !== undefined) {
+              before[key] = safeGetCellValue(data[i], getColumnIndex(headers, header));
+            }
+          });
+          
           // Update allowed fields
           if (updates.gmailLabel !== undefined) {
             const labelIndex = getColumnIndex(headers, 'Gmail Label');
@@ -657,6 +740,21 @@ class ClientConfig {
             }
           }
           
+          if (updates.aiProvider !== undefined) {
+            const aiProvider = String(updates.aiProvider || '').trim().toLowerCase();
+            if (aiProvider && !isValidAIProviderName(aiProvider)) {
+              throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unknown AI provider: ${aiProvider}`);
+            }
+            
+            // Optional column, added the first time a client gets its own provider
+            let aiProviderIndex = getColumnIndex(headers, 'AI Provider');
+            if (aiProviderIndex === -1) {
+              aiProviderIndex = headers.length;
+              sheet.getRange(1, aiProviderIndex + 1).setValue('AI Provider');
+            }
+            sheet.getRange(row, aiProviderIndex + 1).setValue(aiProvider);
+          }
+          
           // Update last modified timestamp
           const lastModifiedIndex = getColumnIndex(headers, 'Last Modified');
           if (lastModifiedIndex !== -1) {
@@ -664,6 +762,12 @@ class ClientConfig {
           }
           
           infoLog(`Updated client: ${clientName}`, updates);
+          writeAuditLog_({
+            action: SYSTEM_CONFIG.AUDIT.ACTIONS.UPDATE_CLIENT,
+            clientName: rowName,
+            before: before,
+            after: updates
+          });
           return { success: true, message: `Client '${clientName}' updated successfully` };
         }
       }
@@ -672,6 +776,13 @@ class ClientConfig {
       
     } catch (error) {
       errorLog('Error updating client', error);
+      writeAuditLog_({
+        action: SYSTEM_CONFIG.AUDIT.ACTIONS.UPDATE_CLIENT,
+        clientName: clientName,
+        after: updates,
+        result: SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE,
+        details: error.message
+      });
       throw error;
     } finally {
       if (lock) {
@@ -740,9 +851,9 @@ class ClientConfig {
   /**
    * List all active clients with caching
    */
-  function getActiveClients() {
+  function getActiveClients_() {
     try {
-      const allClients = getAllClients();
+      const allClients = getAllClients_();
       const activeClients = allClients.filter(client => client.status === SYSTEM_CONFIG.STATUS.ACTIVE);
       
       infoLog(`Found ${activeClients.length} active clients out of ${allClients.length} total`);
@@ -757,9 +868,9 @@ class ClientConfig {
   /**
    * Deactivate client safely
    */
-  function deactivateClient(clientName) {
+  function deactivateClient_(clientName) {
     try {
-      return updateClient(clientName, { status: 'Inactive' });
+      return updateClient_(clientName, { status: 'Inactive' });
     } catch (error) {
       errorLog(`Error deactivating client: ${clientName}`, error);
       throw error;
@@ -769,9 +880,9 @@ class ClientConfig {
   /**
    * Activate client safely
    */
-  function activateClient(clientName) {
+  function activateClient_(clientName) {
     try {
-      return updateClient(clientName, { status: SYSTEM_CONFIG.STATUS.ACTIVE });
+      return updateClient_(clientName, { status: SYSTEM_CONFIG.STATUS.ACTIVE });
     } catch (error) {
       errorLog(`Error activating client: ${clientName}`, error);
       throw error;
@@ -783,7 +894,9 @@ class ClientConfig {
    */
   function validateClientConfiguration(clientName) {
     try {
-      const client = getClientByName(clientName);
+      requireUserRole('accountant', clientName);
+      
+      const client = getClientByName_(clientName);
       if (!client) {
         return {
           isValid: false,
@@ -853,9 +966,11 @@ class ClientConfig {
    */
   function cleanupOrphanedClientResources() {
     try {
+      requireUserRole('admin');
+      
       infoLog('Starting cleanup of orphaned client resources');
       
-      const clients = getAllClients();
+      const clients = getAllClients_();
       const clientIds = new Set();
       const clientFolders = new Set();
       const clientSpreadsheets = new Set();
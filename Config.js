@@ -12,7 +12,14 @@ const SYSTEM_CONFIG = {
     LABEL_PREFIX: 'client-',
     BATCH_SIZE: 50,
     MAX_ATTACHMENTS_PER_RUN: 100,
-    MESSAGE_ID_CACHE_SIZE: 10000
+    MESSAGE_ID_CACHE_SIZE: 10000,
+    // Per-client incremental sync cursor { historyId, labelId, retryThreads, stalledRuns }, keyed by the client's spreadsheet ID
+    HISTORY_PROPERTY_PREFIX: 'GMAIL_HISTORY_',
+    HISTORY_PAGE_SIZE: 500,
+    // Threads that failed are retried on later runs up to this many attempts in all
+    MAX_THREAD_ATTEMPTS: 5,
+    // With more failed threads than this (an outage, say) the history ID is not advanced, for up to MAX_THREAD_ATTEMPTS runs
+    MAX_RETRY_THREADS: 200
   },
   
   // Drive settings
@@ -26,6 +33,11 @@ const SYSTEM_CONFIG = {
       OUTFLOW: 'Outflow',
       SPREADSHEETS: 'Spreadsheets'
     },
+    // Flowed files are filed into Inflow/YYYY/MM and Outflow/YYYY/MM by document date
+    MONTH_FOLDER_FORMAT: {
+      YEAR: 'yyyy',
+      MONTH: 'MM'
+    },
     MAX_FILE_SIZE: 25 * 1024 * 1024, // 25MB
     MAX_FILENAME_LENGTH: 100,
     ALLOWED_MIME_TYPES: [
@@ -49,6 +61,21 @@ const SYSTEM_CONFIG = {
     FINAL_SHEET_NAME: 'Final',
     INFLOW_SHEET_NAME: 'Inflow',
     OUTFLOW_SHEET_NAME: 'Outflow',
+    LINE_ITEMS_SHEET_NAME: 'Line Items',
+    GSTR2B_RECON_SHEET_NAME: '2B Reconciliation',
+    FX_RATES_SHEET_NAME: 'FX Rates',
+    ACCRUALS_SHEET_NAME: 'Accruals',
+    CORRECTIONS_SHEET_NAME: 'Corrections',
+    VENDOR_PROFILES_SHEET_NAME: 'Vendor Profiles',
+    BANK_TRANSACTIONS_SHEET_NAME: 'Bank Transactions',
+    AGEING_SHEET_NAME: 'Ageing',
+    MONTHLY_SUMMARY_SHEET_NAME: 'Monthly Summary',
+    CHART_OF_ACCOUNTS_SHEET_NAME: 'Chart of Accounts',
+    LEDGER_MAP_SHEET_NAME: 'Ledger Map',
+    USERS_SHEET_NAME: 'Users', // In the master config spreadsheet
+    AUDIT_LOG_SHEET_NAME: 'Audit Log', // In the master config spreadsheet
+    JOBS_SHEET_NAME: 'Jobs', // In the master config spreadsheet
+    SCHEDULES_SHEET_NAME: 'Schedules', // In the master config spreadsheet
     
     // Column mappings - Fixed order
     BUFFER_COLUMNS: [
@@ -64,7 +91,11 @@ const SYSTEM_CONFIG = {
       'Email Sender',
       'Date Added',
       'Last Modified',
-      'Processing Attempts'
+      'Processing Attempts',
+      'AI Data',
+      'Parent File ID',
+      'Page Range',
+      'Account Override'
     ],
     
     FINAL_COLUMNS: [
@@ -83,7 +114,23 @@ const SYSTEM_CONFIG = {
       'Document Type',
       'AI Confidence',
       'Processing Date',
-      'Last Modified'
+      'Last Modified',
+      'Vendor GSTIN',
+      'Buyer GSTIN',
+      'Place of Supply',
+      'Taxable Value',
+      'CGST',
+      'SGST',
+      'IGST',
+      'Cess',
+      'Currency',
+      'Original Amount',
+      'FX Rate',
+      'Base Amount',
+      'File Hash',
+      'Due Date',
+      'Payment Terms',
+      'Account'
     ],
     
     FLOW_COLUMNS: [
@@ -101,7 +148,229 @@ const SYSTEM_CONFIG = {
       'Document Type',
       'AI Confidence',
       'Processing Date',
-      'Moved Date'
+      'Moved Date',
+      'Vendor GSTIN',
+      'Buyer GSTIN',
+      'Place of Supply',
+      'Taxable Value',
+      'CGST',
+      'SGST',
+      'IGST',
+      'Cess',
+      'Currency',
+      'Original Amount',
+      'FX Rate',
+      'Base Amount',
+      'File Hash',
+      'Payment Status',
+      'Matched Transaction',
+      'Due Date',
+      'Payment Terms',
+      'Account'
+    ],
+    
+    // One row per invoice line, linked to Final/Inflow/Outflow by Unique File ID
+    LINE_ITEMS_COLUMNS: [
+      'Unique File ID',
+      'File Name',
+      'File URL',
+      'Line Number',
+      'Description',
+      'HSN/SAC Code',
+      'Quantity',
+      'Unit Price',
+      'Tax Rate',
+      'Line Total',
+      'Date Added'
+    ],
+    
+    // Rewritten on every GSTR-2B reconciliation run
+    GSTR2B_RECON_COLUMNS: [
+      'Match Status',
+      'Supplier GSTIN',
+      'Supplier Name',
+      'Invoice Number (2B)',
+      'Invoice Number (Books)',
+      'Invoice Date (2B)',
+      'Invoice Date (Books)',
+      'Invoice Value (2B)',
+      'Amount (Books)',
+      'Taxable Value (2B)',
+      'Taxable Value (Books)',
+      'Total Tax (2B)',
+      'Total Tax (Books)',
+      'Differences',
+      'Books File URL',
+      'Unique File ID',
+      'Reconciled On'
+    ],
+    
+    // Maintained by users; the latest rate on or before the document date is used
+    FX_RATES_COLUMNS: [
+      'Currency',
+      'Rate Date',
+      'Rate to Base',
+      'Notes'
+    ],
+    
+    // Expected bills recorded at month end, reversed when the real invoice reaches Final
+    ACCRUALS_COLUMNS: [
+      'Accrual ID',
+      'Vendor Name',
+      'Period',
+      'Expected Amount',
+      'Currency',
+      'Description',
+      'Supporting Document URL',
+      'Status',
+      'Created Date',
+      'Reversed Date',
+      'Matched Unique File ID',
+      'Matched Invoice Number',
+      'Matched Amount',
+      'Variance'
+    ],
+    
+    // Reviewer changes to AI-extracted fields, one row per changed field
+    CORRECTIONS_COLUMNS: [
+      'Correction Date',
+      'File Name',
+      'File URL',
+      'Field',
+      'AI Value',
+      'Corrected Value',
+      'AI Confidence',
+      'Corrected By'
+    ],
+    
+    // Learned from review corrections; aliases are separated by VENDOR_PROFILES.ALIAS_SEPARATOR.
+    // Default Terms (Days) is entered by users and used when a document prints no due date or terms.
+    // Account Code is entered by users and assigned to the vendor's documents before any AI suggestion.
+    VENDOR_PROFILES_COLUMNS: [
+      'Canonical Name',
+      'Aliases',
+      'Usual Direction',
+      'Usual Document Type',
+      'GSTIN',
+      'Correction Count',
+      'Last Updated',
+      'Default Terms (Days)',
+      'Account Code'
+    ],
+    
+    BANK_TRANSACTIONS_COLUMNS: [
+      'Transaction ID',
+      'Date',
+      'Narration',
+      'Reference',
+      'Debit',
+      'Credit',
+      'Balance',
+      'Bank Name',
+      'Account Number',
+      'Currency',
+      'Statement File',
+      'Statement File URL',
+      'Balance Check',
+      'Imported Date',
+      'Match Status',
+      'Matched Invoices'
+    ],
+    
+    // Rewritten on every ageing run; open (unpaid) Inflow and Outflow invoices only
+    AGEING_COLUMNS: [
+      'Type',
+      'Vendor Name',
+      'Invoice Number',
+      'Invoice Date',
+      'Due Date',
+      'Payment Terms',
+      'Days Overdue',
+      'Band',
+      'Amount',
+      'File URL',
+      'Unique File ID',
+      'Generated On'
+    ],
+    
+    // Rewritten on every summary run; one block of rows per month (see MONTHLY_SUMMARY.SECTIONS)
+    MONTHLY_SUMMARY_COLUMNS: [
+      'Month',
+      'Section',
+      'Name',
+      'Inflow',
+      'Outflow',
+      'Net',
+      'Inflow Count',
+      'Outflow Count',
+      'Generated On'
+    ],
+    
+    // Maintained by users; seeded from CHART_OF_ACCOUNTS.DEFAULT_ACCOUNTS when first created
+    CHART_OF_ACCOUNTS_COLUMNS: [
+      'Account Code',
+      'Account Name',
+      'Account Type',
+      'Description',
+      'Active'
+    ],
+    
+    // Maintained by users; seeded with the ACCOUNTING_EXPORT.SYSTEM_LEDGERS rows when first created
+    LEDGER_MAP_COLUMNS: [
+      'Type',
+      'Key',
+      'Tally Ledger',
+      'Zoho Account',
+      'Notes'
+    ],
+    
+    // Master config sheet; Clients is a comma-separated list of client names, or * for every client
+    USERS_COLUMNS: [
+      'Email',
+      'Role',
+      'Clients',
+      'Active',
+      'Notes'
+    ],
+    
+    // Master config sheet; append-only, protected so that only the script owner can edit it
+    AUDIT_LOG_COLUMNS: [
+      'Timestamp',
+      'Actor',
+      'Action',
+      'Client',
+      'File ID',
+      'File Name',
+      'Before',
+      'After',
+      'Result',
+      'Details'
+    ],
+    
+    // Master config sheet; State is the job's checkpoint as JSON, the other columns mirror it for people
+    JOBS_COLUMNS: [
+      'Job ID',
+      'Type',
+      'Status',
+      'Started',
+      'Updated',
+      'Runs',
+      'Progress',
+      'Current Client',
+      'Message',
+      'State'
+    ],
+    
+    // Master config sheet; Client is * for the task's global schedule or a client name to override it
+    SCHEDULES_COLUMNS: [
+      'Task',
+      'Client',
+      'Frequency',
+      'Enabled',
+      'Last Run',
+      'Last Outcome',
+      'Last Message',
+      'Updated By'
     ]
   },
   
@@ -112,6 +381,30 @@ const SYSTEM_CONFIG = {
     TIMEOUT: 60000, // Increased timeout
     CONFIDENCE_THRESHOLD: 0.7,
     MAX_FILE_SIZE_FOR_AI: 10 * 1024 * 1024, // 10MB for AI processing
+    MAX_INLINE_DATA_SIZE: 4 * 1024 * 1024, // Larger PDFs/images are sent via the Gemini File API
+    FILE_UPLOAD_TIMEOUT: 60000, // Max wait for an uploaded file to become ACTIVE
+    FILE_UPLOAD_POLL_INTERVAL: 2000,
+    
+    // Provider used when neither the client's "AI Provider" column nor the AI_PROVIDER script property is set
+    DEFAULT_PROVIDER: 'gemini',
+    PROVIDERS: {
+      GEMINI: 'gemini',
+      OPENAI_COMPATIBLE: 'openai',
+      MOCK: 'mock'
+    },
+    // Any chat-completions endpoint (OpenAI, Azure, or a local server such as Ollama or LM Studio);
+    // override with the OPENAI_API_ENDPOINT, OPENAI_API_KEY and OPENAI_MODEL script properties
+    OPENAI_COMPATIBLE: {
+      DEFAULT_ENDPOINT: 'https://api.openai.com/v1/chat/completions',
+      DEFAULT_MODEL: 'gpt-4o-mini'
+    },
+    
+    // Combined PDFs (several invoices, or a statement plus its invoices) are split into one Buffer
+    // file per document before extraction. Pages are copied with pdf-lib (PdfLib.gs).
+    DOCUMENT_SPLITTING: {
+      ENABLED: true,
+      MAX_PAGES: 60 // Larger PDFs are extracted as a single document
+    },
     
     // Enhanced prompt template
     PROMPTS: {
@@ -127,6 +420,12 @@ const SYSTEM_CONFIG = {
            - "inflow" (money coming IN to the business - customer payments, sales, income)
            - "outflow" (money going OUT of the business - bills, expenses, purchases)
         7. Confidence Level (0.0 to 1.0) - Your confidence in the accuracy of the extraction
+        8. GST details (Indian invoices) - vendor GSTIN, buyer GSTIN, place of supply (state name or 2-digit state code),
+           taxable value, CGST, SGST, IGST and cess amounts
+        9. Currency - ISO 4217 code of the document amounts (e.g. INR, USD, EUR), based on symbols, codes or country
+        10. Line Items - every line of the invoice/bill with description, HSN/SAC code, quantity, unit price, tax rate (percent) and line total
+        11. Due Date (YYYY-MM-DD format) and Payment Terms as printed (e.g. "Net 30", "Due on receipt")
+        12. Account Code - the best matching code from the client's chart of accounts, if one is listed below
         
         Important guidelines:
         - For transaction type: invoices TO customers = inflow, bills FROM vendors = outflow
@@ -134,6 +433,11 @@ const SYSTEM_CONFIG = {
         - Extract only numerical values for amounts (no currency symbols)
         - Be conservative with confidence - use lower values if uncertain
         - If information is unclear or missing, use empty string for text fields and 0 for numerical fields
+        - GSTINs are 15 characters (e.g. 27AAPFU0939F1ZV); copy them exactly, use empty string if not printed
+        - Intra-state supplies carry CGST + SGST, inter-state supplies carry IGST; use 0 for taxes that do not apply
+        - Return an empty lineItems array for documents without itemised lines (e.g. receipts, statements)
+        - Use empty string for dueDate and paymentTerms if the document does not print them; do not guess
+        - accountCode must be one of the listed account codes; use empty string if no chart is listed or none fits
         
         Return ONLY valid JSON in this exact format (no other text):
         {
@@ -141,14 +445,386 @@ const SYSTEM_CONFIG = {
           "vendorName": "vendor name",
           "invoiceNumber": "invoice number",
           "amount": "123.45",
+          "currency": "INR",
           "documentType": "invoice|receipt|bill|statement|contract|other",
           "transactionType": "inflow|outflow",
-          "confidence": 0.95
+          "confidence": 0.95,
+          "vendorGstin": "27AAPFU0939F1ZV",
+          "buyerGstin": "29AABCU9603R1ZJ",
+          "placeOfSupply": "29-Karnataka",
+          "taxableValue": "100.00",
+          "cgst": "0",
+          "sgst": "0",
+          "igst": "18.00",
+          "cess": "0",
+          "dueDate": "YYYY-MM-DD",
+          "paymentTerms": "Net 30",
+          "accountCode": "5100",
+          "lineItems": [
+            {
+              "description": "item description",
+              "hsnSac": "998314",
+              "quantity": "1",
+              "unitPrice": "100.00",
+              "taxRate": "18",
+              "lineTotal": "118.00"
+            }
+          ]
+        }
+      `,
+      
+      BANK_STATEMENT: `
+        You are a financial document analysis expert. This document is a bank account statement.
+        Extract every transaction line in the order printed, plus the statement header details.
+        
+        Guidelines:
+        - Dates in YYYY-MM-DD format
+        - Amounts as plain numbers without currency symbols or thousands separators; use "0" for an empty debit or credit
+        - debit is money leaving the account (withdrawal), credit is money entering it (deposit)
+        - balance is the running balance printed on the line, empty string if not printed
+        - openingBalance and closingBalance as printed in the statement summary, empty string if not printed
+        - Do not include opening balance, closing balance, carried forward or total lines as transactions
+        
+        Return ONLY valid JSON in this exact format (no other text):
+        {
+          "bankName": "HDFC Bank",
+          "accountNumber": "50100012345678",
+          "currency": "INR",
+          "periodStart": "2024-04-01",
+          "periodEnd": "2024-04-30",
+          "openingBalance": "10000.00",
+          "closingBalance": "12500.00",
+          "transactions": [
+            { "date": "2024-04-02", "narration": "NEFT-ACME SOFTWARE", "reference": "N123456789", "debit": "0", "credit": "2500.00", "balance": "12500.00" }
+          ]
+        }
+      `,
+      
+      DOCUMENT_SEGMENTATION: `
+        You are a financial document analysis expert. This PDF may contain several separate documents
+        scanned or merged together, for example multiple invoices, or an account statement followed by its invoices.
+        
+        Identify where each separate document starts and ends. A document continues across pages while the
+        page headers, document number and page numbering ("Page 2 of 3") continue; a new invoice number,
+        letterhead or "Page 1" usually starts a new document.
+        
+        Guidelines:
+        - Page numbers are 1-based; every page must belong to exactly one document, in order, without gaps
+        - Return a single document covering all pages if the PDF is one document
+        - documentType is one of: invoice, receipt, bill, statement, contract, other
+        
+        Return ONLY valid JSON in this exact format (no other text):
+        {
+          "documents": [
+            { "startPage": 1, "endPage": 2, "documentType": "invoice", "description": "Invoice INV-1001 from Acme" }
+          ]
         }
       `
     }
   },
   
+  // Indian GST settings
+  GST: {
+    // Tolerance when checking taxable value + taxes against the invoice total
+    TOTAL_TOLERANCE: 1.0,
+    
+    // GSTR-2B reconciliation against the Outflow sheet
+    GSTR2B: {
+      FILE_NAME_PATTERN: /2B/i, // Files in the client's Spreadsheets folder considered for import
+      AMOUNT_TOLERANCE: 1.0, // Absolute rounding difference accepted as a match
+      AMOUNT_TOLERANCE_PERCENT: 0.01,
+      DATE_TOLERANCE_DAYS: 3,
+      INVOICE_SIMILARITY_THRESHOLD: 0.8, // 0-1 similarity of normalised invoice numbers
+      MATCH_STATUS: {
+        MATCHED: 'Matched',
+        MISMATCHED: 'Mismatched',
+        MISSING_IN_BOOKS: 'Missing in Books',
+        MISSING_IN_2B: 'Missing in 2B'
+      }
+    },
+    
+    STATE_CODES: {
+      '01': 'Jammu and Kashmir',
+      '02': 'Himachal Pradesh',
+      '03': 'Punjab',
+      '04': 'Chandigarh',
+      '05': 'Uttarakhand',
+      '06': 'Haryana',
+      '07': 'Delhi',
+      '08': 'Rajasthan',
+      '09': 'Uttar Pradesh',
+      '10': 'Bihar',
+      '11': 'Sikkim',
+      '12': 'Arunachal Pradesh',
+      '13': 'Nagaland',
+      '14': 'Manipur',
+      '15': 'Mizoram',
+      '16': 'Tripura',
+      '17': 'Meghalaya',
+      '18': 'Assam',
+      '19': 'West Bengal',
+      '20': 'Jharkhand',
+      '21': 'Odisha',
+      '22': 'Chhattisgarh',
+      '23': 'Madhya Pradesh',
+      '24': 'Gujarat',
+      '25': 'Daman and Diu',
+      '26': 'Dadra and Nagar Haveli and Daman and Diu',
+      '27': 'Maharashtra',
+      '28': 'Andhra Pradesh (Old)',
+      '29': 'Karnataka',
+      '30': 'Goa',
+      '31': 'Lakshadweep',
+      '32': 'Kerala',
+      '33': 'Tamil Nadu',
+      '34': 'Puducherry',
+      '35': 'Andaman and Nicobar Islands',
+      '36': 'Telangana',
+      '37': 'Andhra Pradesh',
+      '38': 'Ladakh',
+      '97': 'Other Territory',
+      '99': 'Centre Jurisdiction'
+    }
+  },
+  
+  // Currency settings
+  CURRENCY: {
+    BASE_CURRENCY: 'INR',
+    // Codes recognised when scanning free text such as "USD 1,200.00"
+    KNOWN_CODES: [
+      'INR', 'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'SGD', 'AED', 'CHF', 'CNY', 'HKD', 'NZD',
+      'SAR', 'ZAR', 'SEK', 'NOK', 'DKK', 'KRW', 'RUB', 'TRY', 'ILS', 'VND', 'NGN', 'MYR', 'THB',
+      'IDR', 'PHP', 'BDT', 'LKR', 'NPR'
+    ],
+    // Used when the AI does not return a currency code; '$' is treated as USD
+    SYMBOLS: {
+      '₹': 'INR',
+      'Rs': 'INR',
+      '$': 'USD',
+      '€': 'EUR',
+      '£': 'GBP',
+      '¥': 'JPY',
+      '₩': 'KRW',
+      '₽': 'RUB',
+      '₺': 'TRY',
+      '₪': 'ILS',
+      '₫': 'VND',
+      '₦': 'NGN'
+    }
+  },
+  
+  // Accrual settings
+  ACCRUALS: {
+    // An invoice reverses an accrual if dated in the accrual period or up to this many months later
+    PERIOD_WINDOW_MONTHS: 2,
+    // Accruals are estimates, so the invoice amount may differ by this fraction of the expected amount
+    AMOUNT_TOLERANCE_PERCENT: 0.2,
+    MAX_DOCUMENT_SIZE: 10 * 1024 * 1024,
+    STATUS: {
+      OPEN: 'Open',
+      REVERSED: 'Reversed'
+    }
+  },
+  
+  // Bank statements are imported as transactions on the "Bank Transactions" sheet instead of being booked
+  BANK_STATEMENTS: {
+    BALANCE_TOLERANCE: 0.01, // Allowed difference between opening + credits - debits and the closing balance
+    TABULAR_EXTENSIONS: ['csv', 'xlsx', 'xls'],
+    BALANCE_CHECK: {
+      PASSED: 'Passed',
+      FAILED: 'Failed',
+      NOT_CHECKED: 'Not Checked'
+    }
+  },
+  
+  // Matching of Bank Transactions against Inflow (credits) and Outflow (debits) invoices
+  BANK_RECONCILIATION: {
+    AMOUNT_TOLERANCE: 1.0, // Absolute difference accepted between payment and invoice totals
+    DAYS_BEFORE_INVOICE: 7, // Advance payments up to this many days before the invoice date
+    DAYS_AFTER_INVOICE: 90,
+    MAX_GROUP_SIZE: 5, // Most invoices one payment may settle (and payments one invoice may take)
+    MAX_GROUP_CANDIDATES: 15, // Candidates considered when searching for a group that adds up
+    MATCHED_ID_SEPARATOR: '; ',
+    PAYMENT_STATUS: {
+      PAID: 'Paid',
+      UNPAID: 'Unpaid'
+    },
+    MATCH_STATUS: {
+      MATCHED: 'Matched',
+      UNMATCHED: 'Unmatched'
+    }
+  },
+  
+  // Accounts payable / receivable ageing
+  AGEING: {
+    // Due date = invoice date + these days when neither the document nor the vendor profile gives terms
+    DEFAULT_TERMS_DAYS: 30,
+    // Bands by days past the due date; invoices not yet due fall in the first band
+    BANDS: [
+      { label: '0-30', maxDays: 30 },
+      { label: '31-60', maxDays: 60 },
+      { label: '61-90', maxDays: 90 },
+      { label: '90+', maxDays: Infinity }
+    ],
+    TYPES: {
+      RECEIVABLE: 'Receivable',
+      PAYABLE: 'Payable'
+    }
+  },
+  
+  // Chart of accounts and expense categorisation
+  CHART_OF_ACCOUNTS: {
+    ACCOUNT_TYPES: ['Income', 'Expense', 'Asset', 'Liability', 'Equity'],
+    // Accounts listed in each AI prompt; income accounts for inflows and expense accounts for outflows come first
+    MAX_PROMPT_ACCOUNTS: 80,
+    DEFAULT_ACCOUNTS: [
+      { code: '4000', name: 'Sales', type: 'Income', description: 'Sale of goods' },
+      { code: '4100', name: 'Service Income', type: 'Income', description: 'Fees for services rendered' },
+      { code: '4900', name: 'Other Income', type: 'Income', description: 'Interest, refunds and miscellaneous income' },
+      { code: '5000', name: 'Purchases', type: 'Expense', description: 'Goods bought for resale or production' },
+      { code: '5100', name: 'Software & Subscriptions', type: 'Expense', description: 'SaaS, licences and cloud services' },
+      { code: '5200', name: 'Professional Fees', type: 'Expense', description: 'Legal, audit, consulting and accounting fees' },
+      { code: '5300', name: 'Rent', type: 'Expense', description: 'Office and warehouse rent' },
+      { code: '5400', name: 'Utilities', type: 'Expense', description: 'Electricity, water, internet and phone' },
+      { code: '5500', name: 'Travel & Conveyance', type: 'Expense', description: 'Flights, hotels, taxis and fuel' },
+      { code: '5600', name: 'Office Supplies', type: 'Expense', description: 'Stationery and consumables' },
+      { code: '5700', name: 'Repairs & Maintenance', type: 'Expense', description: 'Upkeep of premises and equipment' },
+      { code: '5800', name: 'Advertising & Marketing', type: 'Expense', description: 'Ads, promotion and events' },
+      { code: '5900', name: 'Bank Charges', type: 'Expense', description: 'Bank fees and payment gateway charges' },
+      { code: '6000', name: 'Salaries & Wages', type: 'Expense', description: 'Staff salaries, contractors and benefits' },
+      { code: '6900', name: 'Miscellaneous Expenses', type: 'Expense', description: 'Expenses that fit no other account' },
+      { code: '1500', name: 'Fixed Assets', type: 'Asset', description: 'Computers, furniture and equipment' }
+    ]
+  },
+  
+  // Monthly P&L (Inflow/Outflow by invoice date) and cash-flow (Bank Transactions) summary
+  MONTHLY_SUMMARY: {
+    TOP_VENDORS: 5, // Vendors listed per month, by inflow + outflow
+    SECTIONS: {
+      TOTAL: 'Total',
+      CATEGORY: 'Category',
+      VENDOR: 'Top Vendor',
+      CASH_FLOW: 'Bank Cash Flow'
+    },
+    // Exported to the client's Spreadsheets folder as "<client> - Monthly Summary - <date>.pdf"
+    PDF_EXPORT: {
+      SIZE: 'A4',
+      LANDSCAPE: true
+    }
+  },
+  
+  // Tally XML and Zoho Books CSV export of the Inflow and Outflow sheets
+  ACCOUNTING_EXPORT: {
+    FORMATS: {
+      TALLY: 'tally',
+      ZOHO: 'zoho'
+    },
+    // Ledger Map rows: Account rows key on an account code, Party rows on a vendor or customer name,
+    // System rows on a SYSTEM_LEDGERS key
+    MAP_TYPES: {
+      ACCOUNT: 'Account',
+      PARTY: 'Party',
+      SYSTEM: 'System'
+    },
+    SYSTEM_LEDGERS: {
+      SALES: { tally: 'Sales', zoho: 'Sales', notes: 'Inflow invoices without an account code' },
+      PURCHASE: { tally: 'Purchase', zoho: 'Cost of Goods Sold', notes: 'Outflow bills without an account code' },
+      BANK: { tally: 'Bank Account', zoho: 'Bank Account', notes: 'Bank side of Payment and Receipt vouchers' },
+      OUTPUT_CGST: { tally: 'Output CGST', zoho: '', notes: 'CGST charged on sales' },
+      OUTPUT_SGST: { tally: 'Output SGST', zoho: '', notes: 'SGST charged on sales' },
+      OUTPUT_IGST: { tally: 'Output IGST', zoho: '', notes: 'IGST charged on sales' },
+      INPUT_CGST: { tally: 'Input CGST', zoho: '', notes: 'CGST paid on purchases' },
+      INPUT_SGST: { tally: 'Input SGST', zoho: '', notes: 'SGST paid on purchases' },
+      INPUT_IGST: { tally: 'Input IGST', zoho: '', notes: 'IGST paid on purchases' },
+      CESS: { tally: 'Cess', zoho: '', notes: 'Compensation cess on sales and purchases' },
+      ROUND_OFF: { tally: 'Round Off', zoho: '', notes: 'Difference between the invoice total and its taxable value plus taxes' }
+    },
+    TALLY_VOUCHER_TYPES: {
+      SALES: 'Sales',
+      PURCHASE: 'Purchase',
+      PAYMENT: 'Payment',
+      RECEIPT: 'Receipt'
+    },
+    // Documents booked as Sales/Purchase vouchers and Zoho invoices/bills; receipts become Payment/Receipt vouchers
+    INVOICE_DOCUMENT_TYPES: ['invoice', 'bill'],
+    RECEIPT_DOCUMENT_TYPES: ['receipt'],
+    ZOHO_INVOICE_COLUMNS: [
+      'Invoice Date',
+      'Invoice Number',
+      'Invoice Status',
+      'Customer Name',
+      'Due Date',
+      'Currency Code',
+      'Exchange Rate',
+      'Account',
+      'Item Name',
+      'Quantity',
+      'Item Price',
+      'Item Tax',
+      'Item Tax %',
+      'GST Identification Number (GSTIN)',
+      'Place of Supply',
+      'Notes'
+    ],
+    ZOHO_BILL_COLUMNS: [
+      'Bill Date',
+      'Bill Number',
+      'Bill Status',
+      'Vendor Name',
+      'Due Date',
+      'Currency Code',
+      'Exchange Rate',
+      'Account',
+      'Description',
+      'Quantity',
+      'Rate',
+      'Tax Name',
+      'Tax Percentage',
+      'GST Identification Number (GSTIN)',
+      'Source of Supply',
+      'Notes'
+    ]
+  },
+  
+  // Review queue settings
+  REVIEW: {
+    // Fields shown on the review screen; type selects the input and the validation applied on approval
+    EDITABLE_FIELDS: [
+      { key: 'date', label: 'Date', type: 'date' },
+      { key: 'vendorName', label: 'Vendor Name', type: 'text' },
+      { key: 'invoiceNumber', label: 'Invoice Number', type: 'text' },
+      { key: 'amount', label: 'Amount', type: 'amount' },
+      { key: 'currency', label: 'Currency', type: 'currency' },
+      { key: 'documentType', label: 'Document Type', type: 'documentType' },
+      { key: 'transactionType', label: 'Inflow/Outflow', type: 'transactionType' },
+      { key: 'vendorGstin', label: 'Vendor GSTIN', type: 'gstin' },
+      { key: 'buyerGstin', label: 'Buyer GSTIN', type: 'gstin' },
+      { key: 'taxableValue', label: 'Taxable Value', type: 'amount' },
+      { key: 'cgst', label: 'CGST', type: 'amount' },
+      { key: 'sgst', label: 'SGST', type: 'amount' },
+      { key: 'igst', label: 'IGST', type: 'amount' },
+      { key: 'cess', label: 'Cess', type: 'amount' }
+    ],
+    // Buffer cells hold at most 50,000 characters; line items are dropped from larger AI Data
+    MAX_AI_DATA_LENGTH: 45000
+  },
+  
+  // Vendor profile settings
+  VENDOR_PROFILES: {
+    ALIAS_SEPARATOR: '; ',
+    // Profiles added to each AI prompt; those named in the file name or email subject come first
+    MAX_PROMPT_HINTS: 30
+  },
+  
+  // Duplicate detection settings
+  DUPLICATES: {
+    // Amounts within this difference are treated as equal when comparing invoice content
+    AMOUNT_TOLERANCE: 0.01,
+    // Also look for the same invoice in other clients' sheets (e.g. mail sent to the wrong label)
+    CHECK_OTHER_CLIENTS: true,
+    REASON_PREFIX: 'Possible duplicate of'
+  },
+  
   // Processing settings
   PROCESSING: {
     MAX_CONCURRENT_OPERATIONS: 3, // Reduced for stability
@@ -159,6 +835,117 @@ const SYSTEM_CONFIG = {
     OPERATION_TIMEOUT: 300000 // 5 minutes
   },
   
+  // Dashboard and client page access by signed-in Google account (see the master config's Users sheet)
+  ACCESS: {
+    // Each role includes the ones before it; admins see every client
+    ROLES: ['viewer', 'accountant', 'admin'],
+    ALL_CLIENTS: '*',
+    CLIENT_SEPARATOR: ','
+  },
+  
+  // Audit log of state-changing operations
+  AUDIT: {
+    ACTIONS: {
+      DELETE_FILE: 'Delete File',
+      REACTIVATE_FILE: 'Reactivate File',
+      MOVE_TO_FLOW: 'Move to Flow',
+      ADD_CLIENT: 'Add Client',
+      UPDATE_CLIENT: 'Update Client',
+      AI_RENAME: 'AI Rename',
+      AI_PROCESSING: 'AI Processing'
+    },
+    RESULTS: {
+      SUCCESS: 'Success',
+      FAILURE: 'Failure'
+    },
+    MAX_VALUE_LENGTH: 2000, // Before/After/Details are truncated to this many characters
+    DEFAULT_QUERY_LIMIT: 200 // Newest entries returned to the dashboard per query
+  },
+  
+  // Resumable jobs that process every client's Gmail or AI queue across several executions
+  JOBS: {
+    TYPES: {
+      GMAIL: 'gmail',
+      AI: 'ai'
+    },
+    STATUS: {
+      RUNNING: 'Running',
+      WAITING: 'Waiting', // Checkpointed, to be continued by the continuation trigger
+      COMPLETED: 'Completed',
+      CANCELLED: 'Cancelled',
+      FAILED: 'Failed' // No continuation trigger could be scheduled; start the job again
+    },
+    // Executions are stopped after 6 minutes; no new thread or file is started after this
+    TIME_BUDGET_MS: 270000,
+    // A running job not checkpointed for this long is assumed to have been killed, and is resumed
+    LEASE_MS: 420000,
+    CONTINUATION_DELAY_MS: 60000,
+    CONTINUATION_HANDLER: 'continueProcessingJobs',
+    HISTORY_LIMIT: 20, // Finished jobs kept in the Jobs sheet
+    // Per-client counters added up across the executions of a job
+    PROGRESS_FIELDS: {
+      gmail: ['totalThreads', 'totalAttachments', 'processedAttachments', 'skippedMessages', 'errorCount'],
+      ai: ['splitFiles', 'splitDocuments', 'processed', 'skipped', 'reactivated', 'errors', 'needsReview', 'possibleDuplicates', 'inflowCount', 'outflowCount']
+    }
+  },
+  
+  // Time-driven triggers that run processing on a schedule (see the master config's Schedules sheet)
+  SCHEDULER: {
+    TASKS: {
+      gmail: { label: 'Gmail ingestion', handler: 'runScheduledGmail' },
+      ai: { label: 'AI processing', handler: 'runScheduledAI' },
+      buffer: { label: 'Buffer changes', handler: 'runScheduledBufferChanges' },
+      flow: { label: 'Move to Inflow/Outflow', handler: 'runScheduledFlowMoves' }
+    },
+    // Intervals Apps Script triggers support; each task's trigger fires at its most frequent schedule
+    FREQUENCIES: {
+      '15m': { label: 'Every 15 minutes', minutes: 15 },
+      '30m': { label: 'Every 30 minutes', minutes: 30 },
+      '1h': { label: 'Every hour', minutes: 60 },
+      '2h': { label: 'Every 2 hours', minutes: 120 },
+      '4h': { label: 'Every 4 hours', minutes: 240 },
+      '6h': { label: 'Every 6 hours', minutes: 360 },
+      '12h': { label: 'Every 12 hours', minutes: 720 },
+      '1d': { label: 'Every day', minutes: 1440 }
+    },
+    OFF: 'off', // A client row with this frequency leaves the client out of the task's global schedule
+    GLOBAL_CLIENT: '*',
+    OUTCOMES: {
+      SUCCESS: 'Success',
+      PARTIAL: 'Partial',
+      SKIPPED: 'Skipped',
+      FAILURE: 'Failure'
+    },
+    // Installed trigger interval and time per task, for estimating the next run
+    TRIGGER_PROPERTY_PREFIX: 'SCHEDULE_TRIGGER_'
+  },
+  
+  // doPost API keys, stored hashed in script properties as API_KEY_<key id>
+  API: {
+    KEY_PROPERTY_PREFIX: 'API_KEY_',
+    // Keys look like "<key id>.<secret>"; the id locates the stored hash without scanning every key
+    KEY_SEPARATOR: '.',
+    // Each scope includes the ones before it
+    SCOPES: ['read-only', 'process', 'admin'],
+    // The user role a key's requests run with; all-clients processing needs an admin key, as in the dashboard
+    SCOPE_ROLES: {
+      'read-only': 'viewer',
+      process: 'accountant',
+      admin: 'admin'
+    },
+    ACTION_SCOPES: {
+      getClients: 'read-only',
+      getSystemStatus: 'read-only',
+      processGmail: 'process',
+      processAI: 'process',
+      processBuffer: 'process',
+      moveToFlow: 'process',
+      validateReactivation: 'process',
+      addClient: 'admin',
+      deleteClient: 'admin'
+    }
+  },
+  
   // Status constants
   STATUS: {
     ACTIVE: 'Active',
@@ -168,6 +955,10 @@ const SYSTEM_CONFIG = {
     ERROR: 'Error',
     PENDING: 'Pending',
     FAILED: 'Failed',
+    POSSIBLE_DUPLICATE: 'Possible Duplicate',
+    NEEDS_REVIEW: 'Needs Review',
+    SPLIT: 'Split',
+    STATEMENT_IMPORTED: 'Statement Imported',
     INFLOW: 'inflow',
     OUTFLOW: 'outflow'
   },
@@ -187,7 +978,7 @@ const SYSTEM_CONFIG = {
 /**
  * Get Gemini API key from script properties with validation
  */
-function getGeminiApiKey() {
+function getGeminiApiKey_() {
   try {
     const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
     if (!apiKey || apiKey.trim() === '') {
@@ -206,7 +997,7 @@ function getGeminiApiKey() {
 /**
  * Get master configuration sheet ID with validation
  */
-function getMasterConfigSheetId() {
+function getMasterConfigSheetId_() {
   try {
     const sheetId = PropertiesService.getScriptProperties().getProperty('MASTER_CONFIG_SHEET_ID');
     if (!sheetId || sheetId.trim() === '') {
@@ -338,6 +1129,21 @@ function formatDateForFilename(date) {
   }
 }
 
+/**
+ * Format a date as YYYY-MM-DD in the script time zone; empty for missing or invalid dates
+ */
+function formatIsoDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Round a currency amount to 2 decimal places (paise/cents)
+ */
+function roundCurrencyAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
 /**
  * Enhanced filename cleaning with length validation
  */
@@ -422,6 +1228,158 @@ function parseAmount(amountStr) {
   }
 }
 
+/**
+ * Validate an Indian GSTIN: format, state code and mod-36 check digit
+ */
+function isValidGSTIN(gstin) {
+  try {
+    if (!gstin || typeof gstin !== 'string') return false;
+    
+    const value = gstin.trim().toUpperCase();
+    if (!/^[0-9]{2}[0-9A-Z]{13}$/.test(value)) return false;
+    
+    // First two digits must be a known state code
+    if (!SYSTEM_CONFIG.GST.STATE_CODES[value.substring(0, 2)]) return false;
+    
+    return value.charAt(14) === calculateGSTINCheckDigit(value.substring(0, 14));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calculate the GSTIN check digit for the first 14 characters
+ */
+function calculateGSTINCheckDigit(gstinBase) {
+  const charset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let sum = 0;
+  
+  for (let i = 0; i < gstinBase.length; i++) {
+    const codePoint = charset.indexOf(gstinBase.charAt(i));
+    if (codePoint === -1) return '';
+    
+    // Factor alternates 1, 2, 1, 2... from the left
+    const product = codePoint * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  
+  return charset.charAt((36 - (sum % 36)) % 36);
+}
+
+/**
+ * Get the GST state name for a state code or GSTIN
+ */
+function getGSTStateName(codeOrGstin) {
+  if (!codeOrGstin) return '';
+  const code = codeOrGstin.toString().trim().substring(0, 2).padStart(2, '0');
+  return SYSTEM_CONFIG.GST.STATE_CODES[code] || '';
+}
+
+/**
+ * Build a sheet row by mapping column names to values according to the header positions
+ */
+function buildRowFromHeaders(headers, valuesByColumn) {
+  const rowData = new Array(headers.length).fill('');
+  
+  for (const [columnName, value] of Object.entries(valuesByColumn)) {
+    const index = headers.indexOf(columnName);
+    if (index !== -1) {
+      rowData[index] = value !== null && value !== undefined ? value : '';
+    }
+  }
+  
+  return rowData;
+}
+
+/**
+ * Detect the ISO currency code from an amount string (symbol or code), or null if none is present
+ */
+function detectCurrency(amountStr) {
+  try {
+    if (!amountStr) return null;
+    
+    const text = amountStr.toString().trim();
+    
+    // Explicit ISO code, e.g. "USD 1,200.00" or "1200 EUR"
+    const codes = text.toUpperCase().match(/\b[A-Z]{3}\b/g) || [];
+    const knownCode = codes.find(code => SYSTEM_CONFIG.CURRENCY.KNOWN_CODES.includes(code));
+    if (knownCode) {
+      return knownCode;
+    }
+    
+    for (const [symbol, code] of Object.entries(SYSTEM_CONFIG.CURRENCY.SYMBOLS)) {
+      if (text.includes(symbol)) {
+        return code;
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    errorLog('Error detecting currency', error);
+    return null;
+  }
+}
+
+/**
+ * Validate an ISO 4217 currency code (format check only)
+ */
+function isValidCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Normalise a vendor name for comparison: case, punctuation/underscores and common company suffixes
+ */
+function normalizeVendorName(vendorName) {
+  return String(vendorName || '')
+    .toLowerCase()
+    .replace(/[_\W]+/g, ' ')
+    .replace(/\b(private|pvt|limited|ltd|llp|llc|inc|corp|corporation|co|company|the)\b/g, ' ')
+    .replace(/\s+/g, '')
+    .trim();
+}
+
+/**
+ * Check whether two vendor names refer to the same vendor (exact or contained after normalisation)
+ */
+function isSameVendor(firstName, secondName) {
+  const first = normalizeVendorName(firstName);
+  const second = normalizeVendorName(secondName);
+  
+  if (!first || !second) return false;
+  if (first === second) return true;
+  
+  // "Acme" vs "Acme Software Services" - require a reasonably long common part
+  const shorter = first.length < second.length ? first : second;
+  const longer = shorter === first ? second : first;
+  return shorter.length >= 4 && longer.includes(shorter);
+}
+
+/**
+ * Parse a date from a sheet cell or document field: Date values, ISO (YYYY-MM-DD) and Indian dd-mm-yyyy / dd/mm/yyyy
+ */
+function parseDateValue(value) {
+  if (!value) return null;
+  
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  
+  const text = String(value).trim();
+  
+  const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return new Date(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10) - 1, parseInt(isoMatch[3], 10));
+  }
+  
+  const dayFirstMatch = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/);
+  if (dayFirstMatch) {
+    return new Date(parseInt(dayFirstMatch[3], 10), parseInt(dayFirstMatch[2], 10) - 1, parseInt(dayFirstMatch[1], 10));
+  }
+  
+  return null;
+}
+
 /**
  * Get current timestamp in ISO format
  */
@@ -607,7 +1565,7 @@ function isValidDate(dateString) {
 /**
  * System health check
  */
-function performSystemHealthCheck() {
+function performSystemHealthCheck_() {
   const health = {
     timestamp: getCurrentTimestamp(),
     status: 'healthy',
@@ -618,7 +1576,7 @@ function performSystemHealthCheck() {
   try {
     // Check Gemini API key
     try {
-      getGeminiApiKey();
+      getGeminiApiKey_();
       health.checks.geminiApi = 'ok';
     } catch (error) {
       health.checks.geminiApi = 'failed';
@@ -628,7 +1586,7 @@ function performSystemHealthCheck() {
     
     // Check master config sheet
     try {
-      getMasterConfigSheetId();
+      getMasterConfigSheetId_();
       health.checks.masterConfig = 'ok';
     } catch (error) {
       health.checks.masterConfig = 'failed';
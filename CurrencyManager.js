@@ -0,0 +1,185 @@
+/**
+ * CurrencyManager.gs - Multi-currency support using the per-client FX Rates sheet
+ */
+
+/**
+ * Recalculate FX Rate and Base Amount for rows that could not be converted earlier,
+ * e.g. after users add missing rates to the FX Rates sheet
+ */
+function refreshBaseCurrencyAmounts(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const fxRates = getFXRates(spreadsheet);
+      const sheetNames = [
+        SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME,
+        SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME
+      ];
+      
+      let updatedCount = 0;
+      let missingCount = 0;
+      
+      for (const sheetName of sheetNames) {
+        const sheet = getOrCreateSheet(spreadsheet, sheetName);
+        if (sheet.getLastRow() <= 1) continue;
+        
+        const data = sheet.getDataRange().getValues();
+        const headers = data[0];
+        const dateIndex = getColumnIndex(headers, 'Date');
+        const amountIndex = getColumnIndex(headers, 'Amount');
+        const currencyIndex = getColumnIndex(headers, 'Currency');
+        const fxRateIndex = getColumnIndex(headers, 'FX Rate');
+        const baseAmountIndex = getColumnIndex(headers, 'Base Amount');
+        
+        if (currencyIndex === -1 || fxRateIndex === -1 || baseAmountIndex === -1) continue;
+        
+        const fxRateValues = data.slice(1).map(row => [row[fxRateIndex]]);
+        const baseAmountValues = data.slice(1).map(row => [row[baseAmountIndex]]);
+        let sheetUpdated = false;
+        
+        for (let i = 1; i < data.length; i++) {
+          const row = data[i];
+          if (safeGetCellValue(row, fxRateIndex) !== '') continue;
+          
+          const conversion = convertToBaseCurrency(
+            safeGetCellValue(row, amountIndex),
+            safeGetCellValue(row, currencyIndex) || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY,
+            safeGetCellValue(row, dateIndex),
+            fxRates
+          );
+          
+          if (conversion.rateFound) {
+            fxRateValues[i - 1][0] = conversion.fxRate;
+            baseAmountValues[i - 1][0] = conversion.baseAmount;
+            sheetUpdated = true;
+            updatedCount++;
+          } else {
+            missingCount++;
+          }
+        }
+        
+        // One write per column instead of two per converted row
+        if (sheetUpdated) {
+          sheet.getRange(2, fxRateIndex + 1, fxRateValues.length, 1).setValues(fxRateValues);
+          sheet.getRange(2, baseAmountIndex + 1, baseAmountValues.length, 1).setValues(baseAmountValues);
+        }
+      }
+      
+      const result = {
+        success: true,
+        message: `Updated base amounts for ${updatedCount} rows${missingCount > 0 ? ` (${missingCount} still missing FX rates)` : ''}`,
+        updatedCount: updatedCount,
+        missingCount: missingCount
+      };
+      
+      infoLog(`Refreshed base currency amounts for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error refreshing base currency amounts for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Load the FX Rates sheet into a map of currency -> rates sorted by date (newest first)
+   */
+  function getFXRates(spreadsheet) {
+    const fxRates = {};
+    
+    try {
+      const sheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.FX_RATES_SHEET_NAME);
+      if (sheet.getLastRow() <= 1) {
+        return fxRates;
+      }
+      
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const currencyIndex = getColumnIndex(headers, 'Currency');
+      const rateDateIndex = getColumnIndex(headers, 'Rate Date');
+      const rateIndex = getColumnIndex(headers, 'Rate to Base');
+      
+      for (let i = 1; i < data.length; i++) {
+        const currency = String(safeGetCellValue(data[i], currencyIndex)).trim().toUpperCase();
+        const rate = parseFloat(safeGetCellValue(data[i], rateIndex));
+        const rateDate = parseDateValue(safeGetCellValue(data[i], rateDateIndex));
+        
+        if (!isValidCurrencyCode(currency) || isNaN(rate) || rate <= 0) {
+          if (currency) {
+            warnLog(`Skipping invalid FX rate row ${i + 1}`, { currency: currency, rate: safeGetCellValue(data[i], rateIndex) });
+          }
+          continue;
+        }
+        
+        if (!fxRates[currency]) {
+          fxRates[currency] = [];
+        }
+        fxRates[currency].push({ date: rateDate, rate: rate });
+      }
+      
+      // Newest first; undated rates act as a fallback after all dated ones
+      const rateTime = entry => entry.date ? entry.date.getTime() : 0;
+      Object.values(fxRates).forEach(rates => rates.sort((a, b) => rateTime(b) - rateTime(a)));
+      
+      debugLog(`Loaded FX rates for ${Object.keys(fxRates).length} currencies`);
+      
+    } catch (error) {
+      errorLog('Error loading FX rates', error);
+    }
+    
+    return fxRates;
+  }
+  
+  /**
+   * Convert an amount to the base currency using the latest rate on or before the document date
+   */
+  function convertToBaseCurrency(amount, currency, documentDate, fxRates) {
+    const parsedAmount = parseFloat(amount) || 0;
+    
+    if (currency === SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY) {
+      return { rateFound: true, fxRate: 1, baseAmount: parsedAmount.toFixed(2) };
+    }
+    
+    const rates = fxRates[currency] || [];
+    const date = parseDateValue(documentDate);
+    
+    // Rates are sorted newest first, so the first one not after the document date applies
+    const applicable = rates.find(entry => !entry.date || !date || entry.date.getTime() <= date.getTime());
+    
+    if (!applicable) {
+      return { rateFound: false, fxRate: '', baseAmount: '' };
+    }
+    
+    return {
+      rateFound: true,
+      fxRate: applicable.rate,
+      baseAmount: (parsedAmount * applicable.rate).toFixed(2)
+    };
+  }
+  
+  /**
+   * Add Original Amount, FX Rate and Base Amount to extracted AI data
+   */
+  function applyCurrencyConversion(aiData, fxRates) {
+    const currency = aiData.currency || SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY;
+    const conversion = convertToBaseCurrency(aiData.amount, currency, aiData.date, fxRates);
+    
+    aiData.currency = currency;
+    aiData.originalAmount = aiData.amount;
+    aiData.fxRate = conversion.fxRate;
+    aiData.baseAmount = conversion.baseAmount;
+    
+    if (!conversion.rateFound) {
+      warnLog(`No ${currency} rate on or before ${aiData.date} in the FX Rates sheet; base amount left empty`);
+    }
+    
+    return aiData;
+  }
@@ -0,0 +1,339 @@
+/**
+ * DocumentSplitter.gs - Split combined PDFs into one Buffer file per document before AI extraction
+ *
+ * Page copying uses pdf-lib (vendored in PdfLib.gs), whose API is promise-based, so splitting runs as
+ * an async step ahead of processClientDocumentsWithAI_: in processClientDocumentsWithSplitting for one
+ * client, and in each client's step of an AI job (see JobRunner) for all of them.
+ */
+
+/**
+ * Split the combined PDFs waiting in a client's buffer sheet. Each piece is saved to the Buffer
+ * folder and gets its own Active buffer row linked to the parent; the parent row is marked Split.
+ * Options (for the job runner): deadline (ms timestamp) after which no further PDF is started and
+ * complete: false is returned; the PDFs left are picked up by the next call.
+ */
+async function splitCombinedDocuments(clientName, options = {}) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const results = {
+        checked: 0,
+        split: 0,
+        documentsCreated: 0,
+        errors: 0,
+        complete: true
+      };
+      
+      if (!SYSTEM_CONFIG.AI.DOCUMENT_SPLITTING.ENABLED) {
+        return { success: true, message: 'Document splitting is disabled', ...results };
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const bufferSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME);
+      const candidates = getSplitCandidatesFromBuffer(bufferSheet);
+      
+      if (candidates.length === 0) {
+        return { success: true, message: 'No new PDFs to check for multiple documents', ...results };
+      }
+      
+      const bufferFolder = getClientFolderStructure(client).bufferFolder;
+      const provider = getAIProviderForClient(client);
+      
+      for (const candidate of candidates) {
+        if (options.deadline && Date.now() >= options.deadline) {
+          results.complete = false;
+          break;
+        }
+        
+        try {
+          results.checked++;
+          const documentsCreated = await splitBufferFile(provider, bufferSheet, bufferFolder, candidate);
+          
+          if (documentsCreated > 0) {
+            results.split++;
+            results.documentsCreated += documentsCreated;
+          }
+        } catch (error) {
+          // The file is still extracted as a single document by the AI step
+          errorLog(`Error splitting combined PDF: ${candidate.originalFilename}`, error);
+          results.errors++;
+        }
+      }
+      
+      const message = `Checked ${results.checked} PDFs for ${clientName}: ${results.split} split into ${results.documentsCreated} documents` +
+        (results.complete ? '' : `; ${candidates.length - results.checked} left for the next run`);
+      infoLog(message, results);
+      
+      return { success: true, message: message, ...results };
+      
+    } catch (error) {
+      errorLog(`Error splitting combined documents for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Split combined PDFs, then run AI extraction, for one client
+   */
+  async function processClientDocumentsWithSplitting(clientName) {
+    requireUserRole('accountant', clientName);
+    
+    const splitResult = await splitCombinedDocuments(clientName);
+    const result = processClientDocumentsWithAI_(clientName);
+    
+    return {
+      ...result,
+      splitFiles: splitResult.split,
+      splitDocuments: splitResult.documentsCreated
+    };
+  }
+  
+  /**
+   * Split combined PDFs and run AI extraction for every active client; the AI job splits each client's
+   * PDFs in its step for the client
+   */
+  async function processAllClientsWithSplitting() {
+    requireUserRole('admin');
+    
+    return processAllClientsWithAI();
+  }
+  
+  /**
+   * Buffer rows that may be combined PDFs: active, never extracted, not a split piece
+   * and not checked before (no Page Range)
+   */
+  function getSplitCandidatesFromBuffer(bufferSheet) {
+    try {
+      if (bufferSheet.getLastRow() <= 1) {
+        return [];
+      }
+      
+      const data = bufferSheet.getDataRange().getValues();
+      const headers = data[0];
+      
+      const originalFilenameIndex = getColumnIndex(headers, 'Original File Name');
+      const fileIdIndex = getColumnIndex(headers, 'File ID');
+      const statusIndex = getColumnIndex(headers, 'Status');
+      const attemptsIndex = getColumnIndex(headers, 'Processing Attempts');
+      const parentFileIdIndex = getColumnIndex(headers, 'Parent File ID');
+      const pageRangeIndex = getColumnIndex(headers, 'Page Range');
+      
+      if (parentFileIdIndex === -1 || pageRangeIndex === -1) {
+        warnLog('Buffer sheet has no Parent File ID / Page Range columns; skipping document splitting');
+        return [];
+      }
+      
+      const candidates = [];
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const originalFilename = String(safeGetCellValue(row, originalFilenameIndex));
+        const attempts = parseInt(safeGetCellValue(row, attemptsIndex, '0')) || 0;
+        
+        if (safeGetCellValue(row, statusIndex) === SYSTEM_CONFIG.STATUS.ACTIVE &&
+            attempts === 0 &&
+            !safeGetCellValue(row, parentFileIdIndex) &&
+            !safeGetCellValue(row, pageRangeIndex) &&
+            safeGetCellValue(row, fileIdIndex) &&
+            /\.pdf$/i.test(originalFilename)) {
+          candidates.push({
+            rowIndex: i + 1,
+            originalFilename: originalFilename,
+            fileId: safeGetCellValue(row, fileIdIndex),
+            row: row
+          });
+        }
+      }
+      
+      debugLog(`Found ${candidates.length} PDFs to check for multiple documents`);
+      return candidates;
+      
+    } catch (error) {
+      errorLog('Error getting split candidates from buffer sheet', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Ask the AI provider for document boundaries and split one PDF. Returns the number of pieces
+   * created, or 0 when the file is a single document.
+   */
+  async function splitBufferFile(provider, bufferSheet, bufferFolder, candidate) {
+    const file = DriveApp.getFileById(candidate.fileId);
+    if (file.getMimeType() !== MimeType.PDF) {
+      // Named .pdf but not a PDF; mark it checked and let the AI step handle it as is
+      setBufferPageRange(bufferSheet, candidate.rowIndex, '-');
+      return 0;
+    }
+    
+    // pdf-lib yields with setTimeout between batches of objects, which Apps Script does not provide;
+    // parsing and saving in one go (Fastest, objectsPerTick Infinity) never yields
+    const sourcePdf = await PDFLib.PDFDocument.load(new Uint8Array(file.getBlob().getBytes()), {
+      ignoreEncryption: true,
+      parseSpeed: PDFLib.ParseSpeeds.Fastest
+    });
+    const pageCount = sourcePdf.getPageCount();
+    
+    if (pageCount < 2 || pageCount > SYSTEM_CONFIG.AI.DOCUMENT_SPLITTING.MAX_PAGES) {
+      setBufferPageRange(bufferSheet, candidate.rowIndex, formatPageRange(1, pageCount));
+      return 0;
+    }
+    
+    const segmentation = retryWithBackoff(
+      () => provider.detectDocumentBoundaries(file, MimeType.PDF, pageCount),
+      SYSTEM_CONFIG.AI.MAX_RETRIES,
+      SYSTEM_CONFIG.PROCESSING.RETRY_DELAY,
+      `Document segmentation (${provider.name}) for ${candidate.originalFilename}`
+    );
+    const segments = normalizeDocumentSegments(segmentation && segmentation.documents, pageCount);
+    
+    if (segments.length < 2) {
+      setBufferPageRange(bufferSheet, candidate.rowIndex, formatPageRange(1, pageCount));
+      return 0;
+    }
+    
+    const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+    const pieceFiles = [];
+    
+    try {
+      const rows = [];
+      
+      for (const segment of segments) {
+        const piecePdf = await PDFLib.PDFDocument.create();
+        const pageIndices = [];
+        for (let page = segment.startPage; page <= segment.endPage; page++) {
+          pageIndices.push(page - 1);
+        }
+        
+        const pages = await piecePdf.copyPages(sourcePdf, pageIndices);
+        pages.forEach(page => piecePdf.addPage(page));
+        const pieceBytes = await piecePdf.save({ objectsPerTick: Infinity });
+        
+        const pieceName = buildSplitFileName(candidate.originalFilename, segment);
+        const pieceFile = bufferFolder.createFile(
+          Utilities.newBlob(Array.from(new Int8Array(pieceBytes.buffer, pieceBytes.byteOffset, pieceBytes.byteLength)), MimeType.PDF, pieceName)
+        );
+        pieceFiles.push(pieceFile);
+        
+        rows.push(createBufferRowData(headers, {
+          originalFileName: pieceName,
+          changedFileName: pieceName,
+          fileUrl: pieceFile.getUrl(),
+          fileId: pieceFile.getId(),
+          messageId: safeGetCellValue(candidate.row, getColumnIndex(headers, 'Message ID')),
+          invoiceNumber: '',
+          status: SYSTEM_CONFIG.STATUS.ACTIVE,
+          reason: '',
+          emailSubject: safeGetCellValue(candidate.row, getColumnIndex(headers, 'Email Subject')),
+          emailSender: safeGetCellValue(candidate.row, getColumnIndex(headers, 'Email Sender')),
+          dateAdded: getCurrentTimestamp(),
+          lastModified: getCurrentTimestamp(),
+          processingAttempts: '0',
+          parentFileId: candidate.fileId,
+          pageRange: formatPageRange(segment.startPage, segment.endPage)
+        }));
+      }
+      
+      bufferSheet.getRange(bufferSheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+      
+    } catch (error) {
+      // Do not leave orphaned pieces in the Buffer folder
+      pieceFiles.forEach(pieceFile => pieceFile.setTrashed(true));
+      throw error;
+    }
+    
+    markFileAsSplit(bufferSheet, candidate, headers, segments.length, pageCount);
+    
+    infoLog(`Split ${candidate.originalFilename} into ${segments.length} documents`, segments);
+    return segments.length;
+  }
+  
+  /**
+   * Turn the provider's page ranges into ordered, non-overlapping segments covering every page.
+   * Anything that cannot be repaired into such a list is treated as a single document.
+   */
+  function normalizeDocumentSegments(documents, pageCount) {
+    const wholeFile = [{ startPage: 1, endPage: pageCount, documentType: '', description: '' }];
+    
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return wholeFile;
+    }
+    
+    const segments = documents
+      .map(document => ({
+        startPage: parseInt(document.startPage),
+        endPage: parseInt(document.endPage),
+        documentType: String(document.documentType || ''),
+        description: String(document.description || '')
+      }))
+      .filter(segment => !isNaN(segment.startPage) && !isNaN(segment.endPage))
+      .sort((a, b) => a.startPage - b.startPage);
+    
+    let expectedStart = 1;
+    for (const segment of segments) {
+      if (segment.startPage !== expectedStart || segment.endPage < segment.startPage || segment.endPage > pageCount) {
+        warnLog('AI document boundaries do not cover the PDF page by page; extracting as one document', { documents: documents, pageCount: pageCount });
+        return wholeFile;
+      }
+      expectedStart = segment.endPage + 1;
+    }
+    
+    return expectedStart === pageCount + 1 ? segments : wholeFile;
+  }
+  
+  /**
+   * Prompt for the segmentation call
+   */
+  function buildSegmentationPrompt(pageCount) {
+    return `${SYSTEM_CONFIG.AI.PROMPTS.DOCUMENT_SEGMENTATION}\n\nThe PDF has ${pageCount} pages.`;
+  }
+  
+  /**
+   * Name of a split piece, e.g. "statement_p3-4.pdf"
+   */
+  function buildSplitFileName(originalFilename, segment) {
+    const baseName = originalFilename.replace(/\.pdf$/i, '');
+    const pages = segment.startPage === segment.endPage ? `${segment.startPage}` : `${segment.startPage}-${segment.endPage}`;
+    return `${baseName}_p${pages}.pdf`;
+  }
+  
+  /**
+   * Page range label. Written as text so Sheets does not read "1-3" as a date.
+   */
+  function formatPageRange(startPage, endPage) {
+    return startPage === endPage ? `Page ${startPage}` : `Pages ${startPage}-${endPage}`;
+  }
+  
+  /**
+   * Record the checked page range on a buffer row so the file is not checked again
+   */
+  function setBufferPageRange(bufferSheet, rowIndex, pageRange) {
+    const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+    const pageRangeIndex = getColumnIndex(headers, 'Page Range');
+    if (pageRangeIndex !== -1) {
+      bufferSheet.getRange(rowIndex, pageRangeIndex + 1).setValue(pageRange);
+    }
+  }
+  
+  /**
+   * Mark the parent of split pieces so the AI step skips it
+   */
+  function markFileAsSplit(bufferSheet, candidate, headers, documentCount, pageCount) {
+    const statusIndex = getColumnIndex(headers, 'Status');
+    if (statusIndex !== -1) {
+      bufferSheet.getRange(candidate.rowIndex, statusIndex + 1).setValue(SYSTEM_CONFIG.STATUS.SPLIT);
+    }
+    
+    const reasonIndex = getColumnIndex(headers, 'Reason');
+    if (reasonIndex !== -1) {
+      bufferSheet.getRange(candidate.rowIndex, reasonIndex + 1).setValue(`Split into ${documentCount} documents (${getCurrentTimestamp()})`);
+    }
+    
+    setBufferPageRange(bufferSheet, candidate.rowIndex, formatPageRange(1, pageCount));
+    debugLog(`Marked file as split: ${candidate.originalFilename}`);
+  }
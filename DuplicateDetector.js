@@ -0,0 +1,213 @@
+/**
+ * DuplicateDetector.gs - Content-level duplicate invoice detection across sheets and clients
+ */
+
+/**
+ * Build an index of documents already booked for a client (Final, Inflow and Outflow).
+ * Other active clients are only read when a document first needs checking against them.
+ */
+function buildDuplicateIndex(spreadsheet, clientName) {
+    try {
+      const documents = getBookedDocumentsFromSpreadsheet(spreadsheet, clientName);
+      
+      debugLog(`Built duplicate index with ${documents.length} documents for client: ${clientName}`);
+      return { clientName: clientName, documents: documents, otherClientDocuments: null };
+      
+    } catch (error) {
+      errorLog(`Error building duplicate index for client: ${clientName}`, error);
+      return { clientName: clientName, documents: [], otherClientDocuments: null };
+    }
+  }
+  
+  /**
+   * Documents booked for the other active clients, read on first use and kept on the index
+   */
+  function getOtherClientDocuments_(duplicateIndex) {
+    if (!SYSTEM_CONFIG.DUPLICATES.CHECK_OTHER_CLIENTS) return [];
+    if (duplicateIndex.otherClientDocuments) return duplicateIndex.otherClientDocuments;
+    
+    const documents = [];
+    for (const otherClient of getActiveClients_()) {
+      if (otherClient.name === duplicateIndex.clientName || !otherClient.spreadsheetId) continue;
+      
+      try {
+        const otherSpreadsheet = SpreadsheetApp.openById(otherClient.spreadsheetId);
+        documents.push(...getBookedDocumentsFromSpreadsheet(otherSpreadsheet, otherClient.name));
+      } catch (error) {
+        warnLog(`Could not read documents of client ${otherClient.name} for duplicate detection: ${error.message}`);
+      }
+    }
+    
+    debugLog(`Loaded ${documents.length} documents of other clients for duplicate detection: ${duplicateIndex.clientName}`);
+    duplicateIndex.otherClientDocuments = documents;
+    return documents;
+  }
+  
+  /**
+   * Read the fields used for duplicate comparison from the Final, Inflow and Outflow sheets
+   */
+  function getBookedDocumentsFromSpreadsheet(spreadsheet, clientName) {
+    const documents = [];
+    const sheetNames = [
+      SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME,
+      SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME,
+      SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME
+    ];
+    
+    for (const sheetName of sheetNames) {
+      const sheet = spreadsheet.getSheetByName(sheetName);
+      if (!sheet || sheet.getLastRow() <= 1) continue;
+      
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const columns = {
+        fileName: getColumnIndex(headers, 'File Name'),
+        uniqueFileId: getColumnIndex(headers, 'Unique File ID'),
+        fileUrl: getColumnIndex(headers, 'File URL'),
+        date: getColumnIndex(headers, 'Date'),
+        vendorName: getColumnIndex(headers, 'Vendor Name'),
+        invoiceNumber: getColumnIndex(headers, 'Invoice Number'),
+        amount: getColumnIndex(headers, 'Amount'),
+        fileHash: getColumnIndex(headers, 'File Hash')
+      };
+      
+      for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        
+        documents.push({
+          clientName: clientName,
+          sheetName: sheetName,
+          fileName: safeGetCellValue(row, columns.fileName),
+          uniqueFileId: safeGetCellValue(row, columns.uniqueFileId),
+          fileUrl: safeGetCellValue(row, columns.fileUrl),
+          date: safeGetCellValue(row, columns.date),
+          vendorName: safeGetCellValue(row, columns.vendorName),
+          invoiceNumber: safeGetCellValue(row, columns.invoiceNumber),
+          amount: safeGetCellValue(row, columns.amount),
+          fileHash: safeGetCellValue(row, columns.fileHash)
+        });
+      }
+    }
+    
+    return documents;
+  }
+  
+  /**
+   * Find an already booked document that matches the new one.
+   * Vendor + invoice number + amount + date must all match; an identical file hash matches on its own,
+   * which catches re-sent files whose extracted fields are incomplete.
+   */
+  function findPossibleDuplicate(duplicateIndex, fileData, aiData) {
+    const invoiceNumber = normalizeInvoiceNumber(aiData.invoiceNumber);
+    const amount = parseFloat(aiData.amount);
+    const dateKey = formatIsoDate(parseDateValue(aiData.date));
+    const hasContentFields = aiData.vendorName && invoiceNumber && !isNaN(amount) && dateKey;
+    
+    // Nothing to compare on, so there is no reason to read the other clients' sheets
+    if (!aiData.fileHash && !hasContentFields) return null;
+    
+    const findIn = (documents) => {
+      for (const document of documents) {
+        // The same Drive file is handled by the File URL check, not reported as a duplicate
+        if (document.fileUrl === fileData.fileUrl) continue;
+        
+        if (aiData.fileHash && document.fileHash === aiData.fileHash) {
+          return { document: document, matchType: 'identical file' };
+        }
+        
+        if (hasContentFields &&
+            normalizeInvoiceNumber(document.invoiceNumber) === invoiceNumber &&
+            Math.abs((parseFloat(document.amount) || 0) - amount) <= SYSTEM_CONFIG.DUPLICATES.AMOUNT_TOLERANCE &&
+            formatIsoDate(parseDateValue(document.date)) === dateKey &&
+            isSameVendor(document.vendorName, aiData.vendorName)) {
+          return { document: document, matchType: 'same vendor, invoice number, amount and date' };
+        }
+      }
+      return null;
+    };
+    
+    return findIn(duplicateIndex.documents) || findIn(getOtherClientDocuments_(duplicateIndex));
+  }
+  
+  /**
+   * Add a newly booked document to the index so repeats later in the same run are caught
+   */
+  function addToDuplicateIndex(duplicateIndex, clientName, uniqueId, fileData, aiData) {
+    duplicateIndex.documents.push({
+      clientName: clientName,
+      sheetName: SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME,
+      fileName: aiData.newFilename || fileData.originalFilename,
+      uniqueFileId: uniqueId,
+      fileUrl: fileData.fileUrl,
+      date: aiData.date,
+      vendorName: aiData.vendorName,
+      invoiceNumber: aiData.invoiceNumber,
+      amount: aiData.amount,
+      fileHash: aiData.fileHash || ''
+    });
+  }
+  
+  /**
+   * Check whether a user has already reviewed a possible duplicate and set it back to Active
+   */
+  function isDuplicateOverridden(fileData) {
+    return Boolean(fileData.reason) && fileData.reason.startsWith(SYSTEM_CONFIG.DUPLICATES.REASON_PREFIX);
+  }
+  
+  /**
+   * Hold a suspected duplicate in the buffer sheet instead of booking it
+   */
+  function markFileAsPossibleDuplicate(bufferSheet, fileData, duplicate, currentClientName) {
+    try {
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+      const document = duplicate.document;
+      const location = document.clientName === currentClientName
+        ? document.sheetName
+        : `${document.sheetName} of client ${document.clientName}`;
+      
+      const statusIndex = getColumnIndex(headers, 'Status');
+      if (statusIndex !== -1) {
+        bufferSheet.getRange(fileData.rowIndex, statusIndex + 1).setValue(SYSTEM_CONFIG.STATUS.POSSIBLE_DUPLICATE);
+      }
+      
+      // Setting the status back to Active keeps this reason, which tells the next run to book the file anyway
+      const reasonIndex = getColumnIndex(headers, 'Reason');
+      if (reasonIndex !== -1) {
+        const reason = `${SYSTEM_CONFIG.DUPLICATES.REASON_PREFIX} ${document.fileName} (${document.uniqueFileId || document.fileUrl}) in ${location}: ${duplicate.matchType}. Set Status to Active to book it anyway or Deleted to discard (${getCurrentTimestamp()})`;
+        bufferSheet.getRange(fileData.rowIndex, reasonIndex + 1).setValue(reason);
+      }
+      
+      const lastModifiedIndex = getColumnIndex(headers, 'Last Modified');
+      if (lastModifiedIndex !== -1) {
+        bufferSheet.getRange(fileData.rowIndex, lastModifiedIndex + 1).setValue(getCurrentTimestamp());
+      }
+      
+      infoLog(`Marked possible duplicate: ${fileData.originalFilename} matches ${document.fileName} in ${location}`);
+      
+    } catch (error) {
+      errorLog('Error marking file as possible duplicate', error);
+    }
+  }
+  
+  /**
+   * MD5 hash of a Drive file's content, or an empty string if it cannot be read
+   */
+  function getDriveFileHash_(fileUrl) {
+    try {
+      const fileId = extractFileIdFromUrl(fileUrl);
+      if (!fileId) return '';
+      
+      return computeContentHash(DriveApp.getFileById(fileId).getBlob().getBytes());
+    } catch (error) {
+      debugLog(`Could not compute file hash for: ${fileUrl}`, error);
+      return '';
+    }
+  }
+  
+  /**
+   * MD5 hex digest of file bytes
+   */
+  function computeContentHash(bytes) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, bytes);
+    return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
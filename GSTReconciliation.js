@@ -0,0 +1,532 @@
+/**
+ * GSTReconciliation.gs - GSTR-2B import and reconciliation against the Outflow sheet
+ */
+
+/**
+ * Reconcile a GSTR-2B file from the client's Spreadsheets folder against the Outflow sheet.
+ * If no file name is given, the most recently updated 2B JSON/Excel/CSV file is used.
+ */
+function reconcileGSTR2B(clientName, fileName = null) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      validateInput(fileName, 'string', 'File name', false);
+      requireUserRole('accountant', clientName);
+      
+      infoLog(`Starting GSTR-2B reconciliation for client: ${clientName}`);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const folderStructure = getClientFolderStructure(client);
+      const gstr2bFile = findGSTR2BFile(folderStructure.spreadsheetsFolder, fileName);
+      
+      // Parse the portal download into a flat list of supplier invoices
+      const gstr2bData = parseGSTR2BFile(gstr2bFile);
+      if (gstr2bData.invoices.length === 0) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT,
+          `No B2B invoices found in GSTR-2B file: ${gstr2bFile.getName()}`
+        );
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const outflowSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME);
+      const bookEntries = getOutflowBookEntries(outflowSheet);
+      
+      const reconciliation = matchGSTR2BWithBooks(gstr2bData, bookEntries);
+      
+      const reconSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_SHEET_NAME);
+      writeGSTR2BReconciliationSheet(reconSheet, reconciliation.rows);
+      
+      const result = {
+        success: true,
+        message: `GSTR-2B reconciliation completed for ${clientName}: ${reconciliation.summary.matched} matched, ` +
+          `${reconciliation.summary.mismatched} mismatched, ${reconciliation.summary.missingInBooks} missing in books, ` +
+          `${reconciliation.summary.missingIn2B} missing in 2B`,
+        fileName: gstr2bFile.getName(),
+        period: gstr2bData.period,
+        gstr2bInvoices: gstr2bData.invoices.length,
+        bookEntries: reconciliation.booksInPeriod,
+        ...reconciliation.summary
+      };
+      
+      infoLog(`GSTR-2B reconciliation completed for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error reconciling GSTR-2B for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Find the GSTR-2B file to import from the Spreadsheets folder
+   */
+  function findGSTR2BFile(spreadsheetsFolder, fileName) {
+    try {
+      if (fileName) {
+        const namedFiles = spreadsheetsFolder.getFilesByName(fileName);
+        if (!namedFiles.hasNext()) {
+          throw createError(SYSTEM_CONFIG.ERROR_CODES.FILE_NOT_FOUND, `GSTR-2B file '${fileName}' not found in Spreadsheets folder`);
+        }
+        return namedFiles.next();
+      }
+      
+      const importableMimeTypes = [
+        'application/json',
+        'text/csv',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        MimeType.GOOGLE_SHEETS
+      ];
+      
+      let latestFile = null;
+      const files = spreadsheetsFolder.getFiles();
+      while (files.hasNext()) {
+        const file = files.next();
+        const isJson = file.getName().toLowerCase().endsWith('.json');
+        
+        if (!SYSTEM_CONFIG.GST.GSTR2B.FILE_NAME_PATTERN.test(file.getName())) continue;
+        if (!isJson && !importableMimeTypes.includes(file.getMimeType())) continue;
+        
+        if (!latestFile || file.getLastUpdated() > latestFile.getLastUpdated()) {
+          latestFile = file;
+        }
+      }
+      
+      if (!latestFile) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.FILE_NOT_FOUND,
+          'No GSTR-2B file found in Spreadsheets folder. Upload the JSON or Excel download from the GST portal.'
+        );
+      }
+      
+      debugLog(`Using GSTR-2B file: ${latestFile.getName()}`);
+      return latestFile;
+      
+    } catch (error) {
+      errorLog('Error finding GSTR-2B file', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Parse a GSTR-2B JSON or spreadsheet download into { period, invoices }
+   */
+  function parseGSTR2BFile(file) {
+    const isJson = file.getMimeType() === 'application/json' || file.getName().toLowerCase().endsWith('.json');
+    
+    return isJson
+      ? parseGSTR2BJson(file.getBlob().getDataAsString())
+      : parseGSTR2BSpreadsheet(readSpreadsheetFileValues(file, name => name.trim().toUpperCase() === 'B2B'));
+  }
+  
+  /**
+   * Parse the GST portal GSTR-2B JSON (B2B section)
+   */
+  function parseGSTR2BJson(jsonText) {
+    try {
+      const parsed = JSON.parse(jsonText);
+      
+      // The portal wraps the return in "data"; offline tool exports omit it
+      const returnData = parsed.data || parsed;
+      const suppliers = (returnData.docdata && returnData.docdata.b2b) || [];
+      
+      const invoices = [];
+      for (const supplier of suppliers) {
+        for (const invoice of supplier.inv || []) {
+          const taxes = sumGSTR2BInvoiceTaxes(invoice);
+          
+          invoices.push({
+            supplierGstin: (supplier.ctin || '').toString().toUpperCase(),
+            supplierName: supplier.trdnm || '',
+            invoiceNumber: (invoice.inum || '').toString(),
+            invoiceDate: parseDateValue(invoice.dt),
+            invoiceValue: parseFloat(invoice.val) || 0,
+            taxableValue: taxes.taxableValue,
+            totalTax: taxes.totalTax
+          });
+        }
+      }
+      
+      return {
+        period: returnData.rtnprd || '',
+        invoices: invoices
+      };
+      
+    } catch (error) {
+      errorLog('Error parsing GSTR-2B JSON', error);
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Invalid GSTR-2B JSON: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Sum taxable value and taxes of a 2B invoice, using item level values when the totals are absent
+   */
+  function sumGSTR2BInvoiceTaxes(invoice) {
+    const sources = invoice.txval !== undefined ? [invoice] : (invoice.items || []);
+    
+    return sources.reduce((totals, source) => {
+      totals.taxableValue += parseFloat(source.txval) || 0;
+      totals.totalTax += (parseFloat(source.igst) || 0) + (parseFloat(source.cgst) || 0) +
+        (parseFloat(source.sgst) || 0) + (parseFloat(source.cess) || 0);
+      return totals;
+    }, { taxableValue: 0, totalTax: 0 });
+  }
+  
+  /**
+   * Parse the B2B sheet of the GSTR-2B Excel download.
+   * The portal uses a two-row header ("Invoice Details" / "Invoice number" etc.), so both rows are merged.
+   */
+  function parseGSTR2BSpreadsheet(values) {
+    try {
+      const headerRowIndex = values.findIndex(row =>
+        row.some(cell => /gstin of supplier/i.test(String(cell)))
+      );
+      
+      if (headerRowIndex === -1) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, "Header row with 'GSTIN of supplier' not found");
+      }
+      
+      const mainHeaders = values[headerRowIndex].map(cell => String(cell).trim());
+      const subHeaders = (values[headerRowIndex + 1] || []).map(cell => String(cell).trim());
+      const headers = mainHeaders.map((header, index) => (subHeaders[index] || header).toLowerCase());
+      
+      const findColumn = (pattern) => headers.findIndex(header => pattern.test(header));
+      const columns = {
+        gstin: findColumn(/gstin of supplier/),
+        name: findColumn(/trade\/legal name|trade name|legal name/),
+        invoiceNumber: findColumn(/invoice number/),
+        invoiceDate: findColumn(/invoice date/),
+        invoiceValue: findColumn(/invoice value/),
+        taxableValue: findColumn(/taxable value/),
+        igst: findColumn(/integrated tax/),
+        cgst: findColumn(/central tax/),
+        sgst: findColumn(/state\/ut tax/),
+        cess: findColumn(/cess/)
+      };
+      
+      const cellNumber = (row, index) => index === -1 ? 0 : (parseFloat(parseAmount(String(row[index]))) || 0);
+      
+      const invoices = [];
+      for (let i = headerRowIndex + 1; i < values.length; i++) {
+        const row = values[i];
+        const gstin = String(safeGetCellValue(row, columns.gstin)).trim().toUpperCase();
+        
+        // Skip the sub-header row and any totals/blank rows
+        if (!/^[0-9]{2}[0-9A-Z]{13}$/.test(gstin)) continue;
+        
+        invoices.push({
+          supplierGstin: gstin,
+          supplierName: String(safeGetCellValue(row, columns.name)),
+          invoiceNumber: String(safeGetCellValue(row, columns.invoiceNumber)),
+          invoiceDate: parseDateValue(safeGetCellValue(row, columns.invoiceDate)),
+          invoiceValue: cellNumber(row, columns.invoiceValue),
+          taxableValue: cellNumber(row, columns.taxableValue),
+          totalTax: cellNumber(row, columns.igst) + cellNumber(row, columns.cgst) +
+            cellNumber(row, columns.sgst) + cellNumber(row, columns.cess)
+        });
+      }
+      
+      return {
+        period: '',
+        invoices: invoices
+      };
+      
+    } catch (error) {
+      errorLog('Error parsing GSTR-2B spreadsheet', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Read Outflow sheet rows as book entries for matching
+   */
+  function getOutflowBookEntries(outflowSheet) {
+    try {
+      if (outflowSheet.getLastRow() <= 1) {
+        return [];
+      }
+      
+      const data = outflowSheet.getDataRange().getValues();
+      const headers = data[0];
+      
+      const columns = {
+        vendorGstin: getColumnIndex(headers, 'Vendor GSTIN'),
+        vendorName: getColumnIndex(headers, 'Vendor Name'),
+        invoiceNumber: getColumnIndex(headers, 'Invoice Number'),
+        date: getColumnIndex(headers, 'Date'),
+        amount: getColumnIndex(headers, 'Amount'),
+        taxableValue: getColumnIndex(headers, 'Taxable Value'),
+        cgst: getColumnIndex(headers, 'CGST'),
+        sgst: getColumnIndex(headers, 'SGST'),
+        igst: getColumnIndex(headers, 'IGST'),
+        cess: getColumnIndex(headers, 'Cess'),
+        fileUrl: getColumnIndex(headers, 'File URL'),
+        uniqueFileId: getColumnIndex(headers, 'Unique File ID')
+      };
+      
+      const cellNumber = (row, index) => parseFloat(safeGetCellValue(row, index, '0')) || 0;
+      
+      return data.slice(1).map(row => ({
+        vendorGstin: String(safeGetCellValue(row, columns.vendorGstin)).trim().toUpperCase(),
+        vendorName: String(safeGetCellValue(row, columns.vendorName)),
+        invoiceNumber: String(safeGetCellValue(row, columns.invoiceNumber)),
+        invoiceDate: parseDateValue(safeGetCellValue(row, columns.date)),
+        amount: cellNumber(row, columns.amount),
+        taxableValue: cellNumber(row, columns.taxableValue),
+        totalTax: cellNumber(row, columns.cgst) + cellNumber(row, columns.sgst) +
+          cellNumber(row, columns.igst) + cellNumber(row, columns.cess),
+        fileUrl: String(safeGetCellValue(row, columns.fileUrl)),
+        uniqueFileId: String(safeGetCellValue(row, columns.uniqueFileId))
+      })).filter(entry => entry.invoiceNumber || entry.vendorGstin);
+      
+    } catch (error) {
+      errorLog('Error reading outflow book entries', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Match 2B invoices with book entries and classify every row
+   */
+  function matchGSTR2BWithBooks(gstr2bData, bookEntries) {
+    const config = SYSTEM_CONFIG.GST.GSTR2B;
+    const status = config.MATCH_STATUS;
+    const rows = [];
+    const usedBookEntries = new Set();
+    const summary = { matched: 0, mismatched: 0, missingInBooks: 0, missingIn2B: 0 };
+    
+    for (const invoice of gstr2bData.invoices) {
+      let bestMatch = null;
+      
+      bookEntries.forEach((entry, index) => {
+        if (usedBookEntries.has(index)) return;
+        
+        // A different GSTIN rules the entry out; books without a GSTIN can still match on invoice number
+        if (entry.vendorGstin && entry.vendorGstin !== invoice.supplierGstin) return;
+        
+        const similarity = getInvoiceNumberSimilarity(invoice.invoiceNumber, entry.invoiceNumber);
+        if (similarity < config.INVOICE_SIMILARITY_THRESHOLD) return;
+        
+        const score = similarity +
+          (entry.vendorGstin ? 1 : 0) +
+          (isAmountWithinTolerance(invoice.invoiceValue, entry.amount) ? 0.5 : 0) +
+          (isDateWithinTolerance(invoice.invoiceDate, entry.invoiceDate) ? 0.5 : 0);
+        
+        if (!bestMatch || score > bestMatch.score) {
+          bestMatch = { index: index, entry: entry, score: score, similarity: similarity };
+        }
+      });
+      
+      if (!bestMatch) {
+        rows.push(createGSTR2BReconRow(status.MISSING_IN_BOOKS, invoice, null, []));
+        summary.missingInBooks++;
+        continue;
+      }
+      
+      usedBookEntries.add(bestMatch.index);
+      const entry = bestMatch.entry;
+      const differences = [];
+      
+      if (!entry.vendorGstin) {
+        differences.push('GSTIN missing in books');
+      }
+      if (bestMatch.similarity < 1) {
+        differences.push('Invoice number differs');
+      }
+      if (!isDateWithinTolerance(invoice.invoiceDate, entry.invoiceDate)) {
+        differences.push('Invoice date differs');
+      }
+      if (!isAmountWithinTolerance(invoice.invoiceValue, entry.amount)) {
+        differences.push(`Invoice value differs by ${(invoice.invoiceValue - entry.amount).toFixed(2)}`);
+      }
+      if (entry.taxableValue > 0 && !isAmountWithinTolerance(invoice.taxableValue, entry.taxableValue)) {
+        differences.push('Taxable value differs');
+      }
+      if (entry.totalTax > 0 && !isAmountWithinTolerance(invoice.totalTax, entry.totalTax)) {
+        differences.push('Tax amount differs');
+      }
+      
+      const matchStatus = differences.length === 0 ? status.MATCHED : status.MISMATCHED;
+      rows.push(createGSTR2BReconRow(matchStatus, invoice, entry, differences));
+      
+      if (matchStatus === status.MATCHED) {
+        summary.matched++;
+      } else {
+        summary.mismatched++;
+      }
+    }
+    
+    // Book entries in the return period that the supplier has not reported
+    const period = getGSTR2BPeriodRange(gstr2bData);
+    let booksInPeriod = 0;
+    
+    bookEntries.forEach((entry, index) => {
+      const inPeriod = period && entry.invoiceDate &&
+        entry.invoiceDate >= period.start && entry.invoiceDate <= period.end;
+      if (!inPeriod) return;
+      
+      booksInPeriod++;
+      if (usedBookEntries.has(index)) return;
+      
+      rows.push(createGSTR2BReconRow(status.MISSING_IN_2B, null, entry, []));
+      summary.missingIn2B++;
+    });
+    
+    return {
+      rows: rows,
+      summary: summary,
+      booksInPeriod: booksInPeriod
+    };
+  }
+  
+  /**
+   * Build a reconciliation sheet row keyed by column name
+   */
+  function createGSTR2BReconRow(matchStatus, invoice, entry, differences) {
+    return {
+      'Match Status': matchStatus,
+      'Supplier GSTIN': invoice ? invoice.supplierGstin : entry.vendorGstin,
+      'Supplier Name': invoice ? invoice.supplierName : entry.vendorName,
+      'Invoice Number (2B)': invoice ? invoice.invoiceNumber : '',
+      'Invoice Number (Books)': entry ? entry.invoiceNumber : '',
+      'Invoice Date (2B)': invoice ? formatIsoDate(invoice.invoiceDate) : '',
+      'Invoice Date (Books)': entry ? formatIsoDate(entry.invoiceDate) : '',
+      'Invoice Value (2B)': invoice ? invoice.invoiceValue.toFixed(2) : '',
+      'Amount (Books)': entry ? entry.amount.toFixed(2) : '',
+      'Taxable Value (2B)': invoice ? invoice.taxableValue.toFixed(2) : '',
+      'Taxable Value (Books)': entry ? entry.taxableValue.toFixed(2) : '',
+      'Total Tax (2B)': invoice ? invoice.totalTax.toFixed(2) : '',
+      'Total Tax (Books)': entry ? entry.totalTax.toFixed(2) : '',
+      'Differences': differences.join('; '),
+      'Books File URL': entry ? entry.fileUrl : '',
+      'Unique File ID': entry ? entry.uniqueFileId : '',
+      'Reconciled On': getCurrentTimestamp()
+    };
+  }
+  
+  /**
+   * Replace the reconciliation sheet contents with the latest results
+   */
+  function writeGSTR2BReconciliationSheet(reconSheet, rows) {
+    try {
+      setupSheetStructure(reconSheet, SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_SHEET_NAME);
+      
+      if (rows.length === 0) return;
+      
+      const headers = SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_COLUMNS;
+      const statusOrder = Object.values(SYSTEM_CONFIG.GST.GSTR2B.MATCH_STATUS);
+      // Rows that need attention first
+      const sortedRows = rows
+        .slice()
+        .sort((a, b) => statusOrder.indexOf(b['Match Status']) - statusOrder.indexOf(a['Match Status']));
+      
+      const values = sortedRows.map(row => buildRowFromHeaders(headers, row));
+      reconSheet.getRange(2, 1, values.length, headers.length).setValues(values);
+      
+      // Highlight rows that need attention
+      const statusColors = {
+        [SYSTEM_CONFIG.GST.GSTR2B.MATCH_STATUS.MATCHED]: '#d9ead3',
+        [SYSTEM_CONFIG.GST.GSTR2B.MATCH_STATUS.MISMATCHED]: '#fff2cc',
+        [SYSTEM_CONFIG.GST.GSTR2B.MATCH_STATUS.MISSING_IN_BOOKS]: '#f4cccc',
+        [SYSTEM_CONFIG.GST.GSTR2B.MATCH_STATUS.MISSING_IN_2B]: '#fce5cd'
+      };
+      const backgrounds = sortedRows.map(row => [statusColors[row['Match Status']] || null]);
+      reconSheet.getRange(2, 1, backgrounds.length, 1).setBackgrounds(backgrounds);
+      
+      debugLog(`Wrote ${values.length} rows to 2B reconciliation sheet`);
+      
+    } catch (error) {
+      errorLog('Error writing 2B reconciliation sheet', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the date range covered by the 2B return.
+   * Uses the return period (MMYYYY) when available, otherwise the months spanned by the invoices.
+   */
+  function getGSTR2BPeriodRange(gstr2bData) {
+    const period = String(gstr2bData.period || '');
+    
+    if (/^\d{6}$/.test(period)) {
+      const month = parseInt(period.substring(0, 2), 10) - 1;
+      const year = parseInt(period.substring(2), 10);
+      return {
+        start: new Date(year, month, 1),
+        end: new Date(year, month + 1, 0, 23, 59, 59)
+      };
+    }
+    
+    const dates = gstr2bData.invoices
+      .map(invoice => invoice.invoiceDate)
+      .filter(date => date);
+    if (dates.length === 0) return null;
+    
+    const minDate = new Date(Math.min(...dates.map(date => date.getTime())));
+    const maxDate = new Date(Math.max(...dates.map(date => date.getTime())));
+    return {
+      start: new Date(minDate.getFullYear(), minDate.getMonth(), 1),
+      end: new Date(maxDate.getFullYear(), maxDate.getMonth() + 1, 0, 23, 59, 59)
+    };
+  }
+  
+  /**
+   * Normalise an invoice number for comparison (case, separators and leading zeros)
+   */
+  function normalizeInvoiceNumber(invoiceNumber) {
+    return String(invoiceNumber || '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z]/g, '')
+      .replace(/^0+/, '');
+  }
+  
+  /**
+   * Similarity (0-1) of two invoice numbers based on edit distance of the normalised values
+   */
+  function getInvoiceNumberSimilarity(first, second) {
+    const a = normalizeInvoiceNumber(first);
+    const b = normalizeInvoiceNumber(second);
+    
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const temp = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+        );
+        diagonal = temp;
+      }
+    }
+    
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+  
+  /**
+   * Check two amounts against the absolute and percentage tolerance
+   */
+  function isAmountWithinTolerance(first, second) {
+    const config = SYSTEM_CONFIG.GST.GSTR2B;
+    const difference = Math.abs((first || 0) - (second || 0));
+    const allowed = Math.max(config.AMOUNT_TOLERANCE, Math.abs(first || 0) * config.AMOUNT_TOLERANCE_PERCENT);
+    return difference <= allowed;
+  }
+  
+  /**
+   * Check two dates against the day tolerance
+   */
+  function isDateWithinTolerance(first, second) {
+    if (!first || !second) return false;
+    const dayDifference = Math.abs(first.getTime() - second.getTime()) / (24 * 60 * 60 * 1000);
+    return dayDifference <= SYSTEM_CONFIG.GST.GSTR2B.DATE_TOLERANCE_DAYS;
+  }
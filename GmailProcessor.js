@@ -3,62 +3,16 @@
  */
 
 /**
- * Main function to process Gmail attachments for all active clients
+ * Main function to process Gmail attachments for all active clients, as a job that continues in the
+ * background if it runs out of time (see JobRunner)
  */
-function processAllClientsGmail() {
+async function processAllClientsGmail() {
     try {
-      infoLog('Starting Gmail processing for all active clients');
-      const activeClients = getActiveClients();
-      
-      if (activeClients.length === 0) {
-        return {
-          success: true,
-          message: 'No active clients found',
-          results: []
-        };
-      }
-      
-      const results = [];
-      let successCount = 0;
-      let failureCount = 0;
-      
-      for (const client of activeClients) {
-        try {
-          infoLog(`Processing Gmail for client: ${client.name}`);
-          const result = processClientGmail(client);
-          results.push({
-            client: client.name,
-            success: true,
-            ...result
-          });
-          successCount++;
-          
-          // Add delay between clients to respect rate limits
-          sleep(SYSTEM_CONFIG.PROCESSING.BATCH_DELAY);
-          
-        } catch (error) {
-          errorLog(`Error processing Gmail for client ${client.name}`, error);
-          results.push({
-            client: client.name,
-            success: false,
-            error: error.message,
-            code: error.code || 'UNKNOWN_ERROR'
-          });
-          failureCount++;
-        }
-      }
+      requireUserRole('admin');
       
-      const summary = {
-        success: true,
-        message: `Processed ${activeClients.length} clients: ${successCount} successful, ${failureCount} failed`,
-        totalClients: activeClients.length,
-        successCount: successCount,
-        failureCount: failureCount,
-        results: results
-      };
+      infoLog('Starting Gmail processing for all active clients');
       
-      infoLog('Completed Gmail processing for all clients', summary);
-      return summary;
+      return await startProcessingJob(SYSTEM_CONFIG.JOBS.TYPES.GMAIL);
       
     } catch (error) {
       errorLog('Error in processAllClientsGmail', error);
@@ -67,9 +21,14 @@ function processAllClientsGmail() {
   }
   
   /**
-   * Process Gmail attachments for a specific client with enhanced error handling
+   * Process Gmail attachments for a specific client with enhanced error handling. Only threads changed
+   * since the client's stored Gmail history ID are read; without a usable cursor (first run, label
+   * changed or history expired) the whole label is scanned and the cursor set. Threads that failed are
+   * kept with the cursor and retried on the next runs. Options (for the job runner): startThread,
+   * resyncHistoryId and failedThreads to resume a full scan, and deadline (ms timestamp) after which it
+   * stops and returns complete: false with the cursor to resume from.
    */
-  function processClientGmail(client) {
+  function processClientGmail_(client, options = {}) {
     try {
       if (!client || !client.name || !client.gmailLabel) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'Valid client object required');
@@ -88,111 +47,393 @@ function processAllClientsGmail() {
       
       // Get Gmail label with validation
       const label = getGmailLabel(client.gmailLabel);
+      const labelId = getGmailLabelId(client.gmailLabel);
       
       // Get folder structure and spreadsheet
       const folderStructure = getClientFolderStructure(client);
       const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
       const bufferSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME);
       
-      // Get processed message IDs to avoid duplicates
-      const processedMessageIds = getProcessedMessageIds(bufferSheet);
+      const state = {
+        // Get processed message IDs to avoid duplicates
+        processedMessageIds: getProcessedMessageIds(bufferSheet),
+        processedMessages: new Set(),
+        bufferFolder: folderStructure.bufferFolder,
+        bufferSheet: bufferSheet,
+        totalThreads: 0,
+        totalAttachments: 0,
+        processedAttachments: 0,
+        skippedMessages: 0,
+        errorCount: 0,
+        failedThreadIds: new Set()
+      };
+      const deadline = options.deadline || 0;
+      const syncCursor = getGmailSyncCursor_(client);
+      
+      let sync = null;
+      let resyncReason = '';
+      if (options.startThread) {
+        // A full scan that ran out of time in an earlier execution; its failures so far carry over
+        (options.failedThreads || []).forEach(threadId => state.failedThreadIds.add(threadId));
+        sync = scanGmailLabel(label, state, options.startThread, options.resyncHistoryId, deadline);
+      } else {
+        if (!syncCursor) {
+          resyncReason = 'no sync cursor yet';
+        } else if (syncCursor.labelId !== labelId) {
+          resyncReason = 'label changed';
+        } else if (!syncCursor.historyId) {
+          resyncReason = 'too many failed threads in the last full scan';
+        } else {
+          sync = syncGmailHistory(labelId, syncCursor.historyId, state, deadline, Object.keys(syncCursor.retryThreads || {}));
+          if (!sync) {
+            resyncReason = 'history expired';
+          }
+        }
+        
+        if (!sync) {
+          infoLog(`Full Gmail resync for client ${client.name}: ${resyncReason}`);
+          sync = scanGmailLabel(label, state, 0, null, deadline);
+        }
+      }
       
-      // Process Gmail threads with pagination
-      const threads = label.getThreads();
-      infoLog(`Found ${threads.length} threads in label: ${client.gmailLabel}`);
+      if (sync.complete) {
+        saveGmailSyncCursor_(client, buildGmailSyncCursor(client, syncCursor, sync, labelId, state.failedThreadIds));
+      } else if (sync.mode === 'full') {
+        sync.cursor.failedThreads = [...state.failedThreadIds];
+      }
       
-      let processedAttachments = 0;
-      let totalAttachments = 0;
-      let skippedMessages = 0;
-      let errorCount = 0;
-      const processedMessages = new Set();
+      const result = {
+        syncMode: sync.mode,
+        resyncReason: resyncReason,
+        totalThreads: state.totalThreads,
+        totalAttachments: state.totalAttachments,
+        processedAttachments: state.processedAttachments,
+        skippedMessages: state.skippedMessages,
+        errorCount: state.errorCount,
+        newMessagesProcessed: state.processedMessages.size,
+        complete: sync.complete,
+        cursor: sync.cursor
+      };
       
-      for (let i = 0; i < threads.length; i++) {
-        try {
-          const thread = threads[i];
-          const messages = thread.getMessages();
+      infoLog(`Gmail processing ${sync.complete ? 'completed' : 'paused'} for client: ${client.name}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error processing Gmail for client: ${client?.name}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Full resync: walk every thread in the label from startThread. The history ID is taken before the
+   * scan starts, so that mail arriving during it is picked up by the next incremental sync.
+   */
+  function scanGmailLabel(label, state, startThread, historyId, deadline) {
+    const syncHistoryId = historyId || getGmailHistoryId();
+    let threadIndex = startThread || 0;
+    let complete = true;
+    
+    // Threads are read a page at a time, newest first, so mail arriving while a job is paused only
+    // shifts already-seen threads onto the next page, where their messages are skipped
+    while (complete) {
+      const threads = label.getThreads(threadIndex, SYSTEM_CONFIG.GMAIL.BATCH_SIZE);
+      if (threads.length === 0) break;
+      
+      for (const thread of threads) {
+        if (deadline && Date.now() >= deadline) {
+          complete = false;
+          break;
+        }
+        
+        processGmailThread(thread, state);
+        threadIndex++;
+      }
+      
+      if (!complete || threads.length < SYSTEM_CONFIG.GMAIL.BATCH_SIZE) break;
+    }
+    
+    return {
+      mode: 'full',
+      complete: complete,
+      historyId: syncHistoryId,
+      cursor: { thread: threadIndex, historyId: syncHistoryId }
+    };
+  }
+  
+  /**
+   * Incremental sync: process the threads that had messages added to, or labelled with, the label since
+   * startHistoryId, after the threads that failed on earlier runs. Returns null if Gmail no longer has
+   * history that old. An interrupted sync keeps the old cursor; threads it already did are skipped next
+   * time as their messages are in the buffer sheet.
+   */
+  function syncGmailHistory(labelId, startHistoryId, state, deadline, retryThreadIds = []) {
+    const threadIds = [...retryThreadIds];
+    let latestHistoryId = startHistoryId;
+    
+    try {
+      let pageToken;
+      do {
+        const response = Gmail.Users.History.list('me', {
+          startHistoryId: startHistoryId,
+          labelId: labelId,
+          historyTypes: ['messageAdded', 'labelAdded'],
+          maxResults: SYSTEM_CONFIG.GMAIL.HISTORY_PAGE_SIZE,
+          pageToken: pageToken
+        });
+        
+        for (const record of response.history || []) {
+          const messages = (record.messagesAdded || [])
+            .map(item => item.message)
+            .filter(message => message && (message.labelIds || []).includes(labelId))
+            .concat((record.labelsAdded || [])
+              .filter(item => item.message && (item.labelIds || []).includes(labelId))
+              .map(item => item.message));
           
           for (const message of messages) {
-            const messageId = message.getId();
-            
-            // Skip if already processed
-            if (processedMessageIds.has(messageId) || processedMessages.has(messageId)) {
-              skippedMessages++;
-              continue;
+            if (!threadIds.includes(message.threadId)) {
+              threadIds.push(message.threadId);
             }
-            
+          }
+        }
+        
+        latestHistoryId = response.historyId || latestHistoryId;
+        pageToken = response.nextPageToken;
+      } while (pageToken);
+      
+    } catch (error) {
+      if (isGmailHistoryExpired(error)) {
+        warnLog(`Gmail history from ${startHistoryId} is no longer available`, { error: error.message });
+        return null;
+      }
+      throw error;
+    }
+    
+    debugLog(`Gmail history since ${startHistoryId}: ${threadIds.length} changed threads`);
+    
+    let complete = true;
+    for (const threadId of threadIds) {
+      if (deadline && Date.now() >= deadline) {
+        complete = false;
+        break;
+      }
+      
+      try {
+        const thread = GmailApp.getThreadById(threadId);
+        if (thread) {
+          processGmailThread(thread, state);
+        }
+      } catch (threadError) {
+        // Threads deleted since the history record cannot be opened
+        warnLog(`Could not open Gmail thread: ${threadId}`, threadError);
+      }
+    }
+    
+    return {
+      mode: 'incremental',
+      complete: complete,
+      historyId: latestHistoryId,
+      cursor: {}
+    };
+  }
+  
+  /**
+   * Save each unprocessed message's attachments in a thread to the buffer, updating the run's counters
+   */
+  function processGmailThread(thread, state) {
+    const errorCount = state.errorCount;
+    try {
+      const messages = thread.getMessages();
+      
+      for (const message of messages) {
+        const messageId = message.getId();
+        
+        // Skip if already processed
+        if (state.processedMessageIds.has(messageId) || state.processedMessages.has(messageId)) {
+          state.skippedMessages++;
+          continue;
+        }
+        
+        try {
+          const attachments = message.getAttachments();
+          state.totalAttachments += attachments.length;
+          
+          if (attachments.length === 0) {
+            // Mark message as processed even if no attachments
+            state.processedMessages.add(messageId);
+            continue;
+          }
+          
+          for (const attachment of attachments) {
             try {
-              const attachments = message.getAttachments();
-              totalAttachments += attachments.length;
-              
-              if (attachments.length === 0) {
-                // Mark message as processed even if no attachments
-                processedMessages.add(messageId);
-                continue;
-              }
-              
-              let messageAttachmentCount = 0;
-              
-              for (const attachment of attachments) {
-                try {
-                  if (isValidAttachment(attachment)) {
-                    const result = processAttachment(
-                      attachment,
-                      message,
-                      folderStructure.bufferFolder,
-                      bufferSheet
-                    );
-                    
-                    if (result.success) {
-                      processedAttachments++;
-                      messageAttachmentCount++;
-                    }
-                  } else {
-                    debugLog(`Skipped invalid attachment: ${attachment.getName()}`);
-                  }
-                } catch (attachmentError) {
-                  errorLog(`Error processing attachment: ${attachment.getName()}`, attachmentError);
-                  errorCount++;
+              if (isValidAttachment(attachment)) {
+                const result = processAttachment(
+                  attachment,
+                  message,
+                  state.bufferFolder,
+                  state.bufferSheet
+                );
+                
+                if (result.success) {
+                  state.processedAttachments++;
                 }
+              } else {
+                debugLog(`Skipped invalid attachment: ${attachment.getName()}`);
               }
-              
-              // Mark message as processed regardless of attachment success/failure
-              // This prevents infinite reprocessing of problematic messages
-              processedMessages.add(messageId);
-              
-            } catch (messageError) {
-              errorLog(`Error processing message: ${messageId}`, messageError);
-              errorCount++;
-              // Still mark as processed to avoid infinite retry
-              processedMessages.add(messageId);
+            } catch (attachmentError) {
+              errorLog(`Error processing attachment: ${attachment.getName()}`, attachmentError);
+              state.errorCount++;
             }
           }
           
-          // Add small delay every 10 threads to respect rate limits
-          if ((i + 1) % 10 === 0) {
-            sleep(500);
-          }
+          // Mark message as processed regardless of attachment success/failure
+          // This prevents infinite reprocessing of problematic messages
+          state.processedMessages.add(messageId);
           
-        } catch (threadError) {
-          errorLog(`Error processing thread`, threadError);
-          errorCount++;
+        } catch (messageError) {
+          errorLog(`Error processing message: ${messageId}`, messageError);
+          state.errorCount++;
+          // Still mark as processed to avoid infinite retry
+          state.processedMessages.add(messageId);
         }
       }
       
-      const result = {
-        totalThreads: threads.length,
-        totalAttachments: totalAttachments,
-        processedAttachments: processedAttachments,
-        skippedMessages: skippedMessages,
-        errorCount: errorCount,
-        newMessagesProcessed: processedMessages.size
-      };
+    } catch (threadError) {
+      errorLog(`Error processing thread`, threadError);
+      state.errorCount++;
+    }
+    
+    if (state.errorCount > errorCount) {
+      state.failedThreadIds.add(thread.getId());
+    }
+    state.totalThreads++;
+    
+    // Add small delay every 10 threads to respect rate limits
+    if (state.totalThreads % 10 === 0) {
+      sleep(500);
+    }
+  }
+  
+  /**
+   * The mailbox's current Gmail history ID
+   */
+  function getGmailHistoryId() {
+    return String(Gmail.Users.getProfile('me').historyId);
+  }
+  
+  /**
+   * Gmail API label ID for a label name, as used by the history API
+   */
+  function getGmailLabelId(labelName) {
+    const labels = Gmail.Users.Labels.list('me').labels || [];
+    const label = labels.find(candidate => candidate.name === labelName);
+    if (!label) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Gmail label '${labelName}' not found`);
+    }
+    return label.id;
+  }
+  
+  /**
+   * Gmail answers 404 for a startHistoryId older than the history it keeps (about a week)
+   */
+  function isGmailHistoryExpired(error) {
+    return /not found|404/i.test(String(error && error.message));
+  }
+  
+  /**
+   * Failed threads to retry on the next runs, { threadId: attempts }: this run's failures, counting
+   * their earlier attempts, less those that have used up GMAIL.MAX_THREAD_ATTEMPTS
+   */
+  function buildGmailRetryThreads(client, previousRetries, failedThreadIds) {
+    const retryThreads = {};
+    
+    for (const threadId of failedThreadIds) {
+      const attempts = (previousRetries[threadId] || 0) + 1;
+      if (attempts >= SYSTEM_CONFIG.GMAIL.MAX_THREAD_ATTEMPTS) {
+        warnLog(`Giving up on Gmail thread ${threadId} for client ${client.name} after ${attempts} attempts`);
+        continue;
+      }
+      retryThreads[threadId] = attempts;
+    }
+    
+    return retryThreads;
+  }
+  
+  /**
+   * The cursor to save after a complete sync. With more than GMAIL.MAX_RETRY_THREADS failed threads
+   * (an outage, say) the history ID is not advanced, so the next run reads the same history again;
+   * stalledRuns counts these runs and, like a thread's attempts, gives up at GMAIL.MAX_THREAD_ATTEMPTS.
+   */
+  function buildGmailSyncCursor(client, syncCursor, sync, labelId, failedThreadIds) {
+    const sameLabel = Boolean(syncCursor) && syncCursor.labelId === labelId;
+    const previousRetries = (sameLabel && syncCursor.retryThreads) || {};
+    const retryThreads = buildGmailRetryThreads(client, previousRetries, failedThreadIds);
+    
+    if (Object.keys(retryThreads).length <= SYSTEM_CONFIG.GMAIL.MAX_RETRY_THREADS) {
+      return { historyId: sync.historyId, labelId: labelId, retryThreads: retryThreads };
+    }
+    
+    const stalledRuns = ((sameLabel && syncCursor.stalledRuns) || 0) + 1;
+    if (stalledRuns >= SYSTEM_CONFIG.GMAIL.MAX_THREAD_ATTEMPTS) {
+      warnLog(`Giving up on ${failedThreadIds.size} failed Gmail threads for client ${client.name} after ${stalledRuns} runs`);
+      return { historyId: sync.historyId, labelId: labelId, retryThreads: {} };
+    }
+    
+    // Only the threads already on the retry list are kept, so the cursor stays within the property size limit
+    const keptRetries = {};
+    Object.keys(previousRetries)
+      .filter(threadId => retryThreads[threadId])
+      .forEach(threadId => { keptRetries[threadId] = retryThreads[threadId]; });
+    
+    warnLog(`Gmail sync cursor for client ${client.name} not advanced: ${failedThreadIds.size} threads failed (run ${stalledRuns} of ${SYSTEM_CONFIG.GMAIL.MAX_THREAD_ATTEMPTS})`);
+    return {
+      // After a full scan there is no earlier history to replay, so the next run scans again
+      historyId: sync.mode === 'full' ? null : syncCursor.historyId,
+      labelId: labelId,
+      retryThreads: keptRetries,
+      stalledRuns: stalledRuns
+    };
+  }
+  
+  /**
+   * A client's Gmail sync cursor { historyId, labelId, retryThreads, stalledRuns }, or null before its first full sync
+   */
+  function getGmailSyncCursor_(client) {
+    try {
+      const stored = PropertiesService.getScriptProperties().getProperty(SYSTEM_CONFIG.GMAIL.HISTORY_PROPERTY_PREFIX + client.spreadsheetId);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      warnLog(`Unreadable Gmail sync cursor for client: ${client.name}`, error);
+      return null;
+    }
+  }
+  
+  function saveGmailSyncCursor_(client, cursor) {
+    PropertiesService.getScriptProperties().setProperty(
+      SYSTEM_CONFIG.GMAIL.HISTORY_PROPERTY_PREFIX + client.spreadsheetId,
+      JSON.stringify({ ...cursor, updatedAt: getCurrentTimestamp() })
+    );
+    debugLog(`Saved Gmail sync cursor for client: ${client.name}`, cursor);
+  }
+  
+  /**
+   * Forget a client's Gmail sync cursor, so that its next Gmail processing rescans the whole label
+   */
+  function resetGmailSync(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
-      infoLog(`Gmail processing completed for client: ${client.name}`, result);
-      return result;
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      PropertiesService.getScriptProperties().deleteProperty(SYSTEM_CONFIG.GMAIL.HISTORY_PROPERTY_PREFIX + client.spreadsheetId);
+      infoLog(`Reset Gmail sync cursor for client: ${clientName}`);
+      return { success: true, message: `The next Gmail processing for ${clientName} rescans the whole label` };
       
     } catch (error) {
-      errorLog(`Error processing Gmail for client: ${client?.name}`, error);
+      errorLog(`Error resetting Gmail sync for client: ${clientName}`, error);
       throw error;
     }
   }
@@ -269,17 +510,37 @@ function processAllClientsGmail() {
       const expectedHeaders = getExpectedHeadersForSheet(sheetName);
       if (!expectedHeaders) return;
       
-      const actualHeaders = sheet.getRange(1, 1, 1, expectedHeaders.length).getValues()[0];
+      const lastColumn = Math.max(sheet.getLastColumn(), 1);
+      const actualHeaders = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
       
       // Check if headers match
       let headersMatch = true;
+      let missingFrom = -1;
       for (let i = 0; i < expectedHeaders.length; i++) {
         if (actualHeaders[i] !== expectedHeaders[i]) {
           headersMatch = false;
+          missingFrom = i;
           break;
         }
       }
       
+      // Columns added in newer versions are appended at the end; extend older sheets in place
+      const trailingColumnsMissing = !headersMatch &&
+        actualHeaders.slice(missingFrom).every(header => header === '');
+      
+      if (trailingColumnsMissing) {
+        const newHeaders = expectedHeaders.slice(missingFrom);
+        const headerRange = sheet.getRange(1, missingFrom + 1, 1, newHeaders.length);
+        headerRange.setValues([newHeaders]);
+        headerRange.setFontWeight('bold');
+        headerRange.setBackground('#4285f4');
+        headerRange.setFontColor('white');
+        headerRange.setBorder(true, true, true, true, true, true);
+        
+        infoLog(`Added ${newHeaders.length} new columns to sheet: ${sheetName}`, newHeaders);
+        return;
+      }
+      
       if (!headersMatch) {
         warnLog(`Sheet headers don't match expected format for: ${sheetName}`, {
           expected: expectedHeaders,
@@ -306,6 +567,36 @@ function processAllClientsGmail() {
       case SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME:
       case SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME:
         return SYSTEM_CONFIG.SHEETS.FLOW_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.LINE_ITEMS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.GSTR2B_RECON_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.FX_RATES_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.FX_RATES_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.ACCRUALS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.ACCRUALS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.CORRECTIONS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.CORRECTIONS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.AGEING_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.AGEING_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.CHART_OF_ACCOUNTS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.LEDGER_MAP_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.LEDGER_MAP_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.USERS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.USERS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.AUDIT_LOG_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.AUDIT_LOG_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.JOBS_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.JOBS_COLUMNS;
+      case SYSTEM_CONFIG.SHEETS.SCHEDULES_SHEET_NAME:
+        return SYSTEM_CONFIG.SHEETS.SCHEDULES_COLUMNS;
       default:
         return null;
     }
@@ -323,8 +614,7 @@ function processAllClientsGmail() {
         return processedIds;
       }
       
-      const data = bufferSheet.getDataRange().getValues();
-      const headers = data[0];
+      const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
       
       // Find the Message ID column (this is the fix for the original error)
       const messageIdIndex = getColumnIndex(headers, 'Message ID');
@@ -334,9 +624,10 @@ function processAllClientsGmail() {
         return processedIds;
       }
       
-      // Collect all message IDs
-      for (let i = 1; i < data.length; i++) {
-        const messageId = safeGetCellValue(data[i], messageIdIndex);
+      // Collect all message IDs, reading only their column rather than the whole sheet
+      const messageIds = bufferSheet.getRange(2, messageIdIndex + 1, bufferSheet.getLastRow() - 1, 1).getValues();
+      for (let i = 0; i < messageIds.length; i++) {
+        const messageId = safeGetCellValue(messageIds[i], 0);
         if (messageId && messageId.trim() !== '') {
           processedIds.add(messageId.trim());
         }
@@ -443,7 +734,9 @@ function processAllClientsGmail() {
         'Email Sender': data.emailSender,
         'Date Added': data.dateAdded,
         'Last Modified': data.lastModified,
-        'Processing Attempts': data.processingAttempts
+        'Processing Attempts': data.processingAttempts,
+        'Parent File ID': data.parentFileId,
+        'Page Range': data.pageRange
       };
       
       // Fill row data based on header positions
@@ -616,13 +909,14 @@ function processAllClientsGmail() {
   function processClientGmailByName(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
       
-      return processClientGmail(client);
+      return processClientGmail_(client);
       
     } catch (error) {
       errorLog(`Error processing Gmail for client by name: ${clientName}`, error);
@@ -635,6 +929,8 @@ function processAllClientsGmail() {
    */
   function getGmailLabelsForClient() {
     try {
+      requireUserRole('admin');
+      
       const labels = GmailApp.getUserLabels();
       const clientLabels = [];
       
@@ -671,6 +967,8 @@ function processAllClientsGmail() {
    */
   function createClientGmailLabel(clientName) {
     try {
+      requireUserRole('admin');
+      
       validateInput(clientName, 'string', 'Client name');
       
       const labelName = SYSTEM_CONFIG.GMAIL.LABEL_PREFIX + cleanFilename(clientName).toLowerCase();
@@ -699,7 +997,7 @@ function processAllClientsGmail() {
   /**
    * Enhanced Gmail setup validation
    */
-  function validateClientGmailSetup(client) {
+  function validateClientGmailSetup_(client) {
     try {
       const validation = {
         isValid: true,
@@ -777,8 +1075,9 @@ function processAllClientsGmail() {
   function getGmailProcessingStats(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -859,8 +1158,9 @@ function processAllClientsGmail() {
   function cleanupOldProcessedMessages(clientName, daysOld = 30) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('admin');
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
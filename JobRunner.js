@@ -0,0 +1,572 @@
+/**
+ * JobRunner.gs - Resumable, time-budgeted jobs that process every active client's Gmail or AI queue
+ *
+ * Apps Script stops an execution after 6 minutes, which large labels and buffers regularly exceed. A job
+ * works through its clients until JOBS.TIME_BUDGET_MS has passed in the current execution, checkpoints
+ * its position (client index plus the client's thread or buffer row cursor) to the Jobs sheet in the
+ * master config, and schedules a one-off trigger that continues it in a fresh execution. AI jobs split
+ * each client's combined PDFs before extracting them; splitting is async (pdf-lib), so jobs are too.
+ */
+
+// The time budget is measured from the start of the execution, which may have done other work first
+const executionStartedAt = Date.now();
+
+/**
+ * Start a job over every active client (or the named ones), or return the one of this type already in
+ * progress, and run as much of it as fits in this execution
+ */
+async function startProcessingJob(type, clientNames = null) {
+    const created = createProcessingJob_(type, clientNames, SYSTEM_CONFIG.JOBS.STATUS.RUNNING);
+    if (!created.job) {
+      return created.summary;
+    }
+    
+    const job = created.job;
+    try {
+      await runJobSlice_(job);
+      return buildJobSummary(job, job.message);
+    } catch (error) {
+      errorLog(`Error running job ${job.id}`, error);
+      throw error;
+    } finally {
+      scheduleNextContinuation_();
+    }
+  }
+  
+  /**
+   * Start a job without running any of it here: the continuation trigger picks it up shortly. For
+   * callers that must answer synchronously, such as doPost.
+   */
+  function queueProcessingJob_(type, clientNames = null) {
+    const created = createProcessingJob_(type, clientNames, SYSTEM_CONFIG.JOBS.STATUS.WAITING);
+    if (!created.job) {
+      return created.summary;
+    }
+    
+    scheduleNextContinuation_();
+    return buildJobSummary(created.job, created.job.message);
+  }
+  
+  /**
+   * Create and save a job with the given status: { job }, or { summary } when there is nothing to start
+   * (no matching active clients, or a job of this type already in progress)
+   */
+  function createProcessingJob_(type, clientNames, status) {
+    let lock;
+    try {
+      requireUserRole('admin');
+      
+      const jobsConfig = SYSTEM_CONFIG.JOBS;
+      if (!Object.values(jobsConfig.TYPES).includes(type)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unknown job type: ${type}`);
+      }
+      
+      lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock to start job');
+      }
+      
+      const existing = getProcessingJobStates_().find(candidate => candidate.type === type && isJobActive(candidate));
+      if (existing) {
+        infoLog(`A ${type} job is already in progress: ${existing.id}`);
+        return {
+          summary: {
+            ...buildJobSummary(existing, `A ${type} job is already in progress (${existing.status.toLowerCase()})`),
+            alreadyInProgress: true
+          }
+        };
+      }
+      
+      const activeClients = getActiveClients_().filter(client => !clientNames || clientNames.includes(client.name));
+      if (activeClients.length === 0) {
+        return {
+          summary: {
+            success: true,
+            message: 'No active clients found',
+            results: []
+          }
+        };
+      }
+      
+      const now = getCurrentTimestamp();
+      const job = {
+        id: `${type}-${Utilities.getUuid().substring(0, 8)}`,
+        type: type,
+        status: status,
+        clientNames: activeClients.map(client => client.name),
+        clientIndex: 0,
+        cursor: {},
+        results: [],
+        startedAt: now,
+        updatedAt: now,
+        startedBy: getCurrentActor(),
+        runs: 0,
+        leaseUntil: status === jobsConfig.STATUS.RUNNING ? Date.now() + jobsConfig.LEASE_MS : 0,
+        message: status === jobsConfig.STATUS.WAITING ? 'Queued; runs in the background' : ''
+      };
+      
+      saveJobState_(job);
+      pruneJobHistory_();
+      infoLog(`Started ${type} job ${job.id} for ${job.clientNames.length} clients`);
+      return { job: job };
+      
+    } catch (error) {
+      errorLog(`Error starting ${type} job`, error);
+      throw error;
+    } finally {
+      if (lock) {
+        lock.releaseLock();
+      }
+    }
+  }
+  
+  /**
+   * Continuation trigger handler: resume waiting jobs, and jobs whose execution was killed, until this
+   * execution's time budget runs out
+   */
+  async function continueProcessingJobs(e) {
+    // Checked before the continuation triggers, this one included, are deleted
+    authorizeTriggerExecution(e, SYSTEM_CONFIG.JOBS.CONTINUATION_HANDLER, 'Job runner');
+    
+    try {
+      deleteContinuationTriggers_();
+      
+      const deadline = executionStartedAt + SYSTEM_CONFIG.JOBS.TIME_BUDGET_MS;
+      let job = claimResumableJob_();
+      while (job) {
+        infoLog(`Resuming job ${job.id} at client ${job.clientIndex + 1}/${job.clientNames.length}`);
+        await runJobSlice_(job);
+        
+        if (job.status === SYSTEM_CONFIG.JOBS.STATUS.FAILED || Date.now() >= deadline) break;
+        job = claimResumableJob_();
+      }
+      
+    } catch (error) {
+      errorLog('Error continuing processing jobs', error);
+    } finally {
+      scheduleNextContinuation_();
+    }
+  }
+  
+  /**
+   * Run a claimed job's clients in order until it finishes, is cancelled or the time budget runs out,
+   * checkpointing after every client and pause
+   */
+  async function runJobSlice_(job) {
+    const jobsConfig = SYSTEM_CONFIG.JOBS;
+    const deadline = executionStartedAt + jobsConfig.TIME_BUDGET_MS;
+    
+    // Safety net: if this execution is killed anyway, the lease expires and this trigger picks the job up
+    try {
+      scheduleContinuation_(jobsConfig.LEASE_MS);
+    } catch (error) {
+      errorLog(`Error scheduling continuation for job ${job.id}`, error);
+      failJob_(job, error);
+      return job;
+    }
+    job.runs++;
+    
+    while (job.status === jobsConfig.STATUS.RUNNING && job.clientIndex < job.clientNames.length) {
+      if (Date.now() >= deadline) break;
+      
+      const clientName = job.clientNames[job.clientIndex];
+      const entry = getJobClientResult(job, clientName);
+      let clientDone = true;
+      
+      try {
+        const result = await runJobStep_(job, clientName, deadline);
+        addJobProgress(job.type, entry, result);
+        clientDone = result.complete !== false;
+        job.cursor = clientDone ? {} : result.cursor;
+        
+      } catch (error) {
+        errorLog(`Error in job ${job.id} for client ${clientName}`, error);
+        entry.success = false;
+        entry.error = error.message;
+        entry.code = error.code || 'UNKNOWN_ERROR';
+        job.cursor = {};
+      }
+      
+      if (clientDone) {
+        job.clientIndex++;
+      }
+      
+      job.leaseUntil = Date.now() + jobsConfig.LEASE_MS;
+      saveJobState_(job);
+      
+      if (clientDone && job.clientIndex < job.clientNames.length) {
+        // Add delay between clients to respect rate limits
+        sleep(SYSTEM_CONFIG.PROCESSING.BATCH_DELAY);
+      }
+    }
+    
+    const successCount = job.results.filter(entry => entry.success).length;
+    const failureCount = job.results.length - successCount;
+    
+    if (job.status === jobsConfig.STATUS.CANCELLED) {
+      job.message = `Cancelled after ${job.clientIndex} of ${job.clientNames.length} clients`;
+    } else if (job.clientIndex >= job.clientNames.length) {
+      job.status = jobsConfig.STATUS.COMPLETED;
+      job.message = `Processed ${job.clientNames.length} clients: ${successCount} successful, ${failureCount} failed`;
+    } else {
+      job.status = jobsConfig.STATUS.WAITING;
+      job.message = `Processed ${job.clientIndex} of ${job.clientNames.length} clients; continuing in the background`;
+    }
+    
+    job.leaseUntil = 0;
+    saveJobState_(job);
+    infoLog(`Job ${job.id} ${job.status.toLowerCase()}: ${job.message}`);
+    return job;
+  }
+  
+  /**
+   * Mark a job that can no longer be continued in the background as failed
+   */
+  function failJob_(job, error) {
+    job.status = SYSTEM_CONFIG.JOBS.STATUS.FAILED;
+    job.message = `Stopped after ${job.clientIndex} of ${job.clientNames.length} clients: could not schedule the background continuation (${error.message})`;
+    job.leaseUntil = 0;
+    saveJobState_(job);
+    warnLog(`Job ${job.id} failed: ${job.message}`);
+  }
+  
+  /**
+   * Process one client for a job, resuming from the job's cursor. An AI step first splits the client's
+   * combined PDFs; splitting picks up where it stopped on its own, as checked files are marked.
+   */
+  async function runJobStep_(job, clientName, deadline) {
+    const cursor = job.cursor || {};
+    
+    if (job.type === SYSTEM_CONFIG.JOBS.TYPES.GMAIL) {
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      return processClientGmail_(client, {
+        startThread: cursor.thread,
+        resyncHistoryId: cursor.historyId,
+        failedThreads: cursor.failedThreads,
+        deadline: deadline
+      });
+    }
+    
+    const split = await splitCombinedDocuments(clientName, { deadline: deadline });
+    const splitProgress = { splitFiles: split.split, splitDocuments: split.documentsCreated };
+    if (!split.complete) {
+      return { ...splitProgress, complete: false, cursor: cursor };
+    }
+    
+    const result = processClientDocumentsWithAI_(clientName, { afterRow: cursor.bufferRow, deadline: deadline });
+    return { ...result, ...splitProgress };
+  }
+  
+  /**
+   * The job's result entry for a client, created on first use
+   */
+  function getJobClientResult(job, clientName) {
+    let entry = job.results.find(candidate => candidate.client === clientName);
+    if (!entry) {
+      entry = { client: clientName, success: true };
+      job.results.push(entry);
+    }
+    return entry;
+  }
+  
+  /**
+   * Add a client run's counters to the client's totals for the job
+   */
+  function addJobProgress(type, entry, result) {
+    for (const field of SYSTEM_CONFIG.JOBS.PROGRESS_FIELDS[type] || []) {
+      entry[field] = (entry[field] || 0) + (Number(result[field]) || 0);
+    }
+  }
+  
+  /**
+   * Take the oldest waiting job, or a running job whose lease has expired, and mark it running
+   */
+  function claimResumableJob_() {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(10000)) {
+      warnLog('Could not acquire lock to claim a job; will retry on the next continuation');
+      return null;
+    }
+    
+    try {
+      const jobsConfig = SYSTEM_CONFIG.JOBS;
+      const job = getProcessingJobStates_().find(candidate =>
+        candidate.status === jobsConfig.STATUS.WAITING ||
+        (candidate.status === jobsConfig.STATUS.RUNNING && candidate.leaseUntil < Date.now())
+      );
+      if (!job) return null;
+      
+      job.status = jobsConfig.STATUS.RUNNING;
+      job.leaseUntil = Date.now() + jobsConfig.LEASE_MS;
+      saveJobState_(job);
+      return job;
+      
+    } finally {
+      lock.releaseLock();
+    }
+  }
+  
+  /**
+   * Cancel a running or waiting job; a running execution stops at its next checkpoint
+   */
+  function cancelProcessingJob(jobId) {
+    let lock;
+    try {
+      requireUserRole('admin');
+      validateInput(jobId, 'string', 'Job ID');
+      
+      lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock to cancel job');
+      }
+      
+      const job = getProcessingJobStates_().find(candidate => candidate.id === jobId);
+      if (!job) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Job '${jobId}' not found`);
+      }
+      if (!isJobActive(job)) {
+        return { success: false, message: `Job ${jobId} is already ${job.status.toLowerCase()}` };
+      }
+      
+      job.status = SYSTEM_CONFIG.JOBS.STATUS.CANCELLED;
+      job.message = `Cancelled by ${getCurrentActor()}`;
+      saveJobState_(job);
+      
+      infoLog(`Cancelled job ${jobId}`);
+      return { success: true, message: `Job ${jobId} cancelled` };
+      
+    } catch (error) {
+      errorLog(`Error cancelling job: ${jobId}`, error);
+      throw error;
+    } finally {
+      if (lock) {
+        lock.releaseLock();
+      }
+    }
+  }
+  
+  /**
+   * Recent jobs for the dashboard, newest first, with per-client results limited to the user's clients
+   */
+  function getProcessingJobs() {
+    try {
+      const access = requireUserRole('viewer');
+      
+      const jobs = getProcessingJobStates_()
+        .reverse()
+        .map(job => {
+          const summary = buildJobSummary(job, job.message);
+          summary.results = summary.results.filter(entry => canAccessClient(access, entry.client));
+          if (summary.currentClient && !canAccessClient(access, summary.currentClient)) {
+            summary.currentClient = '';
+          }
+          return summary;
+        });
+      
+      return {
+        success: true,
+        jobs: jobs,
+        canManage: hasUserRole(access, 'admin'),
+        lastUpdate: getCurrentTimestamp()
+      };
+      
+    } catch (error) {
+      errorLog('Error getting processing jobs', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * A job as returned to callers, in the shape of the former all-clients processing summaries
+   */
+  function buildJobSummary(job, message) {
+    const successCount = job.results.filter(entry => entry.success).length;
+    const active = isJobActive(job);
+    
+    return {
+      success: job.status !== SYSTEM_CONFIG.JOBS.STATUS.FAILED,
+      message: message || job.message,
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      startedBy: job.startedBy,
+      runs: job.runs,
+      totalClients: job.clientNames.length,
+      clientsDone: job.clientIndex,
+      currentClient: active && job.clientIndex < job.clientNames.length ? job.clientNames[job.clientIndex] : '',
+      percent: job.clientNames.length > 0 ? Math.round(job.clientIndex / job.clientNames.length * 100) : 100,
+      successCount: successCount,
+      failureCount: job.results.length - successCount,
+      results: job.results
+    };
+  }
+  
+  function isJobActive(job) {
+    const status = SYSTEM_CONFIG.JOBS.STATUS;
+    return job.status === status.RUNNING || job.status === status.WAITING;
+  }
+  
+  /**
+   * All jobs in the Jobs sheet, oldest first
+   */
+  function getProcessingJobStates_() {
+    const sheet = getJobsSheet_();
+    if (sheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = sheet.getDataRange().getValues();
+    const stateIndex = getColumnIndex(data[0], 'State');
+    const jobs = [];
+    
+    for (let i = 1; i < data.length; i++) {
+      try {
+        const state = safeGetCellValue(data[i], stateIndex);
+        if (state) {
+          jobs.push(JSON.parse(state));
+        }
+      } catch (error) {
+        warnLog(`Ignoring unreadable job state in Jobs row ${i + 1}`, error);
+      }
+    }
+    
+    return jobs;
+  }
+  
+  /**
+   * Write a job's checkpoint, adding its row if new. A cancellation written since the job was read wins.
+   */
+  function saveJobState_(job) {
+    const sheet = getJobsSheet_();
+    const headers = SYSTEM_CONFIG.SHEETS.JOBS_COLUMNS;
+    const data = sheet.getDataRange().getValues();
+    const idIndex = getColumnIndex(headers, 'Job ID');
+    const stateIndex = getColumnIndex(headers, 'State');
+    
+    let rowIndex = -1;
+    for (let i = 1; i < data.length; i++) {
+      if (safeGetCellValue(data[i], idIndex) === job.id) {
+        rowIndex = i + 1;
+        const stored = JSON.parse(safeGetCellValue(data[i], stateIndex) || '{}');
+        if (stored.status === SYSTEM_CONFIG.JOBS.STATUS.CANCELLED && job.status !== stored.status) {
+          job.status = stored.status;
+          job.message = stored.message;
+        }
+        break;
+      }
+    }
+    
+    job.updatedAt = getCurrentTimestamp();
+    const row = buildRowFromHeaders(headers, {
+      'Job ID': job.id,
+      'Type': job.type,
+      'Status': job.status,
+      'Started': job.startedAt,
+      'Updated': job.updatedAt,
+      'Runs': job.runs,
+      'Progress': `${job.clientIndex}/${job.clientNames.length} clients`,
+      'Current Client': isJobActive(job) && job.clientIndex < job.clientNames.length ? job.clientNames[job.clientIndex] : '',
+      'Message': job.message,
+      'State': JSON.stringify(job)
+    });
+    
+    if (rowIndex === -1) {
+      sheet.appendRow(row);
+    } else {
+      sheet.getRange(rowIndex, 1, 1, headers.length).setValues([row]);
+    }
+  }
+  
+  /**
+   * Delete the oldest finished jobs beyond JOBS.HISTORY_LIMIT
+   */
+  function pruneJobHistory_() {
+    const sheet = getJobsSheet_();
+    const data = sheet.getDataRange().getValues();
+    const statusIndex = getColumnIndex(data[0], 'Status');
+    
+    const finishedRows = [];
+    for (let i = 1; i < data.length; i++) {
+      if (!isJobActive({ status: safeGetCellValue(data[i], statusIndex) })) {
+        finishedRows.push(i + 1);
+      }
+    }
+    
+    const excess = finishedRows.length - SYSTEM_CONFIG.JOBS.HISTORY_LIMIT;
+    if (excess <= 0) return;
+    
+    // Bottom-up so that earlier row numbers stay valid
+    finishedRows.slice(0, excess).reverse().forEach(row => sheet.deleteRow(row));
+    debugLog(`Pruned ${excess} finished jobs`);
+  }
+  
+  /**
+   * Leave one continuation trigger if any job still has work, none otherwise. Waiting jobs are failed
+   * when no trigger can be scheduled, rather than left waiting for a continuation that never comes.
+   */
+  function scheduleNextContinuation_() {
+    let jobs = [];
+    try {
+      jobs = getProcessingJobStates_();
+      if (jobs.some(isJobActive)) {
+        scheduleContinuation_(SYSTEM_CONFIG.JOBS.CONTINUATION_DELAY_MS);
+      } else {
+        deleteContinuationTriggers_();
+      }
+    } catch (error) {
+      errorLog('Error scheduling job continuation', error);
+      jobs
+        .filter(job => job.status === SYSTEM_CONFIG.JOBS.STATUS.WAITING)
+        .forEach(job => {
+          try {
+            failJob_(job, error);
+          } catch (saveError) {
+            errorLog(`Error marking job ${job.id} as failed`, saveError);
+          }
+        });
+    }
+  }
+  
+  /**
+   * Replace the continuation trigger with one that fires after the delay
+   */
+  function scheduleContinuation_(delayMs) {
+    deleteContinuationTriggers_();
+    ScriptApp.newTrigger(SYSTEM_CONFIG.JOBS.CONTINUATION_HANDLER)
+      .timeBased()
+      .after(delayMs)
+      .create();
+    debugLog(`Scheduled job continuation in ${Math.round(delayMs / 1000)}s`);
+  }
+  
+  function deleteContinuationTriggers_() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === SYSTEM_CONFIG.JOBS.CONTINUATION_HANDLER)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+  
+  /**
+   * The master config spreadsheet's Jobs sheet, created on first use
+   */
+  function getJobsSheet_() {
+    const spreadsheet = SpreadsheetApp.openById(getMasterConfigSheetId_());
+    let sheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.JOBS_SHEET_NAME);
+    
+    if (!sheet) {
+      infoLog('Creating Jobs sheet in master config');
+      // Appended after the clients sheet, which must stay first: getAllClients_ reads the first sheet
+      sheet = spreadsheet.insertSheet(SYSTEM_CONFIG.SHEETS.JOBS_SHEET_NAME, spreadsheet.getNumSheets());
+      setupSheetStructure(sheet, SYSTEM_CONFIG.SHEETS.JOBS_SHEET_NAME);
+      spreadsheet.setActiveSheet(spreadsheet.getSheets()[0]);
+      
+      // Timestamps and the JSON state stay as written
+      sheet.getRange(1, 1, sheet.getMaxRows(), SYSTEM_CONFIG.SHEETS.JOBS_COLUMNS.length).setNumberFormat('@');
+    }
+    
+    return sheet;
+  }
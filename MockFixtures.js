@@ -0,0 +1,100 @@
+/**
+ * MockFixtures.gs - Canned AI responses used by the mock AI provider
+ *
+ * Add an entry keyed by the file's MD5 hex digest (the "File Hash" column) or its exact
+ * file name. Values use the same JSON shape the document analysis prompt asks for.
+ * segmentsByFileName gives the document page ranges for combined PDFs and statementsByFileName
+ * the statement extraction for bank statements.
+ */
+
+const AI_MOCK_FIXTURES = {
+  byFileHash: {},
+  
+  byFileName: {
+    'sample-outflow-invoice.pdf': {
+      date: '2024-04-15',
+      vendorName: 'Acme Software Services Pvt Ltd',
+      invoiceNumber: 'ACME/24-25/0042',
+      amount: '11800.00',
+      documentType: 'invoice',
+      transactionType: 'outflow',
+      confidence: 0.95,
+      vendorGstin: '27AAPFU0939F1ZV',
+      buyerGstin: '29AABCU9603R1ZJ',
+      placeOfSupply: '29',
+      taxableValue: '10000.00',
+      cgst: '0.00',
+      sgst: '0.00',
+      igst: '1800.00',
+      cess: '0.00',
+      currency: 'INR',
+      dueDate: '2024-05-15',
+      paymentTerms: 'Net 30',
+      accountCode: '5100',
+      lineItems: [
+        { description: 'Annual software subscription', hsnSac: '998313', quantity: '1', unitPrice: '10000.00', taxRate: '18', lineTotal: '10000.00' }
+      ]
+    },
+    
+    'sample-inflow-invoice.pdf': {
+      date: '2024-04-20',
+      vendorName: 'Globex Corporation',
+      invoiceNumber: 'INV-1001',
+      amount: '2500.00',
+      documentType: 'invoice',
+      transactionType: 'inflow',
+      confidence: 0.92,
+      currency: 'USD',
+      dueDate: '',
+      paymentTerms: '45 days from invoice date',
+      lineItems: []
+    },
+    
+    'sample-bank-statement.pdf': {
+      date: '2024-04-30',
+      vendorName: 'HDFC Bank',
+      invoiceNumber: '50100012345678',
+      amount: '12500.00',
+      documentType: 'statement',
+      transactionType: 'inflow',
+      confidence: 0.9,
+      currency: 'INR',
+      lineItems: []
+    },
+    
+    'sample-low-confidence-receipt.jpg': {
+      date: '2024-05-02',
+      vendorName: 'Corner Stationers',
+      invoiceNumber: 'R-77',
+      amount: '640.00',
+      documentType: 'receipt',
+      transactionType: 'outflow',
+      confidence: 0.45,
+      currency: 'INR',
+      lineItems: []
+    }
+  },
+  
+  segmentsByFileName: {
+    'sample-combined-invoices.pdf': [
+      { startPage: 1, endPage: 1, documentType: 'invoice', description: 'Invoice ACME/24-25/0042' },
+      { startPage: 2, endPage: 3, documentType: 'invoice', description: 'Invoice ACME/24-25/0043' }
+    ]
+  },
+  
+  statementsByFileName: {
+    'sample-bank-statement.pdf': {
+      bankName: 'HDFC Bank',
+      accountNumber: '50100012345678',
+      currency: 'INR',
+      periodStart: '2024-04-01',
+      periodEnd: '2024-04-30',
+      openingBalance: '10000.00',
+      closingBalance: '12500.00',
+      transactions: [
+        { date: '2024-04-05', narration: 'NEFT-GLOBEX CORPORATION-INV-1001', reference: 'N096240512345', debit: '0', credit: '14300.00', balance: '24300.00' },
+        { date: '2024-04-18', narration: 'IMPS-ACME SOFTWARE SERVICES', reference: 'I108240598765', debit: '11800.00', credit: '0', balance: '12500.00' }
+      ]
+    }
+  }
+};
@@ -0,0 +1,341 @@
+/**
+ * MonthlySummary.gs - Monthly P&L and cash-flow summary sheet and PDF export
+ *
+ * The P&L side is recomputed from the Inflow and Outflow sheets by invoice date; the cash-flow side
+ * comes from the Bank Transactions sheet by transaction date. Amounts are in the base currency.
+ */
+
+/**
+ * Rebuild the Monthly Summary sheet for a client
+ */
+function generateMonthlySummary(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
+      
+      infoLog(`Generating monthly summary for client: ${clientName}`);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const months = buildMonthlySummary(spreadsheet);
+      
+      const summarySheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_SHEET_NAME);
+      writeMonthlySummarySheet(summarySheet, buildMonthlySummaryRows(months));
+      
+      const inflowTotal = roundCurrencyAmount(months.reduce((sum, month) => sum + month.total.inflow, 0));
+      const outflowTotal = roundCurrencyAmount(months.reduce((sum, month) => sum + month.total.outflow, 0));
+      
+      const result = {
+        success: true,
+        message: `Monthly summary generated for ${clientName}: ${months.length} months`,
+        months: months.length,
+        inflowTotal: inflowTotal,
+        outflowTotal: outflowTotal,
+        netTotal: roundCurrencyAmount(inflowTotal - outflowTotal),
+        currency: SYSTEM_CONFIG.CURRENCY.BASE_CURRENCY
+      };
+      
+      infoLog(`Monthly summary generated for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error generating monthly summary for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Recompute the Monthly Summary sheet and save it as a PDF in the client's Spreadsheets folder
+   */
+  function exportMonthlySummaryPdf(clientName) {
+    try {
+      requireUserRole('accountant', clientName);
+      
+      const result = generateMonthlySummary(clientName);
+      
+      const client = getClientByName_(clientName);
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const summarySheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_SHEET_NAME);
+      const folderStructure = getClientFolderStructure(client);
+      
+      const fileName = `${clientName} - Monthly Summary - ${formatIsoDate(new Date())}.pdf`;
+      const pdfFile = exportSheetAsPdf(spreadsheet, summarySheet, fileName, folderStructure.spreadsheetsFolder);
+      
+      infoLog(`Exported monthly summary PDF for client: ${clientName}`, { fileName: fileName });
+      
+      return {
+        ...result,
+        message: `Monthly summary exported to ${fileName}`,
+        fileName: fileName,
+        fileUrl: pdfFile.getUrl()
+      };
+      
+    } catch (error) {
+      errorLog(`Error exporting monthly summary for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Totals per month, with per-category and per-vendor breakdowns and the bank cash flow
+   */
+  function buildMonthlySummary(spreadsheet) {
+    const monthsByKey = {};
+    const getMonth = monthKey => {
+      if (!monthsByKey[monthKey]) {
+        monthsByKey[monthKey] = {
+          month: monthKey,
+          total: createSummaryBucket(),
+          categories: {},
+          vendors: {},
+          cashFlow: createSummaryBucket()
+        };
+      }
+      return monthsByKey[monthKey];
+    };
+    
+    const flows = [
+      { sheetName: SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.INFLOW },
+      { sheetName: SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME, direction: SYSTEM_CONFIG.STATUS.OUTFLOW }
+    ];
+    const accountNames = {};
+    getChartOfAccounts(spreadsheet).forEach(account => {
+      accountNames[account.code] = `${account.code} ${account.name}`;
+    });
+    
+    for (const flow of flows) {
+      const flowSheet = spreadsheet.getSheetByName(flow.sheetName);
+      if (!flowSheet) continue;
+      
+      for (const entry of getMonthlySummaryEntries(flowSheet, accountNames)) {
+        const month = getMonth(entry.month);
+        addToSummaryBucket(month.total, flow.direction, entry.amount);
+        
+        if (!month.categories[entry.category]) month.categories[entry.category] = createSummaryBucket();
+        addToSummaryBucket(month.categories[entry.category], flow.direction, entry.amount);
+        
+        if (!month.vendors[entry.vendorName]) month.vendors[entry.vendorName] = createSummaryBucket();
+        addToSummaryBucket(month.vendors[entry.vendorName], flow.direction, entry.amount);
+      }
+    }
+    
+    const transactionsSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.BANK_TRANSACTIONS_SHEET_NAME);
+    if (transactionsSheet) {
+      for (const transaction of getMonthlyCashFlowEntries(transactionsSheet)) {
+        addToSummaryBucket(getMonth(transaction.month).cashFlow, transaction.direction, transaction.amount);
+      }
+    }
+    
+    return Object.keys(monthsByKey).sort().map(monthKey => monthsByKey[monthKey]);
+  }
+  
+  /**
+   * Read booked invoices from an Inflow or Outflow sheet as { month, category, vendorName, amount }.
+   * The category is the account, or the document type for rows without one.
+   */
+  function getMonthlySummaryEntries(flowSheet, accountNames) {
+    if (flowSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = flowSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      date: getColumnIndex(headers, 'Date'),
+      vendorName: getColumnIndex(headers, 'Vendor Name'),
+      documentType: getColumnIndex(headers, 'Document Type'),
+      account: getColumnIndex(headers, 'Account'),
+      amount: getColumnIndex(headers, 'Amount'),
+      baseAmount: getColumnIndex(headers, 'Base Amount')
+    };
+    
+    const entries = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const date = parseDateValue(safeGetCellValue(row, columns.date));
+      const amount = parseFloat(safeGetCellValue(row, columns.baseAmount, '')) ||
+        parseFloat(safeGetCellValue(row, columns.amount, '0')) || 0;
+      if (!date || amount === 0) continue;
+      
+      const account = String(safeGetCellValue(row, columns.account)).trim();
+      
+      entries.push({
+        month: formatSummaryMonth(date),
+        category: account ? (accountNames[account] || account) : String(safeGetCellValue(row, columns.documentType)) || 'Uncategorised',
+        vendorName: String(safeGetCellValue(row, columns.vendorName)) || 'Unknown_Vendor',
+        amount: amount
+      });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Read bank transactions as { month, direction, amount }; credits are inflows and debits outflows
+   */
+  function getMonthlyCashFlowEntries(transactionsSheet) {
+    if (transactionsSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = transactionsSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      date: getColumnIndex(headers, 'Date'),
+      debit: getColumnIndex(headers, 'Debit'),
+      credit: getColumnIndex(headers, 'Credit')
+    };
+    
+    const entries = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const date = parseDateValue(safeGetCellValue(row, columns.date));
+      if (!date) continue;
+      
+      const month = formatSummaryMonth(date);
+      const credit = parseFloat(safeGetCellValue(row, columns.credit, '0')) || 0;
+      const debit = parseFloat(safeGetCellValue(row, columns.debit, '0')) || 0;
+      
+      if (credit > 0) entries.push({ month: month, direction: SYSTEM_CONFIG.STATUS.INFLOW, amount: credit });
+      if (debit > 0) entries.push({ month: month, direction: SYSTEM_CONFIG.STATUS.OUTFLOW, amount: debit });
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Flatten the monthly totals into sheet rows keyed by column name, latest month first
+   */
+  function buildMonthlySummaryRows(months) {
+    const sections = SYSTEM_CONFIG.MONTHLY_SUMMARY.SECTIONS;
+    const generatedOn = getCurrentTimestamp();
+    const toRow = (month, section, name, bucket) => ({
+      'Month': month,
+      'Section': section,
+      'Name': name,
+      'Inflow': roundCurrencyAmount(bucket.inflow),
+      'Outflow': roundCurrencyAmount(bucket.outflow),
+      'Net': roundCurrencyAmount(bucket.inflow - bucket.outflow),
+      'Inflow Count': bucket.inflowCount,
+      'Outflow Count': bucket.outflowCount,
+      'Generated On': generatedOn
+    });
+    
+    const rows = [];
+    for (const month of months.slice().reverse()) {
+      rows.push(toRow(month.month, sections.TOTAL, 'All documents', month.total));
+      
+      Object.keys(month.categories).sort().forEach(category => {
+        rows.push(toRow(month.month, sections.CATEGORY, category, month.categories[category]));
+      });
+      
+      Object.keys(month.vendors)
+        .map(vendorName => ({ vendorName: vendorName, bucket: month.vendors[vendorName] }))
+        .sort((a, b) => (b.bucket.inflow + b.bucket.outflow) - (a.bucket.inflow + a.bucket.outflow))
+        .slice(0, SYSTEM_CONFIG.MONTHLY_SUMMARY.TOP_VENDORS)
+        .forEach(vendor => rows.push(toRow(month.month, sections.VENDOR, vendor.vendorName, vendor.bucket)));
+      
+      if (month.cashFlow.inflowCount + month.cashFlow.outflowCount > 0) {
+        rows.push(toRow(month.month, sections.CASH_FLOW, 'Bank credits and debits', month.cashFlow));
+      }
+    }
+    
+    return rows;
+  }
+  
+  /**
+   * Replace the Monthly Summary sheet contents and format it for printing
+   */
+  function writeMonthlySummarySheet(summarySheet, rows) {
+    try {
+      setupSheetStructure(summarySheet, SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_SHEET_NAME);
+      
+      if (rows.length === 0) return;
+      
+      const headers = SYSTEM_CONFIG.SHEETS.MONTHLY_SUMMARY_COLUMNS;
+      const values = rows.map(row => buildRowFromHeaders(headers, row));
+      
+      // Keep months as text so Sheets does not turn "2024-04" into a date
+      summarySheet.getRange(2, getColumnIndex(headers, 'Month') + 1, values.length, 1).setNumberFormat('@');
+      summarySheet.getRange(2, 1, values.length, headers.length).setValues(values);
+      
+      const amountColumn = getColumnIndex(headers, 'Inflow') + 1;
+      summarySheet.getRange(2, amountColumn, values.length, 3).setNumberFormat('#,##0.00');
+      
+      // Month totals stand out; cash-flow rows are shaded to set them apart from the P&L rows
+      const sections = SYSTEM_CONFIG.MONTHLY_SUMMARY.SECTIONS;
+      const backgrounds = rows.map(row => {
+        const color = row['Section'] === sections.TOTAL ? '#d9ead3' : row['Section'] === sections.CASH_FLOW ? '#cfe2f3' : null;
+        return headers.map(() => color);
+      });
+      const fontWeights = rows.map(row => headers.map(() => row['Section'] === sections.TOTAL ? 'bold' : 'normal'));
+      summarySheet.getRange(2, 1, values.length, headers.length)
+        .setBackgrounds(backgrounds)
+        .setFontWeights(fontWeights);
+      
+      summarySheet.autoResizeColumns(1, headers.length);
+      
+    } catch (error) {
+      errorLog('Error writing monthly summary sheet', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Export one sheet of a spreadsheet as a PDF file in the given folder
+   */
+  function exportSheetAsPdf(spreadsheet, sheet, fileName, folder) {
+    const options = SYSTEM_CONFIG.MONTHLY_SUMMARY.PDF_EXPORT;
+    
+    // Pending writes are not visible to the export endpoint until flushed
+    SpreadsheetApp.flush();
+    
+    const exportUrl = `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export` +
+      `?format=pdf&gid=${sheet.getSheetId()}&size=${options.SIZE}&portrait=${!options.LANDSCAPE}` +
+      '&fitw=true&gridlines=false&sheetnames=false&printtitle=false&pagenum=CENTER&fzr=true';
+    
+    const response = UrlFetchApp.fetch(exportUrl, {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      throw createError(
+        SYSTEM_CONFIG.ERROR_CODES.PROCESSING_FAILED,
+        `PDF export of sheet '${sheet.getName()}' failed: HTTP ${response.getResponseCode()}`
+      );
+    }
+    
+    return folder.createFile(response.getBlob().setName(fileName));
+  }
+  
+  /**
+   * Empty inflow/outflow totals
+   */
+  function createSummaryBucket() {
+    return { inflow: 0, outflow: 0, inflowCount: 0, outflowCount: 0 };
+  }
+  
+  /**
+   * Add an amount to the inflow or outflow side of a bucket
+   */
+  function addToSummaryBucket(bucket, direction, amount) {
+    if (direction === SYSTEM_CONFIG.STATUS.INFLOW) {
+      bucket.inflow += amount;
+      bucket.inflowCount++;
+    } else {
+      bucket.outflow += amount;
+      bucket.outflowCount++;
+    }
+  }
+  
+  /**
+   * Month key (YYYY-MM) of a date in the script time zone
+   */
+  function formatSummaryMonth(date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM');
+  }
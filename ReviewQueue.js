@@ -0,0 +1,324 @@
+/**
+ * ReviewQueue.gs - Human review of low-confidence AI extractions before they reach the Final sheet
+ */
+
+/**
+ * Get documents waiting in the Needs Review status with their extracted fields and a preview link
+ */
+function getReviewQueue(clientName) {
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const bufferSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME);
+      const reviewItems = getReviewItemsFromBuffer(bufferSheet);
+      
+      const items = reviewItems.map(item => {
+        const fields = {};
+        SYSTEM_CONFIG.REVIEW.EDITABLE_FIELDS.forEach(field => {
+          const value = item.aiData[field.key];
+          fields[field.key] = value === undefined || value === null ? '' : String(value);
+        });
+        
+        return {
+          fileUrl: item.fileUrl,
+          fileName: item.changedFilename || item.originalFilename,
+          previewUrl: getDocumentPreviewUrl(item.fileUrl),
+          reason: item.reason,
+          confidence: parseFloat(item.aiData.confidence) || 0,
+          warnings: item.aiData.gstWarnings || [],
+          fields: fields
+        };
+      });
+      
+      return {
+        success: true,
+        clientName: clientName,
+        editableFields: SYSTEM_CONFIG.REVIEW.EDITABLE_FIELDS,
+        items: items
+      };
+      
+    } catch (error) {
+      errorLog(`Error getting review queue for client: ${clientName}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Approve a reviewed document: apply the reviewer's corrections, record them and book the document to Final
+   */
+  function approveReviewedDocument(clientName, fileUrl, correctedFields) {
+    let lock = null;
+    
+    try {
+      validateInput(clientName, 'string', 'Client name');
+      validateInput(fileUrl, 'string', 'File URL');
+      requireUserRole('accountant', clientName);
+      
+      // Same lock as flow processing so the Final sheet is not cleared while we append to it
+      lock = LockService.getScriptLock();
+      if (!lock.tryLock(30000)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock for review approval');
+      }
+      
+      const client = getClientByName_(clientName);
+      if (!client) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
+      }
+      
+      const spreadsheet = SpreadsheetApp.openById(client.spreadsheetId);
+      const bufferSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.BUFFER_SHEET_NAME);
+      const finalSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME);
+      const lineItemsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME);
+      
+      // Rows may have shifted since the queue was loaded, so look the document up by its URL
+      const reviewItem = getReviewItemsFromBuffer(bufferSheet).find(item => item.fileUrl === fileUrl);
+      if (!reviewItem) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, 'Document is no longer awaiting review');
+      }
+      
+      const aiData = reviewItem.aiData;
+      const originalData = { ...aiData };
+      const corrections = applyReviewCorrections(aiData, correctedFields || {});
+      
+      if (corrections.length > 0) {
+        renameReviewedFile(reviewItem, aiData);
+      }
+      
+      aiData.fileHash = getDriveFileHash_(fileUrl);
+      const booking = bookDocumentToFinalSheet(spreadsheet, finalSheet, lineItemsSheet, reviewItem, aiData, getFXRates(spreadsheet));
+      
+      recordCorrections(spreadsheet, reviewItem, aiData, corrections);
+      updateVendorProfileFromCorrections(spreadsheet, originalData, aiData, corrections);
+      markReviewApproved(bufferSheet, reviewItem, aiData, corrections.length);
+      
+      const result = {
+        success: true,
+        message: `Approved ${aiData.newFilename || reviewItem.originalFilename} with ${corrections.length} correction${corrections.length === 1 ? '' : 's'}`,
+        uniqueId: booking.uniqueId,
+        corrections: corrections.length,
+        accrualsReversed: booking.accrualReversed ? 1 : 0
+      };
+      
+      infoLog(`Review approved for client: ${clientName}`, result);
+      return result;
+      
+    } catch (error) {
+      errorLog(`Error approving reviewed document for client: ${clientName}`, error);
+      throw error;
+    } finally {
+      if (lock) {
+        try {
+          lock.releaseLock();
+        } catch (releaseError) {
+          errorLog('Error releasing lock', releaseError);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Read Needs Review rows from the buffer sheet, including the stored AI Data
+   */
+  function getReviewItemsFromBuffer(bufferSheet) {
+    if (bufferSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = bufferSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      originalFilename: getColumnIndex(headers, 'Original File Name'),
+      changedFilename: getColumnIndex(headers, 'Changed File Name'),
+      fileUrl: getColumnIndex(headers, 'File URL'),
+      status: getColumnIndex(headers, 'Status'),
+      reason: getColumnIndex(headers, 'Reason'),
+      emailSubject: getColumnIndex(headers, 'Email Subject'),
+      aiData: getColumnIndex(headers, 'AI Data'),
+      accountOverride: getColumnIndex(headers, 'Account Override')
+    };
+    
+    const reviewItems = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (safeGetCellValue(row, columns.status) !== SYSTEM_CONFIG.STATUS.NEEDS_REVIEW) continue;
+      
+      let aiData = {};
+      try {
+        aiData = JSON.parse(safeGetCellValue(row, columns.aiData) || '{}');
+      } catch (parseError) {
+        warnLog(`Invalid AI Data in buffer row ${i + 1}; reviewer will start from empty fields`);
+      }
+      
+      reviewItems.push({
+        rowIndex: i + 1,
+        originalFilename: safeGetCellValue(row, columns.originalFilename),
+        changedFilename: safeGetCellValue(row, columns.changedFilename),
+        fileUrl: safeGetCellValue(row, columns.fileUrl),
+        reason: safeGetCellValue(row, columns.reason),
+        emailSubject: safeGetCellValue(row, columns.emailSubject),
+        aiData: aiData,
+        accountOverride: String(safeGetCellValue(row, columns.accountOverride))
+      });
+    }
+    
+    return reviewItems;
+  }
+  
+  /**
+   * Apply reviewer values to the AI data and return the fields that changed
+   */
+  function applyReviewCorrections(aiData, correctedFields) {
+    const corrections = [];
+    
+    for (const field of SYSTEM_CONFIG.REVIEW.EDITABLE_FIELDS) {
+      if (!Object.prototype.hasOwnProperty.call(correctedFields, field.key)) continue;
+      
+      const aiValue = aiData[field.key] === undefined || aiData[field.key] === null ? '' : String(aiData[field.key]);
+      const correctedValue = cleanReviewedFieldValue(field, correctedFields[field.key], aiData);
+      
+      if (String(correctedValue) !== aiValue) {
+        corrections.push({
+          field: field.label,
+          aiValue: aiValue,
+          correctedValue: correctedValue
+        });
+        aiData[field.key] = correctedValue;
+      }
+    }
+    
+    return corrections;
+  }
+  
+  /**
+   * Validate a reviewer-entered value with the same rules used for AI output.
+   * Unlike AI output, invalid values are rejected rather than silently replaced.
+   */
+  function cleanReviewedFieldValue(field, value, aiData) {
+    const input = value === undefined || value === null ? '' : String(value).trim();
+    
+    switch (field.type) {
+      case 'date': {
+        const date = parseDateValue(input);
+        if (!date) {
+          throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `${field.label} must be a valid date (YYYY-MM-DD)`);
+        }
+        return formatIsoDate(date);
+      }
+      case 'amount':
+        if (input && isNaN(parseFloat(input.replace(/,/g, '')))) {
+          throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `${field.label} must be a number`);
+        }
+        return cleanAndValidateAmount(input);
+      case 'currency':
+        if (input && !isValidCurrencyCode(input.toUpperCase())) {
+          throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `${field.label} must be a 3-letter ISO currency code`);
+        }
+        return cleanAndValidateCurrency(input, aiData.amount);
+      case 'documentType':
+        return cleanAndValidateDocumentType(input);
+      case 'transactionType':
+        return cleanAndValidateTransactionType(input);
+      case 'gstin': {
+        const warnings = [];
+        const gstin = cleanAndValidateGSTIN(input, field.label, warnings);
+        if (warnings.length > 0) {
+          throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, warnings[0]);
+        }
+        return gstin;
+      }
+      default:
+        return cleanAndValidateText(input, aiData[field.key] || '');
+    }
+  }
+  
+  /**
+   * Rename the Drive file to match the corrected fields
+   */
+  function renameReviewedFile(reviewItem, aiData) {
+    aiData.newFilename = generateFilenameFromAIData(aiData, reviewItem.originalFilename);
+    
+    try {
+      const fileId = extractFileIdFromUrl(reviewItem.fileUrl);
+      if (fileId) {
+        DriveApp.getFileById(fileId).setName(aiData.newFilename);
+      }
+    } catch (renameError) {
+      warnLog(`Could not rename reviewed file in Drive: ${renameError.message}`);
+    }
+  }
+  
+  /**
+   * Append one Corrections row per changed field
+   */
+  function recordCorrections(spreadsheet, reviewItem, aiData, corrections) {
+    if (corrections.length === 0) return;
+    
+    const correctionsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.CORRECTIONS_SHEET_NAME);
+    const headers = correctionsSheet.getRange(1, 1, 1, correctionsSheet.getLastColumn()).getValues()[0];
+    const correctedBy = getReviewerEmail();
+    const timestamp = getCurrentTimestamp();
+    
+    const rows = corrections.map(correction => buildRowFromHeaders(headers, {
+      'Correction Date': timestamp,
+      'File Name': aiData.newFilename || reviewItem.originalFilename,
+      'File URL': reviewItem.fileUrl,
+      'Field': correction.field,
+      'AI Value': correction.aiValue,
+      'Corrected Value': correction.correctedValue,
+      'AI Confidence': aiData.confidence,
+      'Corrected By': correctedBy
+    }));
+    
+    correctionsSheet.getRange(correctionsSheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`Recorded ${rows.length} corrections for: ${reviewItem.originalFilename}`);
+  }
+  
+  /**
+   * Return the buffer row to Active once the document is booked
+   */
+  function markReviewApproved(bufferSheet, reviewItem, aiData, correctionCount) {
+    const headers = bufferSheet.getRange(1, 1, 1, bufferSheet.getLastColumn()).getValues()[0];
+    const updates = {
+      'Changed File Name': aiData.newFilename || reviewItem.changedFilename,
+      'Invoice Number': aiData.invoiceNumber,
+      'Status': SYSTEM_CONFIG.STATUS.ACTIVE,
+      'Reason': `Approved after review by ${getReviewerEmail()} on ${getCurrentTimestamp()} (${correctionCount} corrections)`,
+      'AI Data': serializeAIDataForBuffer(aiData),
+      'Last Modified': getCurrentTimestamp(),
+      // Approved values must not be overwritten by another AI pass
+      'Processing Attempts': SYSTEM_CONFIG.PROCESSING.MAX_PROCESSING_ATTEMPTS.toString()
+    };
+    
+    for (const [columnName, value] of Object.entries(updates)) {
+      const index = getColumnIndex(headers, columnName);
+      if (index !== -1) {
+        bufferSheet.getRange(reviewItem.rowIndex, index + 1).setValue(value);
+      }
+    }
+  }
+  
+  /**
+   * Email of the user approving the review, when Apps Script can see it
+   */
+  function getReviewerEmail() {
+    try {
+      return Session.getActiveUser().getEmail() || 'Unknown user';
+    } catch (error) {
+      return 'Unknown user';
+    }
+  }
+  
+  /**
+   * Drive URL that can be embedded in an iframe to preview the document
+   */
+  function getDocumentPreviewUrl(fileUrl) {
+    const fileId = extractFileIdFromUrl(fileUrl);
+    return fileId ? `https://drive.google.com/file/d/${fileId}/preview` : fileUrl;
+  }
@@ -0,0 +1,603 @@
+/**
+ * Scheduler.gs - Time-driven triggers for Gmail ingestion, AI processing, buffer changes and flow moves
+ *
+ * Schedules live in the master config spreadsheet's Schedules sheet: one row per task with Client * sets
+ * the frequency for every active client, and a row naming a client overrides it for that client (Off
+ * leaves the client out). Each task has a single trigger at its most frequent schedule; when it fires,
+ * only the schedules that are due run, so the number of triggers does not grow with the client count.
+ */
+
+/**
+ * Trigger handlers, one per task; e is the trigger event
+ */
+async function runScheduledGmail(e) {
+    await runScheduledTask('gmail', e);
+  }
+  
+  async function runScheduledAI(e) {
+    await runScheduledTask('ai', e);
+  }
+  
+  async function runScheduledBufferChanges(e) {
+    await runScheduledTask('buffer', e);
+  }
+  
+  async function runScheduledFlowMoves(e) {
+    await runScheduledTask('flow', e);
+  }
+  
+  /**
+   * Run a task for the clients whose schedules are due and record each schedule's outcome
+   */
+  async function runScheduledTask(task, e) {
+    if (!SYSTEM_CONFIG.SCHEDULER.TASKS[task]) {
+      throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unknown task: ${task}`);
+    }
+    authorizeTriggerExecution(e, SYSTEM_CONFIG.SCHEDULER.TASKS[task].handler, 'Scheduler');
+    
+    const startedAt = new Date();
+    let due = [];
+    try {
+      const schedules = readSchedules_().filter(schedule => schedule.task === task);
+      const trigger = getInstalledScheduleTrigger(task);
+      const intervalMinutes = trigger ? trigger.minutes : getScheduleIntervalMinutes(schedules);
+      
+      due = getDueSchedules(schedules, getActiveClients_(), intervalMinutes, startedAt);
+      if (due.length === 0) {
+        debugLog(`No ${task} schedules due`);
+        return;
+      }
+      
+      const clientNames = [...new Set(due.flatMap(item => item.clientNames))];
+      infoLog(`Running scheduled ${task} for ${clientNames.length} clients`);
+      
+      const run = await runTaskForClients_(task, clientNames);
+      for (const item of due) {
+        const outcome = buildScheduleOutcome(item.clientNames, run);
+        recordScheduleRun_(item.schedule, outcome.complete ? startedAt : null, outcome.outcome, outcome.message);
+      }
+      
+    } catch (error) {
+      errorLog(`Error running scheduled ${task}`, error);
+      for (const item of due) {
+        recordScheduleRun_(item.schedule, null, SYSTEM_CONFIG.SCHEDULER.OUTCOMES.FAILURE, error.message);
+      }
+    }
+  }
+  
+  /**
+   * Schedules whose time has come, each with the active clients it covers: a client row covers its
+   * client, the global row every active client without a row of its own
+   */
+  function getDueSchedules(schedules, activeClients, intervalMinutes, now) {
+    const schedulerConfig = SYSTEM_CONFIG.SCHEDULER;
+    const activeNames = activeClients.map(client => client.name);
+    const overridden = new Set(schedules
+      .filter(schedule => schedule.clientName !== schedulerConfig.GLOBAL_CLIENT)
+      .map(schedule => schedule.clientName.toLowerCase()));
+    
+    // Triggers fire a little early or late; half an interval of slack keeps a schedule from skipping a firing
+    const slackMs = (intervalMinutes || 0) * 60000 / 2;
+    
+    const due = [];
+    for (const schedule of schedules) {
+      const frequency = schedulerConfig.FREQUENCIES[schedule.frequency];
+      if (!schedule.enabled || !frequency) continue;
+      
+      const lastRun = schedule.lastRun ? new Date(schedule.lastRun) : null;
+      if (lastRun && !isNaN(lastRun.getTime()) && now - lastRun < frequency.minutes * 60000 - slackMs) continue;
+      
+      const clientNames = schedule.clientName === schedulerConfig.GLOBAL_CLIENT
+        ? activeNames.filter(name => !overridden.has(name.toLowerCase()))
+        : activeNames.filter(name => name.toLowerCase() === schedule.clientName.toLowerCase());
+      
+      if (clientNames.length > 0) {
+        due.push({ schedule: schedule, clientNames: clientNames });
+      }
+    }
+    
+    return due;
+  }
+  
+  /**
+   * Run a task for clients: { results: { clientName: { success, message } }, message }. Gmail and AI run
+   * as a resumable job; buffer changes and flow moves run per client until the time budget is spent,
+   * leaving the rest out of results so they stay due.
+   */
+  async function runTaskForClients_(task, clientNames) {
+    const results = {};
+    
+    if (task === 'gmail' || task === 'ai') {
+      const job = await startProcessingJob(task === 'gmail' ? SYSTEM_CONFIG.JOBS.TYPES.GMAIL : SYSTEM_CONFIG.JOBS.TYPES.AI, clientNames);
+      if (job.alreadyInProgress) {
+        return { results: results, skipped: true, message: job.message };
+      }
+      if (job.success === false) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, job.message);
+      }
+      
+      for (const clientName of clientNames) {
+        const entry = (job.results || []).find(candidate => candidate.client === clientName);
+        results[clientName] = entry && entry.success === false
+          ? { success: false, message: entry.error }
+          : { success: true, message: '' };
+      }
+      return { results: results, message: job.jobId ? `Job ${job.jobId}: ${job.message}` : job.message };
+    }
+    
+    const deadline = executionStartedAt + SYSTEM_CONFIG.JOBS.TIME_BUDGET_MS;
+    for (const clientName of clientNames) {
+      if (Date.now() >= deadline) break;
+      
+      try {
+        const result = task === 'buffer' ? processBufferChanges(clientName) : moveFilesToInflowOutflow(clientName);
+        results[clientName] = { success: result.success !== false, message: result.message || '' };
+      } catch (error) {
+        results[clientName] = { success: false, message: error.message };
+      }
+    }
+    
+    return { results: results, message: '' };
+  }
+  
+  /**
+   * A schedule's outcome from a run: { outcome, message, complete }; complete is false when some of its
+   * clients were not reached, so that its Last Run stays put and it is due again at the next firing
+   */
+  function buildScheduleOutcome(clientNames, run) {
+    const outcomes = SYSTEM_CONFIG.SCHEDULER.OUTCOMES;
+    
+    if (run.skipped) {
+      return { outcome: outcomes.SKIPPED, message: run.message, complete: false };
+    }
+    
+    const failed = clientNames.filter(name => run.results[name] && !run.results[name].success);
+    const notReached = clientNames.filter(name => !run.results[name]);
+    const succeeded = clientNames.length - failed.length - notReached.length;
+    
+    const parts = [`${succeeded}/${clientNames.length} clients succeeded`];
+    if (failed.length > 0) {
+      parts.push(`failed: ${failed.map(name => `${name} (${run.results[name].message})`).join(', ')}`);
+    }
+    if (notReached.length > 0) {
+      parts.push(`out of time before: ${notReached.join(', ')}`);
+    }
+    if (run.message) {
+      parts.push(run.message);
+    }
+    
+    let outcome = outcomes.SUCCESS;
+    if (succeeded === 0) {
+      outcome = outcomes.FAILURE;
+    } else if (failed.length > 0 || notReached.length > 0) {
+      outcome = outcomes.PARTIAL;
+    }
+    
+    return { outcome: outcome, message: parts.join('; '), complete: notReached.length === 0 };
+  }
+  
+  /**
+   * Schedules, installed triggers and the next run of each schedule, for the dashboard
+   */
+  function getSchedules() {
+    try {
+      const access = requireUserRole('viewer');
+      const schedulerConfig = SYSTEM_CONFIG.SCHEDULER;
+      const now = new Date();
+      
+      const tasks = Object.keys(schedulerConfig.TASKS).map(task => {
+        const trigger = getInstalledScheduleTrigger(task);
+        return {
+          task: task,
+          label: schedulerConfig.TASKS[task].label,
+          installed: Boolean(trigger),
+          intervalMinutes: trigger ? trigger.minutes : 0,
+          installedAt: trigger ? trigger.installedAt : ''
+        };
+      });
+      
+      const schedules = readSchedules_()
+        .filter(schedule => schedule.clientName === schedulerConfig.GLOBAL_CLIENT || canAccessClient(access, schedule.clientName))
+        .map(schedule => {
+          const frequency = schedulerConfig.FREQUENCIES[schedule.frequency];
+          return {
+            task: schedule.task,
+            taskLabel: schedulerConfig.TASKS[schedule.task] ? schedulerConfig.TASKS[schedule.task].label : schedule.task,
+            clientName: schedule.clientName,
+            isGlobal: schedule.clientName === schedulerConfig.GLOBAL_CLIENT,
+            frequency: schedule.frequency,
+            frequencyLabel: frequency ? frequency.label : 'Off',
+            enabled: schedule.enabled,
+            lastRun: schedule.lastRun,
+            lastOutcome: schedule.lastOutcome,
+            lastMessage: schedule.lastMessage,
+            nextRun: estimateNextRun(schedule, getInstalledScheduleTrigger(schedule.task), now)
+          };
+        });
+      
+      return {
+        success: true,
+        tasks: tasks,
+        schedules: schedules,
+        frequencies: Object.keys(schedulerConfig.FREQUENCIES).map(key => ({ key: key, label: schedulerConfig.FREQUENCIES[key].label })),
+        canManage: hasUserRole(access, 'admin'),
+        lastUpdate: getCurrentTimestamp()
+      };
+      
+    } catch (error) {
+      errorLog('Error getting schedules', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add or change a task's global schedule (clientName empty or *) or a client's override, and bring the
+   * task's trigger in line if it is installed
+   */
+  function saveSchedule(task, clientName, frequency, enabled = true) {
+    let lock;
+    try {
+      requireUserRole('admin');
+      const schedulerConfig = SYSTEM_CONFIG.SCHEDULER;
+      
+      if (!schedulerConfig.TASKS[task]) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Unknown task: ${task}`);
+      }
+      
+      const client = String(clientName || '').trim() || schedulerConfig.GLOBAL_CLIENT;
+      const isGlobal = client === schedulerConfig.GLOBAL_CLIENT;
+      if (!schedulerConfig.FREQUENCIES[frequency] && (isGlobal || frequency !== schedulerConfig.OFF)) {
+        throw createError(
+          SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT,
+          `Frequency must be one of: ${Object.keys(schedulerConfig.FREQUENCIES).join(', ')}${isGlobal ? '' : `, ${schedulerConfig.OFF}`}`
+        );
+      }
+      if (!isGlobal && !getClientByName_(client)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${client}' not found`);
+      }
+      
+      lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock to save schedule');
+      }
+      
+      const sheet = getSchedulesSheet_();
+      const headers = SYSTEM_CONFIG.SHEETS.SCHEDULES_COLUMNS;
+      const rowIndex = findScheduleRow(sheet, task, client);
+      const values = {
+        'Task': task,
+        'Client': client,
+        'Frequency': frequency,
+        'Enabled': enabled !== false,
+        'Updated By': getCurrentActor()
+      };
+      
+      if (rowIndex === -1) {
+        sheet.appendRow(buildRowFromHeaders(headers, values));
+      } else {
+        Object.keys(values).forEach(header => {
+          sheet.getRange(rowIndex, getColumnIndex(headers, header) + 1).setValue(values[header]);
+        });
+      }
+      
+      if (getInstalledScheduleTrigger(task)) {
+        installTaskTrigger_(task);
+      }
+      
+      infoLog(`Saved ${task} schedule for ${client}: ${frequency}`, { enabled: enabled !== false });
+      return { success: true, message: `Saved ${schedulerConfig.TASKS[task].label} schedule for ${isGlobal ? 'all clients' : client}` };
+      
+    } catch (error) {
+      errorLog(`Error saving ${task} schedule`, error);
+      throw error;
+    } finally {
+      if (lock) {
+        lock.releaseLock();
+      }
+    }
+  }
+  
+  /**
+   * Delete a task's schedule row; a client whose override is removed falls back to the global schedule
+   */
+  function removeSchedule(task, clientName) {
+    let lock;
+    try {
+      requireUserRole('admin');
+      
+      const client = String(clientName || '').trim() || SYSTEM_CONFIG.SCHEDULER.GLOBAL_CLIENT;
+      
+      lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock to remove schedule');
+      }
+      
+      const sheet = getSchedulesSheet_();
+      const rowIndex = findScheduleRow(sheet, task, client);
+      if (rowIndex === -1) {
+        throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `No ${task} schedule for ${client}`);
+      }
+      
+      sheet.deleteRow(rowIndex);
+      if (getInstalledScheduleTrigger(task)) {
+        installTaskTrigger_(task);
+      }
+      
+      infoLog(`Removed ${task} schedule for ${client}`);
+      return { success: true, message: `Removed ${task} schedule for ${client === SYSTEM_CONFIG.SCHEDULER.GLOBAL_CLIENT ? 'all clients' : client}` };
+      
+    } catch (error) {
+      errorLog(`Error removing ${task} schedule`, error);
+      throw error;
+    } finally {
+      if (lock) {
+        lock.releaseLock();
+      }
+    }
+  }
+  
+  /**
+   * Install (or re-install) every task's trigger from the Schedules sheet
+   */
+  function installScheduleTriggers() {
+    try {
+      requireUserRole('admin');
+      
+      const installed = Object.keys(SYSTEM_CONFIG.SCHEDULER.TASKS)
+        .map(task => ({ task: task, minutes: installTaskTrigger_(task) }))
+        .filter(item => item.minutes > 0);
+      
+      infoLog(`Installed ${installed.length} schedule triggers`, installed);
+      return {
+        success: true,
+        message: installed.length > 0
+          ? `Installed ${installed.length} triggers: ${installed.map(item => `${item.task} every ${item.minutes} minutes`).join(', ')}`
+          : 'No enabled schedules; no triggers installed',
+        triggers: installed
+      };
+      
+    } catch (error) {
+      errorLog('Error installing schedule triggers', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove every task's trigger; schedules are kept, and run again once triggers are reinstalled
+   */
+  function removeScheduleTriggers() {
+    try {
+      requireUserRole('admin');
+      
+      let removed = 0;
+      for (const task of Object.keys(SYSTEM_CONFIG.SCHEDULER.TASKS)) {
+        removed += deleteTaskTriggers_(task);
+      }
+      
+      infoLog(`Removed ${removed} schedule triggers`);
+      return { success: true, message: `Removed ${removed} schedule triggers` };
+      
+    } catch (error) {
+      errorLog('Error removing schedule triggers', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Installed schedule triggers as Apps Script reports them: [{ task, handler, minutes, installedAt }]
+   */
+  function listScheduleTriggers() {
+    try {
+      requireUserRole('viewer');
+      
+      const tasks = SYSTEM_CONFIG.SCHEDULER.TASKS;
+      return ScriptApp.getProjectTriggers()
+        .map(trigger => {
+          const task = Object.keys(tasks).find(key => tasks[key].handler === trigger.getHandlerFunction());
+          if (!task) return null;
+          
+          const installed = getInstalledScheduleTrigger(task) || {};
+          return {
+            task: task,
+            handler: trigger.getHandlerFunction(),
+            minutes: installed.minutes || 0,
+            installedAt: installed.installedAt || ''
+          };
+        })
+        .filter(trigger => trigger);
+        
+    } catch (error) {
+      errorLog('Error listing schedule triggers', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace a task's trigger with one at its most frequent enabled schedule, or none; returns the interval
+   */
+  function installTaskTrigger_(task) {
+    deleteTaskTriggers_(task);
+    
+    const minutes = getScheduleIntervalMinutes(readSchedules_().filter(schedule => schedule.task === task));
+    if (!minutes) {
+      return 0;
+    }
+    
+    const builder = ScriptApp.newTrigger(SYSTEM_CONFIG.SCHEDULER.TASKS[task].handler).timeBased();
+    if (minutes < 60) {
+      builder.everyMinutes(minutes);
+    } else if (minutes < 1440) {
+      builder.everyHours(minutes / 60);
+    } else {
+      builder.everyDays(minutes / 1440);
+    }
+    builder.create();
+    
+    PropertiesService.getScriptProperties().setProperty(
+      SYSTEM_CONFIG.SCHEDULER.TRIGGER_PROPERTY_PREFIX + task,
+      JSON.stringify({ minutes: minutes, installedAt: getCurrentTimestamp() })
+    );
+    
+    debugLog(`Installed ${task} trigger every ${minutes} minutes`);
+    return minutes;
+  }
+  
+  /**
+   * Delete a task's triggers and their stored interval; returns how many triggers were deleted
+   */
+  function deleteTaskTriggers_(task) {
+    const handler = SYSTEM_CONFIG.SCHEDULER.TASKS[task].handler;
+    const triggers = ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === handler);
+    triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    
+    PropertiesService.getScriptProperties().deleteProperty(SYSTEM_CONFIG.SCHEDULER.TRIGGER_PROPERTY_PREFIX + task);
+    return triggers.length;
+  }
+  
+  /**
+   * A task's installed trigger { minutes, installedAt }, or null if it has none
+   */
+  function getInstalledScheduleTrigger(task) {
+    try {
+      const stored = PropertiesService.getScriptProperties().getProperty(SYSTEM_CONFIG.SCHEDULER.TRIGGER_PROPERTY_PREFIX + task);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      warnLog(`Unreadable trigger record for task: ${task}`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Most frequent enabled schedule of a task, in minutes, or 0 if none is enabled
+   */
+  function getScheduleIntervalMinutes(schedules) {
+    const minutes = schedules
+      .filter(schedule => schedule.enabled && SYSTEM_CONFIG.SCHEDULER.FREQUENCIES[schedule.frequency])
+      .map(schedule => SYSTEM_CONFIG.SCHEDULER.FREQUENCIES[schedule.frequency].minutes);
+    return minutes.length > 0 ? Math.min(...minutes) : 0;
+  }
+  
+  /**
+   * Approximate next run of a schedule: the first trigger firing once it is due, or '' if it will not run
+   */
+  function estimateNextRun(schedule, trigger, now) {
+    const frequency = SYSTEM_CONFIG.SCHEDULER.FREQUENCIES[schedule.frequency];
+    if (!trigger || !schedule.enabled || !frequency) {
+      return '';
+    }
+    
+    const intervalMs = trigger.minutes * 60000;
+    const installedAt = new Date(trigger.installedAt).getTime();
+    if (isNaN(installedAt)) {
+      return '';
+    }
+    const lastRun = schedule.lastRun ? new Date(schedule.lastRun).getTime() : NaN;
+    const dueAt = Math.max(now.getTime(), isNaN(lastRun) ? 0 : lastRun + frequency.minutes * 60000 - intervalMs / 2);
+    
+    // Triggers fire roughly every interval from when they were installed
+    const firings = Math.max(1, Math.ceil((dueAt - installedAt) / intervalMs));
+    return new Date(installedAt + firings * intervalMs).toISOString();
+  }
+  
+  /**
+   * Write a schedule's last outcome; lastRun is left unchanged when null
+   */
+  function recordScheduleRun_(schedule, lastRun, outcome, message) {
+    try {
+      const sheet = getSchedulesSheet_();
+      const headers = SYSTEM_CONFIG.SHEETS.SCHEDULES_COLUMNS;
+      const rowIndex = findScheduleRow(sheet, schedule.task, schedule.clientName);
+      if (rowIndex === -1) return;
+      
+      if (lastRun) {
+        sheet.getRange(rowIndex, getColumnIndex(headers, 'Last Run') + 1).setValue(lastRun.toISOString());
+      }
+      sheet.getRange(rowIndex, getColumnIndex(headers, 'Last Outcome') + 1).setValue(outcome);
+      sheet.getRange(rowIndex, getColumnIndex(headers, 'Last Message') + 1).setValue(formatAuditValue(message));
+      
+    } catch (error) {
+      errorLog(`Error recording ${schedule.task} schedule run for ${schedule.clientName}`, error);
+    }
+  }
+  
+  /**
+   * Read the Schedules sheet: [{ task, clientName, frequency, enabled, lastRun, lastOutcome, lastMessage }]
+   */
+  function readSchedules_() {
+    const sheet = getSchedulesSheet_();
+    if (sheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      task: getColumnIndex(headers, 'Task'),
+      client: getColumnIndex(headers, 'Client'),
+      frequency: getColumnIndex(headers, 'Frequency'),
+      enabled: getColumnIndex(headers, 'Enabled'),
+      lastRun: getColumnIndex(headers, 'Last Run'),
+      lastOutcome: getColumnIndex(headers, 'Last Outcome'),
+      lastMessage: getColumnIndex(headers, 'Last Message')
+    };
+    
+    const schedules = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const task = String(safeGetCellValue(row, columns.task)).trim().toLowerCase();
+      if (!task) continue;
+      
+      const enabled = safeGetCellValue(row, columns.enabled, true);
+      schedules.push({
+        task: task,
+        clientName: String(safeGetCellValue(row, columns.client)).trim() || SYSTEM_CONFIG.SCHEDULER.GLOBAL_CLIENT,
+        frequency: String(safeGetCellValue(row, columns.frequency)).trim().toLowerCase(),
+        enabled: !(enabled === false || String(enabled).toUpperCase() === 'FALSE'),
+        lastRun: String(safeGetCellValue(row, columns.lastRun)),
+        lastOutcome: String(safeGetCellValue(row, columns.lastOutcome)),
+        lastMessage: String(safeGetCellValue(row, columns.lastMessage))
+      });
+    }
+    
+    return schedules;
+  }
+  
+  /**
+   * Sheet row number of a task's schedule for a client (* for global), or -1
+   */
+  function findScheduleRow(sheet, task, clientName) {
+    const data = sheet.getDataRange().getValues();
+    const taskIndex = getColumnIndex(data[0], 'Task');
+    const clientIndex = getColumnIndex(data[0], 'Client');
+    
+    for (let i = 1; i < data.length; i++) {
+      const rowClient = String(safeGetCellValue(data[i], clientIndex)).trim() || SYSTEM_CONFIG.SCHEDULER.GLOBAL_CLIENT;
+      if (String(safeGetCellValue(data[i], taskIndex)).trim().toLowerCase() === task &&
+          rowClient.toLowerCase() === String(clientName).toLowerCase()) {
+        return i + 1;
+      }
+    }
+    
+    return -1;
+  }
+  
+  /**
+   * The master config spreadsheet's Schedules sheet, created empty if missing
+   */
+  function getSchedulesSheet_() {
+    const spreadsheet = SpreadsheetApp.openById(getMasterConfigSheetId_());
+    let sheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.SCHEDULES_SHEET_NAME);
+    
+    if (!sheet) {
+      infoLog('Creating Schedules sheet in master config');
+      // Appended after the clients sheet, which must stay first: getAllClients_ reads the first sheet
+      sheet = spreadsheet.insertSheet(SYSTEM_CONFIG.SHEETS.SCHEDULES_SHEET_NAME, spreadsheet.getNumSheets());
+      setupSheetStructure(sheet, SYSTEM_CONFIG.SHEETS.SCHEDULES_SHEET_NAME);
+      spreadsheet.setActiveSheet(spreadsheet.getSheets()[0]);
+      
+      // Last Run timestamps stay as written
+      sheet.getRange(1, 1, sheet.getMaxRows(), SYSTEM_CONFIG.SHEETS.SCHEDULES_COLUMNS.length).setNumberFormat('@');
+    }
+    
+    return sheet;
+  }
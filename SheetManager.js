@@ -7,8 +7,10 @@
  */
 function processBufferChanges(clientName) {
     let lock;
+    const auditEntries = [];
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
       infoLog(`Processing buffer changes for client: ${clientName}`);
       
@@ -18,7 +20,7 @@ function processBufferChanges(clientName) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock for buffer changes processing');
       }
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -66,16 +68,18 @@ function processBufferChanges(clientName) {
         const finalSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME);
         const inflowSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME);
         const outflowSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME);
+        const lineItemsSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.LINE_ITEMS_SHEET_NAME);
         
         for (const deletionItem of deletionData) {
           try {
-            processFileDeletion(deletionItem, folderStructure, finalSheet, inflowSheet, outflowSheet, bufferSheet);
+            processFileDeletion(deletionItem, folderStructure, finalSheet, inflowSheet, outflowSheet, bufferSheet, lineItemsSheet);
             deletedCount++;
             results.deletions.push({
               filename: deletionItem.originalFilename,
               success: true,
               reason: deletionItem.reason
             });
+            auditEntries.push(buildBufferChangeAuditEntry(client.name, deletionItem, SYSTEM_CONFIG.AUDIT.ACTIONS.DELETE_FILE, null));
           } catch (error) {
             errorLog(`Error processing deletion for file: ${deletionItem.originalFilename}`, error);
             results.errors.push({
@@ -83,6 +87,7 @@ function processBufferChanges(clientName) {
               operation: 'deletion',
               error: error.message
             });
+            auditEntries.push(buildBufferChangeAuditEntry(client.name, deletionItem, SYSTEM_CONFIG.AUDIT.ACTIONS.DELETE_FILE, error));
           }
         }
       }
@@ -99,6 +104,7 @@ function processBufferChanges(clientName) {
               filename: reactivationItem.originalFilename,
               success: true
             });
+            auditEntries.push(buildBufferChangeAuditEntry(client.name, reactivationItem, SYSTEM_CONFIG.AUDIT.ACTIONS.REACTIVATE_FILE, null));
           } catch (error) {
             errorLog(`Error processing reactivation for file: ${reactivationItem.originalFilename}`, error);
             results.errors.push({
@@ -106,6 +112,7 @@ function processBufferChanges(clientName) {
               operation: 'reactivation',
               error: error.message
             });
+            auditEntries.push(buildBufferChangeAuditEntry(client.name, reactivationItem, SYSTEM_CONFIG.AUDIT.ACTIONS.REACTIVATE_FILE, error));
           }
         }
       }
@@ -126,6 +133,9 @@ function processBufferChanges(clientName) {
       errorLog(`Error processing buffer changes for client: ${clientName}`, error);
       throw error;
     } finally {
+      // Logged even if a later step failed, since the files already processed have changed
+      writeAuditLog_(auditEntries);
+      
       if (lock) {
         try {
           lock.releaseLock();
@@ -136,6 +146,26 @@ function processBufferChanges(clientName) {
     }
   }
   
+  /**
+   * Audit entry for a buffer deletion or reactivation; error is null when it succeeded
+   */
+  function buildBufferChangeAuditEntry(clientName, item, action, error) {
+    const isDeletion = action === SYSTEM_CONFIG.AUDIT.ACTIONS.DELETE_FILE;
+    const active = { status: SYSTEM_CONFIG.STATUS.ACTIVE };
+    const deleted = { status: SYSTEM_CONFIG.STATUS.DELETED, reason: isDeletion ? item.reason : item.previousReason };
+    
+    return {
+      action: action,
+      clientName: clientName,
+      fileId: item.fileId,
+      fileName: item.originalFilename,
+      before: isDeletion ? active : deleted,
+      after: error ? '' : (isDeletion ? deleted : active),
+      result: error ? SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE : SYSTEM_CONFIG.AUDIT.RESULTS.SUCCESS,
+      details: error ? error.message : ''
+    };
+  }
+  
   /**
    * Get files marked for deletion with enhanced validation
    */
@@ -155,6 +185,8 @@ function processBufferChanges(clientName) {
       const fileIdIndex = getColumnIndex(headers, 'File ID');
       const statusIndex = getColumnIndex(headers, 'Status');
       const reasonIndex = getColumnIndex(headers, 'Reason');
+      const aiDataIndex = getColumnIndex(headers, 'AI Data');
+      const accountOverrideIndex = getColumnIndex(headers, 'Account Override');
       
       for (let i = 1; i < data.length; i++) {
         const row = data[i];
@@ -169,7 +201,9 @@ function processBufferChanges(clientName) {
             originalFilename: safeGetCellValue(row, originalFilenameIndex),
             fileUrl: safeGetCellValue(row, fileUrlIndex),
             fileId: safeGetCellValue(row, fileIdIndex),
-            reason: reason
+            reason: reason,
+            aiData: safeGetCellValue(row, aiDataIndex),
+            accountOverride: String(safeGetCellValue(row, accountOverrideIndex))
           });
         }
       }
@@ -206,6 +240,7 @@ function processBufferChanges(clientName) {
       const reasonIndex = getColumnIndex(headers, 'Reason');
       const emailSubjectIndex = getColumnIndex(headers, 'Email Subject');
       const dateAddedIndex = getColumnIndex(headers, 'Date Added');
+      const accountOverrideIndex = getColumnIndex(headers, 'Account Override');
       
       for (let i = 1; i < data.length; i++) {
         const row = data[i];
@@ -223,6 +258,7 @@ function processBufferChanges(clientName) {
             invoiceNumber: safeGetCellValue(row, invoiceNumberIndex),
             emailSubject: safeGetCellValue(row, emailSubjectIndex),
             dateAdded: safeGetCellValue(row, dateAddedIndex),
+            accountOverride: String(safeGetCellValue(row, accountOverrideIndex)),
             previousReason: reason
           });
         }
@@ -240,10 +276,13 @@ function processBufferChanges(clientName) {
   /**
    * Process file deletion with comprehensive cleanup
    */
-  function processFileDeletion(deletionItem, folderStructure, finalSheet, inflowSheet, outflowSheet, bufferSheet) {
+  function processFileDeletion(deletionItem, folderStructure, finalSheet, inflowSheet, outflowSheet, bufferSheet, lineItemsSheet) {
     try {
       debugLog(`Processing deletion for file: ${deletionItem.originalFilename}`);
       
+      // Step 0: Keep an account the user changed on the booked rows for when the file is reactivated
+      preserveAccountOverride(bufferSheet, deletionItem, [finalSheet, inflowSheet, outflowSheet]);
+      
       // Step 1: Remove file from Drive folders (but keep in buffer as inactive)
       removeFileFromDriveFolders(deletionItem.fileUrl, folderStructure);
       
@@ -253,6 +292,9 @@ function processBufferChanges(clientName) {
       // Step 3: Remove from inflow/outflow sheets
       removeFromSheet(inflowSheet, deletionItem.fileUrl, 'File URL');
       removeFromSheet(outflowSheet, deletionItem.fileUrl, 'File URL');
+      if (lineItemsSheet) {
+        removeFromSheet(lineItemsSheet, deletionItem.fileUrl, 'File URL');
+      }
       
       // Step 4: Update buffer sheet status with deletion information
       updateBufferSheetForDeletion(bufferSheet, deletionItem.rowIndex, deletionItem.reason);
@@ -275,7 +317,7 @@ function processBufferChanges(clientName) {
       const folderStructure = getClientFolderStructure(client);
       
       // Step 1: Ensure file exists and is accessible in buffer folder
-      ensureFileInBufferFolder(reactivationItem, folderStructure.bufferFolder);
+      ensureFileInBufferFolder(reactivationItem, folderStructure.bufferFolder, folderStructure);
       
       // Step 2: Clear the deletion status and update reason
       updateBufferSheetForReactivation(bufferSheet, reactivationItem.rowIndex);
@@ -318,7 +360,7 @@ function processBufferChanges(clientName) {
   /**
    * Ensure file exists in buffer folder
    */
-  function ensureFileInBufferFolder(reactivationItem, bufferFolder) {
+  function ensureFileInBufferFolder(reactivationItem, bufferFolder, folderStructure) {
     try {
       const fileId = extractFileIdFromUrl(reactivationItem.fileUrl);
       if (!fileId) {
@@ -348,16 +390,13 @@ function processBufferChanges(clientName) {
         // File was moved out of buffer during deletion, restore it
         bufferFolder.addFile(file);
         
-        // Remove from other folders if present (cleanup from previous moves)
+        // Remove from other folders if present (cleanup from previous moves, including month subfolders)
+        const flowFolders = [folderStructure.inflowFolder, folderStructure.outflowFolder];
         const allParents = file.getParents();
         while (allParents.hasNext()) {
           const parent = allParents.next();
-          if (parent.getId() !== bufferFolder.getId()) {
-            const parentName = parent.getName();
-            if (parentName === SYSTEM_CONFIG.DRIVE.FOLDER_STRUCTURE.INFLOW || 
-                parentName === SYSTEM_CONFIG.DRIVE.FOLDER_STRUCTURE.OUTFLOW) {
-              parent.removeFile(file);
-            }
+          if (parent.getId() !== bufferFolder.getId() && isFolderWithin(parent, flowFolders)) {
+            parent.removeFile(file);
           }
         }
         
@@ -457,26 +496,22 @@ function processBufferChanges(clientName) {
       
       const file = DriveApp.getFileById(fileId);
       
-      // Remove from inflow/outflow folders only, keep in buffer
-      const foldersToRemoveFrom = [
+      // Remove from inflow/outflow folders (and their YYYY/MM subfolders) only, keep in buffer
+      const flowFolders = [
         folderStructure.inflowFolder,
         folderStructure.outflowFolder
       ];
       
-      for (const folder of foldersToRemoveFrom) {
+      const parents = file.getParents();
+      while (parents.hasNext()) {
+        const parent = parents.next();
         try {
-          // Check if file is in this folder
-          const filesInFolder = folder.getFilesByName(file.getName());
-          while (filesInFolder.hasNext()) {
-            const fileInFolder = filesInFolder.next();
-            if (fileInFolder.getId() === file.getId()) {
-              folder.removeFile(file);
-              debugLog(`Removed file from folder: ${folder.getName()}`);
-              break;
-            }
+          if (isFolderWithin(parent, flowFolders)) {
+            parent.removeFile(file);
+            debugLog(`Removed file from folder: ${parent.getName()}`);
           }
         } catch (error) {
-          warnLog(`Error removing file from folder ${folder.getName()}`, error);
+          warnLog(`Error removing file from folder ${parent.getName()}`, error);
         }
       }
       
@@ -486,6 +521,25 @@ function processBufferChanges(clientName) {
     }
   }
   
+  /**
+   * Check whether a folder is one of the given folders or nested below one of them
+   */
+  function isFolderWithin(folder, ancestorFolders) {
+    const ancestorIds = ancestorFolders.map(ancestor => ancestor.getId());
+    let current = folder;
+    
+    // Month folders sit at most two levels (YYYY/MM) below Inflow/Outflow
+    for (let depth = 0; current && depth <= 2; depth++) {
+      if (ancestorIds.includes(current.getId())) {
+        return true;
+      }
+      const parents = current.getParents();
+      current = parents.hasNext() ? parents.next() : null;
+    }
+    
+    return false;
+  }
+  
   /**
    * Generic function to remove from sheet by matching column value
    */
@@ -551,24 +605,27 @@ function processBufferChanges(clientName) {
         }
       }
       
-      const rowData = [
-        reactivationItem.changedFilename || reactivationItem.originalFilename, // File Name
-        uniqueId,                                 // Unique File ID
-        reactivationItem.fileId || '',           // Drive File ID
-        reactivationItem.fileUrl,                // File URL
-        '', // Message ID - not available in reactivation data
-        reactivationItem.emailSubject || '',     // Email Subject
-        '', // Email Sender - not available in reactivation data
-        aiData.transactionType,                  // Inflow/Outflow Status
-        aiData.date,                             // Date
-        aiData.vendorName,                       // Vendor Name
-        aiData.invoiceNumber,                    // Invoice Number
-        aiData.amount,                           // Amount
-        'restored', // Document Type
-        0.8,                                     // AI Confidence (default for restored)
-        getCurrentTimestamp(),                   // Processing Date
-        getCurrentTimestamp()                    // Last Modified
-      ];
+      const headers = finalSheet.getRange(1, 1, 1, finalSheet.getLastColumn()).getValues()[0];
+      const rowData = buildRowFromHeaders(headers, {
+        'File Name': reactivationItem.changedFilename || reactivationItem.originalFilename,
+        'Unique File ID': uniqueId,
+        'Drive File ID': reactivationItem.fileId || '',
+        'File URL': reactivationItem.fileUrl,
+        'Message ID': '', // Not available in reactivation data
+        'Email Subject': reactivationItem.emailSubject || '',
+        'Email Sender': '', // Not available in reactivation data
+        'Inflow/Outflow Status': aiData.transactionType,
+        'Date': aiData.date,
+        'Vendor Name': aiData.vendorName,
+        'Invoice Number': aiData.invoiceNumber,
+        'Amount': aiData.amount,
+        'Document Type': 'restored',
+        'AI Confidence': 0.8, // Default for restored
+        'Processing Date': getCurrentTimestamp(),
+        'Last Modified': getCurrentTimestamp(),
+        'File Hash': getDriveFileHash_(reactivationItem.fileUrl),
+        'Account': reactivationItem.accountOverride
+      });
       
       finalSheet.appendRow(rowData);
       debugLog(`Restored file to final sheet: ${reactivationItem.changedFilename || reactivationItem.originalFilename}`);
@@ -584,8 +641,10 @@ function processBufferChanges(clientName) {
    */
   function moveFilesToInflowOutflow(clientName) {
     let lock;
+    const auditEntries = [];
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
       infoLog(`Moving files to inflow/outflow for client: ${clientName}`);
       
@@ -595,7 +654,7 @@ function processBufferChanges(clientName) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.SYSTEM_ERROR, 'Could not acquire lock for flow processing');
       }
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -626,25 +685,38 @@ function processBufferChanges(clientName) {
       
       // Process each file
       for (const fileData of finalSheetData) {
+        const auditEntry = {
+          action: SYSTEM_CONFIG.AUDIT.ACTIONS.MOVE_TO_FLOW,
+          clientName: client.name,
+          fileId: fileData.uniqueFileId,
+          fileName: fileData.fileName,
+          before: { sheet: SYSTEM_CONFIG.SHEETS.FINAL_SHEET_NAME },
+          details: { vendorName: fileData.vendorName, invoiceNumber: fileData.invoiceNumber, amount: fileData.amount }
+        };
+        auditEntries.push(auditEntry);
+        
         try {
           const isInflow = fileData.inflowOutflowStatus.toLowerCase() === SYSTEM_CONFIG.STATUS.INFLOW;
           
           if (isInflow) {
             // Add to inflow sheet and move to inflow folder
             addToInflowSheet(inflowSheet, fileData);
-            moveFileToFolder(fileData.fileUrl, folderStructure.bufferFolder, folderStructure.inflowFolder);
+            moveFileToFolder(fileData.fileUrl, folderStructure.bufferFolder, getOrCreateMonthFolder(folderStructure.inflowFolder, fileData.date));
             inflowCount++;
           } else {
             // Add to outflow sheet and move to outflow folder
             addToOutflowSheet(outflowSheet, fileData);
-            moveFileToFolder(fileData.fileUrl, folderStructure.bufferFolder, folderStructure.outflowFolder);
+            moveFileToFolder(fileData.fileUrl, folderStructure.bufferFolder, getOrCreateMonthFolder(folderStructure.outflowFolder, fileData.date));
             outflowCount++;
           }
           
           debugLog(`Moved file to ${isInflow ? 'inflow' : 'outflow'}: ${fileData.fileName}`);
+          auditEntry.after = { sheet: isInflow ? SYSTEM_CONFIG.SHEETS.INFLOW_SHEET_NAME : SYSTEM_CONFIG.SHEETS.OUTFLOW_SHEET_NAME };
           
         } catch (error) {
           errorLog(`Error moving file: ${fileData.fileName}`, error);
+          auditEntry.result = SYSTEM_CONFIG.AUDIT.RESULTS.FAILURE;
+          auditEntry.details = { ...auditEntry.details, error: error.message };
           errorCount++;
           errors.push({
             fileName: fileData.fileName,
@@ -676,6 +748,8 @@ function processBufferChanges(clientName) {
       errorLog(`Error moving files to inflow/outflow for client: ${clientName}`, error);
       throw error;
     } finally {
+      writeAuditLog_(auditEntries);
+      
       if (lock) {
         try {
           lock.releaseLock();
@@ -712,6 +786,28 @@ function processBufferChanges(clientName) {
     }
   }
   
+  /**
+   * Get or create the YYYY/MM subfolder of a flow folder for a document date.
+   * Falls back to the current month when the document date is missing or invalid.
+   */
+  function getOrCreateMonthFolder(flowFolder, documentDate) {
+    try {
+      const date = parseDateValue(documentDate) || new Date();
+      const timeZone = Session.getScriptTimeZone();
+      
+      const yearName = Utilities.formatDate(date, timeZone, SYSTEM_CONFIG.DRIVE.MONTH_FOLDER_FORMAT.YEAR);
+      const monthName = Utilities.formatDate(date, timeZone, SYSTEM_CONFIG.DRIVE.MONTH_FOLDER_FORMAT.MONTH);
+      
+      // createSubfolder reuses existing folders, so month folders are only created on first use
+      const yearFolder = createSubfolder(flowFolder, yearName);
+      return createSubfolder(yearFolder, monthName);
+      
+    } catch (error) {
+      errorLog(`Error getting month folder in ${flowFolder.getName()} for date: ${documentDate}`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Get final sheet data with enhanced validation
    */
@@ -741,6 +837,26 @@ function processBufferChanges(clientName) {
       const documentTypeIndex = getColumnIndex(headers, 'Document Type');
       const aiConfidenceIndex = getColumnIndex(headers, 'AI Confidence');
       const processingDateIndex = getColumnIndex(headers, 'Processing Date');
+      const gstColumnIndexes = {
+        vendorGstin: getColumnIndex(headers, 'Vendor GSTIN'),
+        buyerGstin: getColumnIndex(headers, 'Buyer GSTIN'),
+        placeOfSupply: getColumnIndex(headers, 'Place of Supply'),
+        taxableValue: getColumnIndex(headers, 'Taxable Value'),
+        cgst: getColumnIndex(headers, 'CGST'),
+        sgst: getColumnIndex(headers, 'SGST'),
+        igst: getColumnIndex(headers, 'IGST'),
+        cess: getColumnIndex(headers, 'Cess')
+      };
+      const currencyColumnIndexes = {
+        currency: getColumnIndex(headers, 'Currency'),
+        originalAmount: getColumnIndex(headers, 'Original Amount'),
+        fxRate: getColumnIndex(headers, 'FX Rate'),
+        baseAmount: getColumnIndex(headers, 'Base Amount')
+      };
+      const fileHashIndex = getColumnIndex(headers, 'File Hash');
+      const dueDateIndex = getColumnIndex(headers, 'Due Date');
+      const paymentTermsIndex = getColumnIndex(headers, 'Payment Terms');
+      const accountIndex = getColumnIndex(headers, 'Account');
       
       for (let i = 1; i < data.length; i++) {
         const row = data[i];
@@ -766,7 +882,23 @@ function processBufferChanges(clientName) {
             amount: safeGetCellValue(row, amountIndex),
             documentType: safeGetCellValue(row, documentTypeIndex),
             aiConfidence: safeGetCellValue(row, aiConfidenceIndex),
-            processingDate: safeGetCellValue(row, processingDateIndex)
+            processingDate: safeGetCellValue(row, processingDateIndex),
+            vendorGstin: safeGetCellValue(row, gstColumnIndexes.vendorGstin),
+            buyerGstin: safeGetCellValue(row, gstColumnIndexes.buyerGstin),
+            placeOfSupply: safeGetCellValue(row, gstColumnIndexes.placeOfSupply),
+            taxableValue: safeGetCellValue(row, gstColumnIndexes.taxableValue),
+            cgst: safeGetCellValue(row, gstColumnIndexes.cgst),
+            sgst: safeGetCellValue(row, gstColumnIndexes.sgst),
+            igst: safeGetCellValue(row, gstColumnIndexes.igst),
+            cess: safeGetCellValue(row, gstColumnIndexes.cess),
+            currency: safeGetCellValue(row, currencyColumnIndexes.currency),
+            originalAmount: safeGetCellValue(row, currencyColumnIndexes.originalAmount),
+            fxRate: safeGetCellValue(row, currencyColumnIndexes.fxRate),
+            baseAmount: safeGetCellValue(row, currencyColumnIndexes.baseAmount),
+            fileHash: safeGetCellValue(row, fileHashIndex),
+            dueDate: safeGetCellValue(row, dueDateIndex),
+            paymentTerms: safeGetCellValue(row, paymentTermsIndex),
+            account: safeGetCellValue(row, accountIndex)
           });
         } else {
           warnLog(`Skipping invalid row in final sheet: ${i + 1}`, {
@@ -789,25 +921,7 @@ function processBufferChanges(clientName) {
    */
   function addToInflowSheet(inflowSheet, fileData) {
     try {
-      const rowData = [
-        fileData.fileName,
-        fileData.uniqueFileId,
-        fileData.driveFileId,
-        fileData.fileUrl,
-        fileData.messageId,
-        fileData.emailSubject,
-        fileData.emailSender,
-        fileData.date,
-        fileData.vendorName,
-        fileData.invoiceNumber,
-        fileData.amount,
-        fileData.documentType,
-        fileData.aiConfidence,
-        fileData.processingDate,
-        getCurrentTimestamp() // Moved Date
-      ];
-      
-      inflowSheet.appendRow(rowData);
+      inflowSheet.appendRow(createFlowRowData(inflowSheet, fileData));
       debugLog(`Added file to inflow sheet: ${fileData.fileName}`);
       
     } catch (error) {
@@ -821,25 +935,7 @@ function processBufferChanges(clientName) {
    */
   function addToOutflowSheet(outflowSheet, fileData) {
     try {
-      const rowData = [
-        fileData.fileName,
-        fileData.uniqueFileId,
-        fileData.driveFileId,
-        fileData.fileUrl,
-        fileData.messageId,
-        fileData.emailSubject,
-        fileData.emailSender,
-        fileData.date,
-        fileData.vendorName,
-        fileData.invoiceNumber,
-        fileData.amount,
-        fileData.documentType,
-        fileData.aiConfidence,
-        fileData.processingDate,
-        getCurrentTimestamp() // Moved Date
-      ];
-      
-      outflowSheet.appendRow(rowData);
+      outflowSheet.appendRow(createFlowRowData(outflowSheet, fileData));
       debugLog(`Added file to outflow sheet: ${fileData.fileName}`);
       
     } catch (error) {
@@ -848,6 +944,47 @@ function processBufferChanges(clientName) {
     }
   }
   
+  /**
+   * Create inflow/outflow row data matching the sheet structure
+   */
+  function createFlowRowData(flowSheet, fileData) {
+    const headers = flowSheet.getRange(1, 1, 1, flowSheet.getLastColumn()).getValues()[0];
+    
+    return buildRowFromHeaders(headers, {
+      'File Name': fileData.fileName,
+      'Unique File ID': fileData.uniqueFileId,
+      'Drive File ID': fileData.driveFileId,
+      'File URL': fileData.fileUrl,
+      'Message ID': fileData.messageId,
+      'Email Subject': fileData.emailSubject,
+      'Email Sender': fileData.emailSender,
+      'Date': fileData.date,
+      'Vendor Name': fileData.vendorName,
+      'Invoice Number': fileData.invoiceNumber,
+      'Amount': fileData.amount,
+      'Document Type': fileData.documentType,
+      'AI Confidence': fileData.aiConfidence,
+      'Processing Date': fileData.processingDate,
+      'Moved Date': getCurrentTimestamp(),
+      'Vendor GSTIN': fileData.vendorGstin,
+      'Buyer GSTIN': fileData.buyerGstin,
+      'Place of Supply': fileData.placeOfSupply,
+      'Taxable Value': fileData.taxableValue,
+      'CGST': fileData.cgst,
+      'SGST': fileData.sgst,
+      'IGST': fileData.igst,
+      'Cess': fileData.cess,
+      'Currency': fileData.currency,
+      'Original Amount': fileData.originalAmount,
+      'FX Rate': fileData.fxRate,
+      'Base Amount': fileData.baseAmount,
+      'File Hash': fileData.fileHash,
+      'Due Date': fileData.dueDate,
+      'Payment Terms': fileData.paymentTerms,
+      'Account': fileData.account
+    });
+  }
+  
   /**
    * Clear final sheet after processing
    */
@@ -870,8 +1007,9 @@ function processBufferChanges(clientName) {
   function getSheetStatistics(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -936,8 +1074,9 @@ function processBufferChanges(clientName) {
   function validateAndRepairSheetStructure(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -999,9 +1138,10 @@ function processBufferChanges(clientName) {
   function exportSheetToCSV(clientName, sheetName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       validateInput(sheetName, 'string', 'Sheet name');
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -1018,16 +1158,7 @@ function processBufferChanges(clientName) {
       }
       
       const data = sheet.getDataRange().getValues();
-      const csvContent = data.map(row => 
-        row.map(cell => {
-          // Escape quotes and wrap in quotes if contains comma, quote, or newline
-          const cellStr = String(cell || '');
-          if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-            return `"${cellStr.replace(/"/g, '""')}"`;
-          }
-          return cellStr;
-        }).join(',')
-      ).join('\n');
+      const csvContent = buildCsvContent(data);
       
       // Create CSV file in client's spreadsheets folder
       const folderStructure = getClientFolderStructure(client);
@@ -1049,14 +1180,74 @@ function processBufferChanges(clientName) {
     }
   }
   
+  /**
+   * Join rows of cell values into CSV text
+   */
+  function buildCsvContent(data) {
+    return data.map(row => 
+      row.map(cell => {
+        // Escape quotes and wrap in quotes if contains comma, quote, or newline
+        const cellStr = String(cell === null || cell === undefined ? '' : cell);
+        if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+          return `"${cellStr.replace(/"/g, '""')}"`;
+        }
+        return cellStr;
+      }).join(',')
+    ).join('\n');
+  }
+  
+  /**
+   * Read the cell values of an uploaded spreadsheet file (CSV, Excel or Google Sheet).
+   * Excel files are converted to a temporary Google Sheet via the Drive API and the copy is trashed afterwards.
+   * The sheet is picked by the optional matcher, otherwise the first sheet is used.
+   */
+  function readSpreadsheetFileValues(file, sheetMatcher = null) {
+    let tempFileId = null;
+    try {
+      const mimeType = file.getMimeType();
+      
+      if (mimeType === 'text/csv' || file.getName().toLowerCase().endsWith('.csv')) {
+        return Utilities.parseCsv(file.getBlob().getDataAsString());
+      }
+      
+      let spreadsheetId = file.getId();
+      if (mimeType !== MimeType.GOOGLE_SHEETS) {
+        const converted = Drive.Files.copy(
+          { name: `tmp_${file.getName()}`, mimeType: MimeType.GOOGLE_SHEETS },
+          file.getId()
+        );
+        tempFileId = converted.id;
+        spreadsheetId = converted.id;
+      }
+      
+      const sheets = SpreadsheetApp.openById(spreadsheetId).getSheets();
+      const sheet = (sheetMatcher && sheets.find(candidate => sheetMatcher(candidate.getName()))) || sheets[0];
+      
+      return sheet.getDataRange().getValues();
+      
+    } catch (error) {
+      errorLog(`Error reading spreadsheet file: ${file.getName()}`, error);
+      throw error;
+    } finally {
+      if (tempFileId) {
+        try {
+          DriveApp.getFileById(tempFileId).setTrashed(true);
+        } catch (cleanupError) {
+          warnLog(`Could not remove temporary conversion of: ${file.getName()}`, cleanupError.message);
+        }
+      }
+    }
+  }
+  
   /**
    * Archive old data from sheets
    */
   function archiveOldData(clientName, daysOld = 30) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('admin');
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -1181,8 +1372,9 @@ function processBufferChanges(clientName) {
   function cleanupAndOptimizeSheets(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         throw createError(SYSTEM_CONFIG.ERROR_CODES.INVALID_INPUT, `Client '${clientName}' not found`);
       }
@@ -1263,8 +1455,9 @@ function processBufferChanges(clientName) {
   function getPendingBufferChanges(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         return {
           deletions: [],
@@ -1306,7 +1499,8 @@ function processBufferChanges(clientName) {
  * Get the spreadsheet ID for a company by name using dynamic config
  */
 function getCompanySpreadsheetIdByName(companyName) {
-  const client = getClientByName(companyName);
+  requireUserRole('viewer', companyName);
+  const client = getClientByName_(companyName);
   if (client) {
     return client.spreadsheetId;
   }
@@ -0,0 +1,210 @@
+/**
+ * VendorProfiles.gs - Per-client vendor profiles learned from review corrections
+ */
+
+/**
+ * Update the vendor profile for an approved document from the reviewer's corrections.
+ * The AI's vendor name becomes an alias of the approved (canonical) name, and the approved
+ * direction, document type and GSTIN become the vendor's usual values.
+ */
+function updateVendorProfileFromCorrections(spreadsheet, originalData, approvedData, corrections) {
+    try {
+      if (corrections.length === 0 || !normalizeVendorName(approvedData.vendorName)) {
+        return null;
+      }
+      
+      const profilesSheet = getOrCreateSheet(spreadsheet, SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_SHEET_NAME);
+      const profiles = getVendorProfilesFromSheet(profilesSheet);
+      const profile = findVendorProfile(profiles, approvedData.vendorName, approvedData.vendorGstin) ||
+        findVendorProfile(profiles, originalData.vendorName, '') ||
+        { rowIndex: null, canonicalName: approvedData.vendorName, aliases: [], gstin: '', correctionCount: 0, defaultTermsDays: null, accountCode: '' };
+      
+      // A reviewer renaming the vendor moves the previous canonical name into the aliases
+      const aliases = profile.aliases.slice();
+      if (normalizeVendorName(profile.canonicalName) !== normalizeVendorName(approvedData.vendorName)) {
+        aliases.push(profile.canonicalName);
+      }
+      if (isUsableVendorAlias(originalData.vendorName)) {
+        aliases.push(originalData.vendorName);
+      }
+      
+      const canonicalKey = normalizeVendorName(approvedData.vendorName);
+      const uniqueAliases = [];
+      const seenKeys = new Set([canonicalKey]);
+      for (const alias of aliases) {
+        const aliasKey = normalizeVendorName(alias);
+        if (aliasKey && !seenKeys.has(aliasKey)) {
+          seenKeys.add(aliasKey);
+          uniqueAliases.push(alias);
+        }
+      }
+      
+      const headers = profilesSheet.getRange(1, 1, 1, profilesSheet.getLastColumn()).getValues()[0];
+      const rowData = buildRowFromHeaders(headers, {
+        'Canonical Name': approvedData.vendorName,
+        'Aliases': uniqueAliases.join(SYSTEM_CONFIG.VENDOR_PROFILES.ALIAS_SEPARATOR),
+        'Usual Direction': approvedData.transactionType,
+        'Usual Document Type': approvedData.documentType,
+        'GSTIN': approvedData.vendorGstin || profile.gstin,
+        'Correction Count': profile.correctionCount + corrections.length,
+        'Last Updated': getCurrentTimestamp(),
+        'Default Terms (Days)': profile.defaultTermsDays === null ? '' : profile.defaultTermsDays,
+        'Account Code': profile.accountCode
+      });
+      
+      if (profile.rowIndex) {
+        profilesSheet.getRange(profile.rowIndex, 1, 1, rowData.length).setValues([rowData]);
+      } else {
+        profilesSheet.appendRow(rowData);
+      }
+      
+      debugLog(`Updated vendor profile: ${approvedData.vendorName}`, { aliases: uniqueAliases });
+      return approvedData.vendorName;
+      
+    } catch (error) {
+      // Profiles only improve future extractions, so a failure must not block the approval
+      errorLog('Error updating vendor profile from corrections', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Load a client's vendor profiles
+   */
+  function getVendorProfiles(spreadsheet) {
+    try {
+      const profilesSheet = spreadsheet.getSheetByName(SYSTEM_CONFIG.SHEETS.VENDOR_PROFILES_SHEET_NAME);
+      return profilesSheet ? getVendorProfilesFromSheet(profilesSheet) : [];
+    } catch (error) {
+      errorLog('Error loading vendor profiles', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Read vendor profile rows
+   */
+  function getVendorProfilesFromSheet(profilesSheet) {
+    if (profilesSheet.getLastRow() <= 1) {
+      return [];
+    }
+    
+    const data = profilesSheet.getDataRange().getValues();
+    const headers = data[0];
+    const columns = {
+      canonicalName: getColumnIndex(headers, 'Canonical Name'),
+      aliases: getColumnIndex(headers, 'Aliases'),
+      direction: getColumnIndex(headers, 'Usual Direction'),
+      documentType: getColumnIndex(headers, 'Usual Document Type'),
+      gstin: getColumnIndex(headers, 'GSTIN'),
+      correctionCount: getColumnIndex(headers, 'Correction Count'),
+      defaultTermsDays: getColumnIndex(headers, 'Default Terms (Days)'),
+      accountCode: getColumnIndex(headers, 'Account Code')
+    };
+    
+    const profiles = [];
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const canonicalName = safeGetCellValue(row, columns.canonicalName);
+      if (!canonicalName) continue;
+      
+      const defaultTermsDays = parseInt(safeGetCellValue(row, columns.defaultTermsDays, ''), 10);
+      
+      profiles.push({
+        rowIndex: i + 1,
+        canonicalName: canonicalName,
+        aliases: String(safeGetCellValue(row, columns.aliases))
+          .split(SYSTEM_CONFIG.VENDOR_PROFILES.ALIAS_SEPARATOR.trim())
+          .map(alias => alias.trim())
+          .filter(alias => alias),
+        direction: safeGetCellValue(row, columns.direction),
+        documentType: safeGetCellValue(row, columns.documentType),
+        gstin: String(safeGetCellValue(row, columns.gstin)).toUpperCase(),
+        correctionCount: parseInt(safeGetCellValue(row, columns.correctionCount, '0')) || 0,
+        defaultTermsDays: isNaN(defaultTermsDays) || defaultTermsDays < 0 ? null : defaultTermsDays,
+        accountCode: String(safeGetCellValue(row, columns.accountCode)).trim()
+      });
+    }
+    
+    return profiles;
+  }
+  
+  /**
+   * Find the profile for a vendor by GSTIN first, then by canonical name or alias
+   */
+  function findVendorProfile(profiles, vendorName, gstin) {
+    const normalizedGstin = String(gstin || '').toUpperCase();
+    if (normalizedGstin) {
+      const gstinMatch = profiles.find(profile => profile.gstin === normalizedGstin);
+      if (gstinMatch) return gstinMatch;
+    }
+    
+    const vendorKey = normalizeVendorName(vendorName);
+    if (!vendorKey) return null;
+    
+    return profiles.find(profile =>
+      normalizeVendorName(profile.canonicalName) === vendorKey ||
+      profile.aliases.some(alias => normalizeVendorName(alias) === vendorKey)
+    ) || null;
+  }
+  
+  /**
+   * Replace an extracted vendor name with its canonical form when it matches a profile
+   */
+  function snapVendorNameToProfile(validatedData, vendorProfiles) {
+    if (!vendorProfiles || vendorProfiles.length === 0) {
+      return validatedData;
+    }
+    
+    const profile = findVendorProfile(vendorProfiles, validatedData.vendorName, validatedData.vendorGstin);
+    if (profile && profile.canonicalName !== validatedData.vendorName) {
+      debugLog(`Snapped vendor name to profile: ${validatedData.vendorName} -> ${profile.canonicalName}`);
+      validatedData.vendorName = profile.canonicalName;
+    }
+    
+    return validatedData;
+  }
+  
+  /**
+   * Build prompt hints from vendor profiles. Profiles whose name or alias appears in the
+   * file name or email subject are listed first, then those corrected most often.
+   */
+  function buildVendorPromptHints(vendorProfiles, fileData) {
+    if (!vendorProfiles || vendorProfiles.length === 0) {
+      return '';
+    }
+    
+    const sourceText = normalizeVendorName(`${fileData.originalFilename || ''} ${fileData.emailSubject || ''}`);
+    const mentionsProfile = profile => [profile.canonicalName].concat(profile.aliases)
+      .some(name => {
+        const key = normalizeVendorName(name);
+        return key.length >= 4 && sourceText.includes(key);
+      });
+    
+    const rankedProfiles = vendorProfiles
+      .map(profile => ({ profile: profile, mentioned: mentionsProfile(profile) }))
+      .sort((a, b) => (b.mentioned - a.mentioned) || (b.profile.correctionCount - a.profile.correctionCount))
+      .slice(0, SYSTEM_CONFIG.VENDOR_PROFILES.MAX_PROMPT_HINTS)
+      .map(entry => entry.profile);
+    
+    const lines = rankedProfiles.map(profile => {
+      const details = [`vendorName "${profile.canonicalName}"`];
+      if (profile.aliases.length > 0) details.push(`also written as ${profile.aliases.map(alias => `"${alias}"`).join(', ')}`);
+      if (profile.direction) details.push(`usually ${profile.direction}`);
+      if (profile.documentType) details.push(`usually a ${profile.documentType}`);
+      if (profile.gstin) details.push(`GSTIN ${profile.gstin}`);
+      return `- ${details.join('; ')}`;
+    });
+    
+    return `\n\nKnown vendors for this client (corrected by accountants). If the document is from one of them, ` +
+      `use the exact vendorName given and prefer its usual transaction type and document type unless the document clearly says otherwise:\n` +
+      lines.join('\n');
+  }
+  
+  /**
+   * Skip placeholder vendor names when collecting aliases
+   */
+  function isUsableVendorAlias(vendorName) {
+    const key = normalizeVendorName(vendorName);
+    return Boolean(key) && key !== normalizeVendorName('Unknown_Vendor');
+  }
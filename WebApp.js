@@ -8,7 +8,7 @@
 function doGet(e) {
     try {
       // Perform health check
-      const health = performSystemHealthCheck();
+      const health = performSystemHealthCheck_();
       if (health.status === 'unhealthy') {
         return createErrorPage('System is currently unavailable. Please check configuration.');
       }
@@ -57,7 +57,16 @@ function doGet(e) {
         return createErrorResponse('Invalid request: Action is required');
       }
       
-      debugLog('Processing POST request', { action: data.action });
+      // Every action needs an API key whose scope covers it
+      const auth = authorizeApiRequest(data.apiKey, data.action);
+      if (!auth.authorized) {
+        warnLog(`Refused POST request: ${auth.message}`, { action: data.action, keyId: auth.keyId });
+        return createErrorResponse(auth.message, auth.code);
+      }
+      delete data.apiKey;
+      setTrustedExecutionRole_(SYSTEM_CONFIG.API.SCOPE_ROLES[auth.scope], `API key ${auth.keyId}`);
+      
+      debugLog('Processing POST request', { action: data.action, keyId: auth.keyId, scope: auth.scope });
       
       // Route to appropriate handler
       switch (data.action) {
@@ -94,6 +103,8 @@ function doGet(e) {
    */
   function addClientAction(data) {
     try {
+      requireUserRole('admin');
+      
       // Validate input data
       if (!data.clientName || !data.gmailLabel) {
         return createErrorResponse('Client name and Gmail label are required');
@@ -120,7 +131,7 @@ function doGet(e) {
       infoLog(`Web app: Starting addClientAction for: ${clientName}`);
       
       // Use atomic client creation
-      const result = addClientWithAtomicTransaction(clientName, gmailLabel, parentFolderId);
+      const result = addClientWithAtomicTransaction_(clientName, gmailLabel, parentFolderId);
       
       return ContentService
         .createTextOutput(JSON.stringify({
@@ -154,6 +165,8 @@ function doGet(e) {
    */
   function addClientDirect(data) {
     try {
+      requireUserRole('admin');
+      
       // Validate input
       if (!data || !data.clientName || !data.gmailLabel) {
         return {
@@ -169,7 +182,7 @@ function doGet(e) {
       infoLog(`Direct call: Starting addClientDirect for: ${clientName}`);
       
       // Use atomic client creation
-      const result = addClientWithAtomicTransaction(clientName, gmailLabel, parentFolderId);
+      const result = addClientWithAtomicTransaction_(clientName, gmailLabel, parentFolderId);
       
       // Return plain JavaScript object (not ContentService)
       return {
@@ -201,7 +214,7 @@ function doGet(e) {
    */
   function getClientsAction() {
     try {
-      const clients = getActiveClients();
+      const clients = filterClientsForCurrentUser(getActiveClients_());
       const clientsData = clients.map(client => ({
         name: client.name,
         gmailLabel: client.gmailLabel,
@@ -222,7 +235,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in getClientsAction', error);
-      return createErrorResponse(`Error retrieving clients: ${error.message}`);
+      return createErrorResponse(`Error retrieving clients: ${error.message}`, error.code);
     }
   }
   
@@ -231,6 +244,8 @@ function doGet(e) {
    */
   function deleteClientAction(data) {
     try {
+      requireUserRole('admin');
+      
       if (!data.clientName) {
         return createErrorResponse('Client name is required for deletion');
       }
@@ -238,7 +253,7 @@ function doGet(e) {
       const clientName = data.clientName.trim();
       
       // For safety, we'll deactivate instead of actually deleting
-      const result = deactivateClient(clientName);
+      const result = deactivateClient_(clientName);
       
       return ContentService
         .createTextOutput(JSON.stringify({
@@ -250,12 +265,13 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in deleteClientAction', error);
-      return createErrorResponse(`Error deactivating client: ${error.message}`);
+      return createErrorResponse(`Error deactivating client: ${error.message}`, error.code);
     }
   }
   
   /**
-   * Process Gmail action with enhanced error handling
+   * Process Gmail action with enhanced error handling. An all-clients run is queued as a background
+   * job, as doPost must answer synchronously.
    */
   function processGmailAction(data) {
     try {
@@ -265,7 +281,7 @@ function doGet(e) {
         validateInput(data.clientName, 'string', 'Client name');
         result = processClientGmailByName(data.clientName);
       } else {
-        result = processAllClientsGmail();
+        result = queueProcessingJob_(SYSTEM_CONFIG.JOBS.TYPES.GMAIL);
       }
       
       return ContentService
@@ -277,12 +293,14 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in processGmailAction', error);
-      return createErrorResponse(`Gmail processing failed: ${error.message}`);
+      return createErrorResponse(`Gmail processing failed: ${error.message}`, error.code);
     }
   }
   
   /**
-   * Process AI action with rate limiting awareness
+   * Process AI action with rate limiting awareness. doPost must answer synchronously, so combined PDFs
+   * are not split for a single client here, and an all-clients run is queued as a background job,
+   * which splits them.
    */
   function processAIAction(data) {
     try {
@@ -290,9 +308,10 @@ function doGet(e) {
       
       if (data.clientName) {
         validateInput(data.clientName, 'string', 'Client name');
-        result = processClientDocumentsWithAI(data.clientName);
+        requireUserRole('accountant', data.clientName);
+        result = processClientDocumentsWithAI_(data.clientName);
       } else {
-        result = processAllClientsWithAI();
+        result = queueProcessingJob_(SYSTEM_CONFIG.JOBS.TYPES.AI);
       }
       
       return ContentService
@@ -304,7 +323,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in processAIAction', error);
-      return createErrorResponse(`AI processing failed: ${error.message}`);
+      return createErrorResponse(`AI processing failed: ${error.message}`, error.code);
     }
   }
   
@@ -330,7 +349,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in processBufferAction', error);
-      return createErrorResponse(`Buffer processing failed: ${error.message}`);
+      return createErrorResponse(`Buffer processing failed: ${error.message}`, error.code);
     }
   }
   
@@ -356,7 +375,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in moveToFlowAction', error);
-      return createErrorResponse(`Flow processing failed: ${error.message}`);
+      return createErrorResponse(`Flow processing failed: ${error.message}`, error.code);
     }
   }
   
@@ -382,7 +401,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in validateReactivationAction', error);
-      return createErrorResponse(`Reactivation validation failed: ${error.message}`);
+      return createErrorResponse(`Reactivation validation failed: ${error.message}`, error.code);
     }
   }
   
@@ -402,7 +421,7 @@ function doGet(e) {
         
     } catch (error) {
       errorLog('Error in getSystemStatusAction', error);
-      return createErrorResponse(`System status check failed: ${error.message}`);
+      return createErrorResponse(`System status check failed: ${error.message}`, error.code);
     }
   }
   
@@ -411,6 +430,8 @@ function doGet(e) {
    */
   function getDashboardPage() {
     try {
+      requireUserRole('viewer');
+      
       const template = HtmlService.createTemplateFromFile('dashboard');
       
       // Get clients safely
@@ -418,7 +439,7 @@ function doGet(e) {
       let systemStatus = {};
       
       try {
-        clients = getActiveClients();
+        clients = getClientsForCurrentUser();
       } catch (error) {
         warnLog('Error loading clients for dashboard', error);
         clients = [];
@@ -455,8 +476,9 @@ function doGet(e) {
   function getClientPage(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
-      const client = getClientByName(clientName);
+      const client = getClientByName_(clientName);
       if (!client) {
         return createErrorPage(`Client '${clientName}' not found`);
       }
@@ -469,6 +491,9 @@ function doGet(e) {
       let aiStats = {};
       let sheetStats = {};
       let pendingChanges = {};
+      let accrualSummary = {};
+      let bankReconciliation = {};
+      let ageingSummary = {};
       
       try {
         statistics = getClientStatistics(clientName);
@@ -505,12 +530,36 @@ function doGet(e) {
         pendingChanges = { error: error.message, hasChanges: false };
       }
       
+      try {
+        accrualSummary = getAccrualSummary(clientName);
+      } catch (error) {
+        warnLog(`Error loading accruals for ${clientName}`, error);
+        accrualSummary = { error: error.message, open: [] };
+      }
+      
+      try {
+        bankReconciliation = getBankReconciliationSummary_(clientName);
+      } catch (error) {
+        warnLog(`Error loading bank reconciliation for ${clientName}`, error);
+        bankReconciliation = { error: error.message, unmatchedTransactions: [], unpaidInvoices: [] };
+      }
+      
+      try {
+        ageingSummary = getAgeingSummary_(clientName);
+      } catch (error) {
+        warnLog(`Error loading ageing summary for ${clientName}`, error);
+        ageingSummary = { error: error.message };
+      }
+      
       template.client = client;
       template.statistics = statistics;
       template.gmailStats = gmailStats;
       template.aiStats = aiStats;
       template.sheetStats = sheetStats;
       template.pendingChanges = pendingChanges;
+      template.accrualSummary = accrualSummary;
+      template.bankReconciliation = bankReconciliation;
+      template.ageingSummary = ageingSummary;
       
       return template.evaluate()
         .setTitle(`${clientName} - Client Dashboard`)
@@ -527,6 +576,8 @@ function doGet(e) {
    */
   function getSetupPage() {
     try {
+      requireUserRole('admin');
+      
       const template = HtmlService.createTemplateFromFile('setup');
       
       // Get Gmail labels safely
@@ -704,8 +755,8 @@ function doGet(e) {
    */
   function getSystemStatus() {
     try {
-      const health = performSystemHealthCheck();
-      const clients = getActiveClients();
+      const health = performSystemHealthCheck_();
+      const clients = filterClientsForCurrentUser(getActiveClients_());
       
       const status = {
         systemHealth: health.status,
@@ -753,6 +804,7 @@ function doGet(e) {
   function getClientStatistics(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('viewer', clientName);
       
       const gmailStats = getGmailProcessingStats(clientName);
       const aiStats = getAIProcessingStats(clientName);
@@ -782,6 +834,7 @@ function doGet(e) {
   function validatePendingReactivations(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
+      requireUserRole('accountant', clientName);
       
       const pendingChanges = getPendingBufferChanges(clientName);
       const validation = {
@@ -854,7 +907,8 @@ function doGet(e) {
   function testAIProcessing(clientName) {
     try {
       validateInput(clientName, 'string', 'Client name');
-      return processClientDocumentsWithAI(clientName);
+      requireUserRole('accountant', clientName);
+      return processClientDocumentsWithAI_(clientName);
     } catch (error) {
       errorLog('Error in testAIProcessing', error);
       throw error;
@@ -886,7 +940,7 @@ function doGet(e) {
    */
   function getProcessingQueueStatus() {
     try {
-      const clients = getActiveClients();
+      const clients = filterClientsForCurrentUser(getActiveClients_());
       const queueStatus = [];
       
       clients.forEach(client => {
@@ -932,6 +986,8 @@ function doGet(e) {
    */
   function runSystemDiagnostic() {
     try {
+      requireUserRole('admin');
+      
       const diagnostic = {
         timestamp: getCurrentTimestamp(),
         overall: 'healthy',
@@ -941,7 +997,7 @@ function doGet(e) {
       };
       
       // Check system health
-      const health = performSystemHealthCheck();
+      const health = performSystemHealthCheck_();
       diagnostic.components.systemHealth = health;
       
       if (health.status !== 'healthy') {
@@ -951,7 +1007,7 @@ function doGet(e) {
       
       // Check clients
       try {
-        const clients = getAllClients();
+        const clients = getAllClients_();
         diagnostic.components.clientCount = clients.length;
         
         let healthyClients = 0;